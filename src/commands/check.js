@@ -1,5 +1,5 @@
 import tinify from 'tinify';
-import { loadConfig, resetAllKeysIfNeeded, updateKeyUsage } from '../config/index.js';
+import { loadConfig, resetAllKeysIfNeeded, updateKeyUsage, resolveConfigPath, getApiKeyValue } from '../config/index.js';
 
 function formatTable(data) {
   const headers = ['Name', 'Email', 'Used', 'Remaining', 'Status'];
@@ -40,7 +40,7 @@ function getStatusText(apiKey) {
 
 async function checkApiKey(apiKey) {
   try {
-    tinify.key = apiKey.key;
+    tinify.key = getApiKeyValue(apiKey);
     
     await new Promise((resolve, reject) => {
       tinify.validate((err) => {
@@ -81,7 +81,10 @@ async function checkCommand() {
     const now = new Date();
     const monthYear = now.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
     
-    console.log(`API Key Usage Report - ${monthYear}\n`);
+    const configLocation = resolveConfigPath();
+    
+    console.log(`API Key Usage Report - ${monthYear}`);
+    console.log(`Configuration: ${configLocation.path} (${configLocation.source})\n`);
     
     const tableData = [];
     let totalRemaining = 0;
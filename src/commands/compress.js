@@ -1,10 +1,14 @@
 import { loadConfig, saveConfig } from '../config/index.js';
-import { compressWithRetry, canCompress } from '../compression/index.js';
-import { validateFileForProcessing, createBackupDirectory, backupFile, formatBytes } from '../utils/fileOps.js';
+import { compressWithRetry, canCompress, estimateCompressionCost } from '../compression/index.js';
+import { validateFileForProcessing, createBackupDirectory, backupFile, formatBytes, resolveOutputDirectory, describeNoGain } from '../utils/fileOps.js';
 import { handleCompressionError, handleFileSystemError, handleConfigError, formatErrorMessage } from '../utils/errorHandler.js';
-import { validateApiKeySelection } from '../utils/apiKeySelector.js';
-import { determineOutputFormat, validateFormat, getConvertDescription } from '../utils/formatHelper.js';
+import { validateApiKeySelection, isAutoSelection } from '../utils/apiKeySelector.js';
+import { determineOutputFormat, validateFormat, getConvertDescription, generateOutputPath, generateVariantPath, createOutputOptions, isAutoFormat } from '../utils/formatHelper.js';
+import { validateOutputPattern } from '../utils/outputPattern.js';
+import { createResizeSpec, describeResizeSpec, isTransparencyLost } from '../utils/imageUtils.js';
+import { createPlanEntry, createDryRunPlan, displayDryRunPlan } from '../compression/planner.js';
 import path from 'path';
+import fs from 'fs-extra';
 import tinify from 'tinify';
 
 async function compressFileCommand(filePath, apiKeyName, options = {}) {
@@ -17,48 +21,182 @@ async function compressFileCommand(filePath, apiKeyName, options = {}) {
     // Validate format option
     validateFormat(options.convert);
     
+    const resize = createResizeSpec(options);
+    if (options.sizes && (options.width || options.height)) {
+      throw new Error('--sizes cannot be combined with --width/--height; every variant is scaled to its own width');
+    }
+    if (options.formats && options.sizes) {
+      throw new Error('--sizes cannot be combined with several output formats');
+    }
+    if (options.formats && determineOutputFormat('', options.convert)) {
+      throw new Error(`--formats keeps the original format; remove --convert ${options.convert} or add it to the list`);
+    }
+    if (isAutoFormat(options.convert) && (options.formats || options.sizes)) {
+      throw new Error('--convert auto keeps a single format per file and cannot be combined with --formats or --sizes');
+    }
+    if (options.outputPattern) {
+      validateOutputPattern(options.outputPattern, options);
+    }
+    
     // Validate file
     const validationErrors = validateFileForProcessing(resolvedFilePath);
-    if (validationErrors.length > 0) {
+    if (validationErrors.length > 0 && !options.dryRun) {
       throw new Error(validationErrors.join(', '));
     }
     
-    // Smart API key selection
-    const apiKey = await validateApiKeySelection(apiKeyName, config, 1);
+    // Determine actual conversion format
+    const actualConvertFormat = determineOutputFormat(resolvedFilePath, options.convert);
+    
+    // Resolve where the result goes: in place by default, or a separate output directory
+    const outputDir = resolveOutputDirectory(options.out, path.dirname(resolvedFilePath));
+    const overwriteExisting = options.overwrite === true;
     
-    canCompress(apiKey, 1);
+    // With --sizes every width is one more compression on top of the upload, --convert auto one conversion
+    const autoFormat = isAutoFormat(options.convert);
+    const compressionCost = validationErrors.length === 0 ? estimateCompressionCost(resolvedFilePath, { ...options, autoFormat }) : 1;
+    if (options.sizes && compressionCost === 0 && !options.dryRun) {
+      console.log(`✓ Image is narrower than every requested size (${options.sizes.join(', ')}), nothing to do`);
+      return null;
+    }
     
-    const backupDirectory = createBackupDirectory(resolvedFilePath);
+    const transparencyLost = validationErrors.length === 0 && isTransparencyLost(resolvedFilePath, actualConvertFormat, options.background);
+    if (transparencyLost && !options.dryRun) {
+      console.log(`⚠️  ${path.basename(resolvedFilePath)} is transparent and would lose its transparency as JPEG, skipping`);
+      console.log('  Use --background <#hex|white|black> to flatten it onto a color');
+      return null;
+    }
+    
+    let outputExists = false;
+    if (outputDir && !overwriteExisting) {
+      const outputPath = options.sizes
+        ? generateVariantPath(resolvedFilePath, actualConvertFormat, options.sizes[0], createOutputOptions({ ...options, outputDir }, path.basename(resolvedFilePath)))
+        : generateOutputPath(resolvedFilePath, actualConvertFormat, createOutputOptions({ ...options, outputDir }, path.basename(resolvedFilePath)));
+      outputExists = fs.existsSync(outputPath);
+      
+      if (outputExists && !options.dryRun) {
+        console.log(`✓ Output already exists, skipping: ${outputPath}`);
+        console.log('  Use --overwrite to replace it');
+        return null;
+      }
+    }
+    
+    // Smart API key selection
+    const apiKey = await validateApiKeySelection(apiKeyName, config, Math.max(1, compressionCost));
+    
+    if (options.dryRun) {
+      const file = {
+        path: resolvedFilePath,
+        relativePath: path.basename(resolvedFilePath),
+        name: path.basename(resolvedFilePath),
+        size: fs.existsSync(resolvedFilePath) ? fs.statSync(resolvedFilePath).size : 0,
+        compressionCost
+      };
+      
+      let status = 'compress';
+      if (validationErrors.length > 0) {
+        status = 'invalid';
+      } else if (compressionCost === 0) {
+        status = 'small';
+      } else if (transparencyLost) {
+        status = 'transparent';
+      } else if (outputExists) {
+        status = 'exists';
+      }
+      
+      const planOptions = {
+        ...options,
+        convert: actualConvertFormat,
+        autoFormat,
+        outputDir
+      };
+      
+      const plan = createDryRunPlan({
+        target: resolvedFilePath,
+        apiKey,
+        autoSelected: isAutoSelection(apiKeyName),
+        availableCompressions: 500 - apiKey.compressions_used,
+        options: planOptions,
+        entries: [createPlanEntry(file, status, planOptions, validationErrors)]
+      });
+      
+      displayDryRunPlan(plan, options.json);
+      return plan;
+    }
+    
+    canCompress(apiKey, 1, compressionCost);
     
     console.log(`Compressing: ${filePath}`);
     console.log(`Using API key: ${apiKey.name}`);
-    console.log(`Action: ${getConvertDescription(options.convert, resolvedFilePath)}`);
-    
-    const backupResult = await backupFile(resolvedFilePath, backupDirectory);
-    if (backupResult.skipped) {
-      console.log(`✓ Backup already exists: ${backupResult.path}`);
-    } else {
-      console.log(`✓ Original backed up to: ${backupResult.path}`);
+    console.log(`Action: ${getConvertDescription(options.convert, resolvedFilePath, options.formats)}`);
+    if (resize && !options.sizes) {
+      console.log(`Resize: ${describeResizeSpec(resize)}`);
     }
     
-    // Determine actual conversion format
-    const actualConvertFormat = determineOutputFormat(resolvedFilePath, options.convert);
+    if (outputDir) {
+      // The source is left untouched, so no backup is needed
+      console.log(`Output directory: ${outputDir}`);
+    } else if (options.sizes) {
+      console.log('Variants are written next to the original, which is kept');
+    } else if (options.createBackup !== false) {
+      const backupDirectory = createBackupDirectory(resolvedFilePath, options.backupDirectory);
+      const backupResult = await backupFile(resolvedFilePath, backupDirectory);
+      if (backupResult.skipped) {
+        console.log(`✓ Backup already exists: ${backupResult.path}`);
+      } else {
+        console.log(`✓ Original backed up to: ${backupResult.path}`);
+      }
+    }
     
     const compressionOptions = {
       preserveMetadata: options.preserveMetadata,
       convert: actualConvertFormat,
+      background: options.background,
       maxSize: options.maxSize,
-      maxSide: options.maxSide
+      maxSide: options.maxSide,
+      resizeMethod: options.resizeMethod,
+      width: options.width,
+      height: options.height,
+      upscale: options.upscale,
+      sizes: options.sizes,
+      formats: options.formats,
+      autoFormat,
+      outputPattern: options.outputPattern,
+      preset: options.preset,
+      minSavings: options.minSavings,
+      outputDir
     };
     
-    const result = await compressWithRetry(resolvedFilePath, apiKey, compressionOptions);
+    const result = await compressWithRetry(resolvedFilePath, apiKey, compressionOptions, options.retryAttempts);
     
     console.log(`✓ Compressed successfully using API key '${apiKey.name}'`);
-    if (actualConvertFormat && result.outputPath !== resolvedFilePath) {
+    if (result.variants) {
+      result.variants.forEach(variant => {
+        console.log(`✓ ${variant.width}×${variant.height}: ${variant.outputPath} (${formatBytes(variant.size)})`);
+      });
+    } else if (result.noGain && !result.outputs) {
+      console.log(`⚠️  No gain: ${describeNoGain(result.originalSize, result.rejectedSize, options.minSavings)}, original kept: ${result.outputPath}`);
+    } else if (result.autoFormat) {
+      const { format, originalFormat, candidates } = result.autoFormat;
+      const kept = format === originalFormat ? ', original format kept' : '';
+      console.log(`✓ Smallest format: ${format.toUpperCase()} of ${candidates.map(candidate => candidate.toUpperCase()).join(', ')}${kept}: ${result.outputPath}`);
+    } else if (result.outputs) {
+      result.outputs.forEach(output => {
+        if (output.noGain) {
+          console.log(`⚠️  ${output.format.toUpperCase()}: no gain, ${describeNoGain(result.originalSize, output.rejectedSize, options.minSavings)}, original kept: ${output.outputPath}`);
+        } else {
+          console.log(`✓ ${output.format.toUpperCase()}: ${output.outputPath} (${formatBytes(output.size)})`);
+        }
+      });
+      if (result.skippedFormats.length > 0) {
+        console.log(`⚠️  Not written: ${result.skippedFormats.map(format => format.toUpperCase()).join(', ')} (image is transparent; set --background to flatten it)`);
+      }
+    } else if (actualConvertFormat && result.outputPath !== resolvedFilePath) {
       console.log(`✓ Converted to ${actualConvertFormat.toUpperCase()} format: ${result.outputPath}`);
+    } else if (outputDir || result.outputPath !== resolvedFilePath) {
+      console.log(`✓ Written to: ${result.outputPath}`);
     }
-    if (result.wasResized) {
-      console.log(`✓ Resized: ${result.originalDimensions.width}×${result.originalDimensions.height} → ${result.resizeDimensions.width}×${result.resizeDimensions.height}`);
+    if (result.wasResized && !result.variants) {
+      console.log(`✓ Resized (${result.resizeDimensions.method}): ${result.originalDimensions.width}×${result.originalDimensions.height} → ${result.resizeDimensions.width}×${result.resizeDimensions.height}`);
     }
     console.log('');
     console.log('File Statistics:');
@@ -85,7 +223,7 @@ async function compressFileCommand(filePath, apiKeyName, options = {}) {
     
     if (err instanceof tinify.AccountError || err instanceof tinify.ClientError || 
         err instanceof tinify.ServerError || err instanceof tinify.ConnectionError) {
-      errorInfo = handleCompressionError(err, apiKeyName || 'auto-selected', resolvedFilePath);
+      errorInfo = handleCompressionError(err, isAutoSelection(apiKeyName) ? 'auto-selected' : apiKeyName, resolvedFilePath);
     } else if (err.code && (err.code.startsWith('E'))) {
       errorInfo = handleFileSystemError(err, resolvedFilePath);
     } else if (err.message.includes('Configuration file not found') || err.message.includes('Configuration file contains invalid JSON')) {
@@ -1,15 +1,26 @@
 import { loadConfig, saveConfig } from '../config/index.js';
 import { compressWithRetry, canCompress } from '../compression/index.js';
 import { BatchProcessor } from '../compression/batchProcessor.js';
-import { validateFileForProcessing, createBackupDirectory, backupFile, formatBytes, scanForImages } from '../utils/fileOps.js';
+import { validateFileForProcessingAsync, createBackupDirectory, backupFile, formatBytes, scanForImages, walkImageDirectories, describeNoGain, formatMinSavings } from '../utils/fileOps.js';
 import { handleCompressionError, handleFileSystemError, handleConfigError, formatErrorMessage, formatBatchErrorSummary, aggregateBatchErrors } from '../utils/errorHandler.js';
-import { validateApiKeySelection } from '../utils/apiKeySelector.js';
-import { determineOutputFormat, validateFormat, getConvertDescription } from '../utils/formatHelper.js';
+import { validateApiKeySelection, getTotalRemainingCapacity, isAutoSelection } from '../utils/apiKeySelector.js';
+import { determineOutputFormat, validateFormat, getConvertDescription, isAutoFormat } from '../utils/formatHelper.js';
+import { validateOutputPattern } from '../utils/outputPattern.js';
+import { createScanFilter, describeExclusion } from '../utils/scanFilter.js';
+import { createResizeSpec, describeResizeSpec } from '../utils/imageUtils.js';
+import { loadLedger } from '../ledger/index.js';
+import { createPlanEntry, createDryRunPlan, displayDryRunPlan } from '../compression/planner.js';
+import { createManifest, writeManifest, MANIFEST_FORMATS } from '../compression/manifest.js';
+import { describeCollision } from '../compression/collisions.js';
+import { createProcessOptions, excludeEarlierOutputs, selectFilesToCompress, getBackupDirectory } from '../compression/selection.js';
 import path from 'path';
 import fs from 'fs-extra';
 import tinify from 'tinify';
 import cliProgress from 'cli-progress';
 
+// --stream keeps this many colliding, transparent or invalid files for the report and only counts the rest
+const STREAM_SAMPLE_SIZE = 20;
+
 async function compressDirCommand(dirPath, apiKeyName, options = {}) {
   const resolvedDirPath = path.resolve(dirPath);
   
@@ -29,35 +40,129 @@ async function compressDirCommand(dirPath, apiKeyName, options = {}) {
     // Validate format option
     validateFormat(options.convert);
     
+    const resize = createResizeSpec(options);
+    if (options.sizes && (options.width || options.height)) {
+      throw new Error('--sizes cannot be combined with --width/--height; every variant is scaled to its own width');
+    }
+    if (options.formats && options.sizes) {
+      throw new Error('--sizes cannot be combined with several output formats');
+    }
+    if (options.formats && determineOutputFormat('', options.convert)) {
+      throw new Error(`--formats keeps the original format; remove --convert ${options.convert} or add it to the list`);
+    }
+    if (isAutoFormat(options.convert) && (options.formats || options.sizes)) {
+      throw new Error('--convert auto keeps a single format per file and cannot be combined with --formats or --sizes');
+    }
+    if (options.outputPattern) {
+      validateOutputPattern(options.outputPattern, options);
+    }
+    
+    if (options.manifest && !MANIFEST_FORMATS.includes(options.manifestFormat || 'json')) {
+      throw new Error(`Unknown manifest format: ${options.manifestFormat}. Supported formats: ${MANIFEST_FORMATS.join(', ')}`);
+    }
+    
+    // Resolve where results go: in place by default, or a separate mirrored tree
+    const processOptions = createProcessOptions(options, resolvedDirPath);
+    const { outputDir, preserveStructure } = processOptions;
+    const overwriteExisting = options.overwrite === true;
+    
+    if (options.stream) {
+      validateStreamOptions(options, outputDir, preserveStructure);
+    }
+    
+    const selectionContext = {
+      force: options.force,
+      overwriteExisting,
+      onCollision: options.onCollision || 'fail',
+      dryRun: options.dryRun
+    };
+    
+    // A JSON dry run prints nothing but the plan
+    const log = options.dryRun && options.json ? () => {} : console.log;
+    
     // Scan for images
-    console.log(`Scanning directory: ${dirPath}`);
-    const imageFiles = scanForImages(resolvedDirPath, options.recursive);
+    log(`Scanning directory: ${dirPath}`);
+    const scanFilter = createScanFilter(resolvedDirPath, {
+      include: options.include,
+      exclude: options.exclude,
+      backupDirectory: options.backupDirectory || './original'
+    });
+    const scanOptions = { filter: scanFilter, followSymlinks: options.followSymlinks, inPlace: !outputDir };
+    
+    if (options.stream) {
+      return await compressDirStreaming(resolvedDirPath, apiKeyName, config, processOptions, {
+        ...selectionContext,
+        convert: options.convert,
+        resize,
+        scanOptions,
+        scanFilter,
+        ledger: await loadLedger(resolvedDirPath)
+      });
+    }
+    
+    let imageFiles = await scanForImages(resolvedDirPath, options.recursive, scanOptions);
+    
+    // Backup directories, --include/--exclude, .tinypngignore files and symlinks, counted per rule
+    const exclusions = scanFilter.getExclusions();
+    logExclusions(log, exclusions);
+    
+    imageFiles = excludeEarlierOutputs(imageFiles, processOptions);
     
     if (imageFiles.length === 0) {
-      console.log('No supported image files found in directory');
+      log('No supported image files found in directory');
+      return;
+    }
+    
+    log(`Found ${imageFiles.length} supported image files`);
+    
+    // Skip files already compressed with the same options in a previous run
+    const ledger = await loadLedger(resolvedDirPath);
+    
+    const selection = await selectFilesToCompress(imageFiles, processOptions, { ...selectionContext, ledger });
+    const { collisions, skipped } = selection;
+    logSkippedFiles(log, collisions, skipped, processOptions);
+    imageFiles = selection.files;
+    
+    if (imageFiles.length === 0 && !options.dryRun) {
+      log(describeNothingToDo(skipped));
       return;
     }
     
-    console.log(`Found ${imageFiles.length} supported image files`);
+    const requiredCompressions = imageFiles.reduce((sum, file) => sum + (file.compressionCost || 1), 0);
     
     // Calculate total size
     const totalSize = imageFiles.reduce((sum, file) => sum + file.size, 0);
-    console.log(`Total size: ${formatBytes(totalSize)}`);
+    log(`Total size: ${formatBytes(totalSize)}`);
     
-    // Smart API key selection
-    const apiKey = await validateApiKeySelection(apiKeyName, config, imageFiles.length);
+    if (processOptions.autoFormat) {
+      log(`Format selection: ${imageFiles.length} conversions (${requiredCompressions} compressions including uploads)`);
+    }
     
-    // Display smart selection info
-    console.log(`\nUsing API key: ${apiKey.name}${!apiKeyName || apiKeyName === 'any' ? ' (auto-selected)' : ''}`);
-    console.log(`Action: ${getConvertDescription(options.convert, imageFiles[0]?.path || 'files')}`);
+    if (processOptions.formats) {
+      log(`Additional formats: ${requiredCompressions - imageFiles.length} outputs (${requiredCompressions} compressions including uploads)`);
+    }
     
-    // Check API key capacity
-    const availableCompressions = 500 - apiKey.compressions_used;
-    console.log(`✓ ${availableCompressions} compressions available`);
+    if (processOptions.sizes) {
+      log(`Variants: ${requiredCompressions - imageFiles.length} at widths ${processOptions.sizes.join(', ')} (${requiredCompressions} compressions including uploads)`);
+    }
     
-    if (availableCompressions < imageFiles.length) {
-      console.log(`⚠️  Warning: Only ${availableCompressions} compressions available, but ${imageFiles.length} files found`);
-      console.log(`   Only the first ${availableCompressions} files will be processed`);
+    // Smart API key selection - auto-selected batches start on the best key and
+    // spill over to the next key with capacity when it runs out
+    const autoSelect = isAutoSelection(apiKeyName);
+    const apiKey = await validateApiKeySelection(apiKeyName, config, autoSelect ? 1 : Math.max(1, requiredCompressions));
+    const availableCompressions = logRunSettings(log, {
+      config,
+      apiKey,
+      autoSelect,
+      convert: options.convert,
+      options: processOptions,
+      resize,
+      samplePath: imageFiles[0]?.path
+    });
+    
+    if (availableCompressions < requiredCompressions) {
+      log(`⚠️  Warning: Only ${availableCompressions} compressions available, but ${requiredCompressions} needed for ${imageFiles.length} files`);
+      log(`   Only the first ${selectFilesWithinQuota(imageFiles, availableCompressions).length} files will be processed`);
     }
     
     // Validate files
@@ -65,7 +170,7 @@ async function compressDirCommand(dirPath, apiKeyName, options = {}) {
     const invalidFiles = [];
     
     for (const file of imageFiles) {
-      const errors = validateFileForProcessing(file.path);
+      const errors = await validateFileForProcessingAsync(file.path);
       if (errors.length === 0) {
         validFiles.push(file);
       } else {
@@ -73,11 +178,33 @@ async function compressDirCommand(dirPath, apiKeyName, options = {}) {
       }
     }
     
-    if (invalidFiles.length > 0) {
-      console.log(`\n⚠️  ${invalidFiles.length} files failed validation:`);
-      invalidFiles.forEach(({ file, errors }) => {
-        console.log(`   ${path.basename(file)}: ${errors.join(', ')}`);
+    logInvalidFiles(log, invalidFiles);
+    
+    if (options.dryRun) {
+      const withinQuota = new Set(selectFilesWithinQuota(validFiles, availableCompressions));
+      const entries = [
+        ...validFiles.map(file => createPlanEntry(file, withinQuota.has(file) ? 'compress' : 'quota', processOptions)),
+        ...invalidFiles.map(({ file, errors }) => createPlanEntry(imageFiles.find(f => f.path === file), 'invalid', processOptions, errors)),
+        ...skipped.ledger.map(file => createPlanEntry(file, 'ledger', processOptions)),
+        ...skipped.existing.map(file => createPlanEntry(file, 'exists', processOptions)),
+        ...skipped.small.map(file => createPlanEntry(file, 'small', processOptions)),
+        ...skipped.transparent.map(file => createPlanEntry(file, 'transparent', processOptions)),
+        ...skipped.collision.map(file => createPlanEntry(file, 'collision', processOptions))
+      ];
+      
+      const plan = createDryRunPlan({
+        target: resolvedDirPath,
+        apiKey,
+        autoSelected: autoSelect,
+        availableCompressions,
+        options: processOptions,
+        entries,
+        collisions,
+        exclusions
       });
+      
+      displayDryRunPlan(plan, options.json);
+      return plan;
     }
     
     if (validFiles.length === 0) {
@@ -85,44 +212,40 @@ async function compressDirCommand(dirPath, apiKeyName, options = {}) {
       return;
     }
     
-    // Create backup directory
-    const backupDir = path.join(resolvedDirPath, 'original');
-    console.log(`\nCreating backup directory: ${backupDir}`);
-    fs.ensureDirSync(backupDir);
-    
-    // Backup files
-    console.log('Backing up original files...');
-    const backupResults = await backupFiles(validFiles, backupDir);
-    
-    console.log(`✓ Backup completed: ${backupResults.created} new, ${backupResults.skipped} skipped, ${backupResults.versioned} versioned`);
-    
-    if (backupResults.errors.length > 0) {
-      console.log(`   ${backupResults.errors.length} backup errors occurred`);
-      backupResults.errors.forEach(error => {
-        console.log(`   ${path.basename(error.file)}: ${error.error}`);
-      });
+    const backupDir = getBackupDirectory(resolvedDirPath, processOptions);
+    if (outputDir) {
+      // Sources are left untouched, so no backup is needed
+      console.log(`\nWriting results to: ${outputDir}`);
+    } else if (processOptions.sizes) {
+      // Variants are new files next to their sources, which stay untouched
+      console.log('\nWriting variants next to their sources (originals are kept)');
+    } else if (backupDir) {
+      // Create backup directory
+      console.log(`\nCreating backup directory: ${backupDir}`);
+      fs.ensureDirSync(backupDir);
+      
+      // Backup files
+      console.log('Backing up original files...');
+      const backupResults = await backupFiles(validFiles, backupDir, preserveStructure);
+      logBackupResults(backupResults);
     }
     
     // Process files with enhanced batch processing
-    const filesToProcess = validFiles.slice(0, availableCompressions);
-    
-    // Determine actual conversion format 
-    const actualConvertFormat = determineOutputFormat(filesToProcess[0]?.path || '', options.convert);
-    const processOptions = {
-      ...options,
-      convert: actualConvertFormat,
-      maxSize: options.maxSize,
-      maxSide: options.maxSide
-    };
+    const filesToProcess = selectFilesWithinQuota(validFiles, availableCompressions);
     
-    const compressionResults = await processFilesWithBatchProcessor(filesToProcess, apiKey, processOptions, config);
+    const compressionResults = await processFilesWithBatchProcessor(filesToProcess, apiKey, processOptions, config, ledger, autoSelect);
     
-    // Update API key usage
-    apiKey.compressions_used = compressionResults.finalCompressionCount;
+    // Persist usage of every API key the batch touched
     await saveConfig(config);
     
     // Display results
-    displayCompressionReport(compressionResults, apiKey.name);
+    displayCompressionReport(compressionResults, collisions, processOptions.minSavings);
+    
+    if (options.manifest) {
+      const manifest = createManifest(compressionResults.successful, options.manifest);
+      await writeManifest(options.manifest, manifest, options.manifestFormat || 'json');
+      console.log(`\n🗂️  Manifest written to ${path.resolve(options.manifest)} (${manifest.sources.length} sources)`);
+    }
     
     return compressionResults;
     
@@ -131,7 +254,7 @@ async function compressDirCommand(dirPath, apiKeyName, options = {}) {
     
     if (err instanceof tinify.AccountError || err instanceof tinify.ClientError || 
         err instanceof tinify.ServerError || err instanceof tinify.ConnectionError) {
-      errorInfo = handleCompressionError(err, apiKeyName || 'auto-selected', resolvedDirPath);
+      errorInfo = handleCompressionError(err, isAutoSelection(apiKeyName) ? 'auto-selected' : apiKeyName, resolvedDirPath);
     } else if (err.code && (err.code.startsWith('E'))) {
       errorInfo = handleFileSystemError(err, resolvedDirPath);
     } else if (err.message.includes('Configuration file not found')) {
@@ -157,7 +280,251 @@ async function compressDirCommand(dirPath, apiKeyName, options = {}) {
   }
 }
 
-async function backupFiles(files, backupDirectory) {
+/**
+ * --stream: compress while the tree is still being scanned. Each directory is narrowed down on
+ * its own as soon as it has been read, so uploads start right away and no list of the whole
+ * tree is ever built. Skipped files are counted, with the first few of each kind kept
+ * for the report once the scan is done
+ */
+async function compressDirStreaming(resolvedDirPath, apiKeyName, config, processOptions, context) {
+  const log = console.log;
+  const autoSelect = isAutoSelection(apiKeyName);
+  const apiKey = await validateApiKeySelection(apiKeyName, config, 1);
+  const availableCompressions = logRunSettings(log, { config, apiKey, autoSelect, convert: context.convert, options: processOptions, resize: context.resize });
+  
+  const backupDir = getBackupDirectory(resolvedDirPath, processOptions);
+  if (processOptions.outputDir) {
+    log(`\nWriting results to: ${processOptions.outputDir}`);
+  } else if (processOptions.sizes) {
+    log('\nWriting variants next to their sources (originals are kept)');
+  } else if (backupDir) {
+    log(`\nBacking up each original to ${backupDir} right before it is compressed`);
+  }
+  
+  const counters = { scanned: 0, queued: 0, compressions: 0, quotaReached: false };
+  const skippedCounts = { collision: 0, ledger: 0, existing: 0, small: 0, transparent: 0 };
+  const transparentFiles = createSample();
+  const collisions = createSample();
+  const invalidFiles = createSample();
+  const backupResults = { created: 0, skipped: 0, versioned: 0, errors: [] };
+  
+  async function* filesToCompress() {
+    for await (const directory of walkImageDirectories(resolvedDirPath, processOptions.recursive, context.scanOptions)) {
+      counters.scanned += directory.files.length;
+      
+      const selection = await selectFilesToCompress(excludeEarlierOutputs(directory.files, processOptions), processOptions, context);
+      addToSample(collisions, selection.collisions);
+      Object.keys(skippedCounts).forEach(reason => {
+        skippedCounts[reason] += selection.skipped[reason].length;
+      });
+      addToSample(transparentFiles, selection.skipped.transparent);
+      
+      for (const file of selection.files) {
+        // Like a full scan, the run stops at the first file the quota cannot cover
+        if (counters.compressions + (file.compressionCost || 1) > availableCompressions) {
+          counters.quotaReached = true;
+          return;
+        }
+        
+        const errors = await validateFileForProcessingAsync(file.path);
+        if (errors.length > 0) {
+          addToSample(invalidFiles, [{ file: file.path, errors }]);
+          continue;
+        }
+        
+        if (backupDir) {
+          await backupFileInto(file, backupDir, processOptions.preserveStructure, backupResults);
+        }
+        
+        counters.compressions += file.compressionCost || 1;
+        counters.queued++;
+        yield file;
+      }
+    }
+  }
+  
+  let compressionResults = null;
+  try {
+    compressionResults = await processStreamWithBatchProcessor(filesToCompress(), counters, apiKey, processOptions, config, context.ledger, autoSelect);
+  } finally {
+    // Keys used before a failing directory stopped the scan are still counted
+    await saveConfig(config);
+  }
+  
+  log(`\n✓ Scanned ${counters.scanned} images, compressed ${counters.queued} (${counters.compressions} compressions)`);
+  logExclusions(log, context.scanFilter.getExclusions());
+  logSkippedFiles(log, collisions, { ...skippedCounts, transparent: transparentFiles }, processOptions);
+  logInvalidFiles(log, invalidFiles);
+  if (backupDir && counters.queued > 0) {
+    logBackupResults(backupResults);
+  }
+  if (counters.quotaReached) {
+    log(`⚠️  Stopped scanning after ${counters.compressions} compressions: the API keys have no quota left for more`);
+  }
+  
+  if (counters.queued === 0) {
+    log(counters.scanned === 0 ? 'No supported image files found in directory' : 'Nothing to compress');
+    return compressionResults;
+  }
+  
+  displayCompressionReport(compressionResults, collisions, processOptions.minSavings);
+  
+  if (processOptions.manifest) {
+    const manifest = createManifest(compressionResults.successful, processOptions.manifest);
+    await writeManifest(processOptions.manifest, manifest, processOptions.manifestFormat || 'json');
+    log(`\n🗂️  Manifest written to ${path.resolve(processOptions.manifest)} (${manifest.sources.length} sources)`);
+  }
+  
+  return compressionResults;
+}
+
+function createSample() {
+  return { count: 0, items: [] };
+}
+
+function addToSample(sample, items) {
+  sample.count += items.length;
+  sample.items.push(...items.slice(0, Math.max(0, STREAM_SAMPLE_SIZE - sample.items.length)));
+}
+
+// A full list, or a sample of it with the total where --stream only kept the first few
+function toSample(list) {
+  return Array.isArray(list) ? { count: list.length, items: list } : list;
+}
+
+function logSampleRest(log, sample) {
+  if (sample.count > sample.items.length) {
+    log(`   ... and ${sample.count - sample.items.length} more`);
+  }
+}
+
+// --stream settles collisions and earlier outputs one directory at a time, so every output
+// has to stay apart from the outputs of other directories
+function validateStreamOptions(options, outputDir, preserveStructure) {
+  if (options.dryRun) {
+    throw new Error('--stream compresses while it scans; run --dry-run without --stream');
+  }
+  if (outputDir && !preserveStructure) {
+    throw new Error('--stream needs output.preserve_structure, otherwise files from different directories share one output directory');
+  }
+  if (options.outputPattern && !outputDir) {
+    throw new Error('--stream needs --out with --output-pattern, so earlier outputs are never scanned as sources');
+  }
+  if (options.outputPattern && !options.outputPattern.includes('{dir}')) {
+    throw new Error('--stream needs {dir} in --output-pattern, so outputs of different directories stay apart');
+  }
+}
+
+// Why a run has nothing left: the last step that skipped anything is the one that emptied it
+function describeNothingToDo(skipped) {
+  if (skipped.transparent.length > 0) {
+    return 'No images left to convert. Nothing to do';
+  }
+  if (skipped.small.length > 0) {
+    return 'No remaining image is wide enough for the requested sizes. Nothing to do';
+  }
+  if (skipped.existing.length > 0) {
+    return 'All outputs already exist. Nothing to do';
+  }
+  if (skipped.ledger.length > 0) {
+    return 'All files are already compressed. Use --force to compress them again';
+  }
+  return 'Every file collides with another output. Nothing to do';
+}
+
+function logExclusions(log, exclusions) {
+  if (exclusions.length > 0) {
+    const excludedFiles = exclusions.reduce((sum, exclusion) => sum + exclusion.files, 0);
+    const excludedDirectories = exclusions.reduce((sum, exclusion) => sum + exclusion.directories, 0);
+    log(`✓ Excluded ${excludedFiles} files and ${excludedDirectories} directories:`);
+    exclusions.forEach(exclusion => log(`   ${describeExclusion(exclusion)}`));
+  }
+}
+
+// Skipped files per reason; a count or sample stands in for a list where --stream only counted them
+function logSkippedFiles(log, collisions, skipped, options) {
+  const count = reason => (typeof skipped[reason] === 'number' ? skipped[reason] : toSample(skipped[reason]).count);
+  const collisionSample = toSample(collisions);
+  
+  if (collisionSample.count > 0) {
+    log(`⚠️  Output collisions: ${collisionSample.count} (--on-collision ${options.onCollision || 'fail'})`);
+    collisionSample.items.forEach(collision => log(`   ${describeCollision(collision)}`));
+    logSampleRest(log, collisionSample);
+  }
+  if (count('ledger') > 0) {
+    log(`✓ Skipping ${count('ledger')} files already compressed with these options (ledger)`);
+  }
+  if (count('existing') > 0) {
+    log(`✓ Skipping ${count('existing')} files with existing output (use --overwrite to replace them)`);
+  }
+  if (count('small') > 0) {
+    log(`✓ Skipping ${count('small')} files narrower than every requested size (${options.sizes.join(', ')})`);
+  }
+  if (count('transparent') > 0) {
+    log(`⚠️  Skipping ${count('transparent')} transparent images that would lose their transparency as JPEG:`);
+    const transparentSample = toSample(skipped.transparent);
+    transparentSample.items.forEach(file => log(`   ${file.relativePath}`));
+    logSampleRest(log, transparentSample);
+    log('   Use --background <#hex|white|black> to flatten them onto a color');
+  }
+}
+
+function logInvalidFiles(log, invalidFiles) {
+  const sample = toSample(invalidFiles);
+  
+  if (sample.count > 0) {
+    log(`\n⚠️  ${sample.count} files failed validation:`);
+    sample.items.forEach(({ file, errors }) => {
+      log(`   ${path.basename(file)}: ${errors.join(', ')}`);
+    });
+    logSampleRest(log, sample);
+  }
+}
+
+/**
+ * Print the API key, action, resize and capacity of a run
+ * @param {Function} log - Logger
+ * @param {Object} run - { config, apiKey, autoSelect, convert (as given), options, resize, samplePath }
+ * @returns {number} Compressions available to the run
+ */
+function logRunSettings(log, { config, apiKey, autoSelect, convert, options, resize, samplePath = 'files' }) {
+  log(`\nUsing API key: ${apiKey.name}${autoSelect ? ' (auto-selected)' : ''}`);
+  log(`Action: ${getConvertDescription(convert, samplePath, options.formats)}`);
+  if (resize && !options.sizes) {
+    log(`Resize: ${describeResizeSpec(resize)}`);
+  }
+  if (options.minSavings) {
+    log(`Minimum savings: ${formatMinSavings(options.minSavings)} (smaller gains keep the original)`);
+  }
+  
+  // Check API key capacity
+  const availableCompressions = autoSelect ? getTotalRemainingCapacity(config) : 500 - apiKey.compressions_used;
+  if (autoSelect && availableCompressions > 500 - apiKey.compressions_used) {
+    log(`✓ ${availableCompressions} compressions available across all API keys`);
+  } else {
+    log(`✓ ${availableCompressions} compressions available`);
+  }
+  
+  return availableCompressions;
+}
+
+function selectFilesWithinQuota(files, availableCompressions) {
+  const selected = [];
+  let used = 0;
+  
+  for (const file of files) {
+    const cost = file.compressionCost || 1;
+    if (used + cost > availableCompressions) {
+      break;
+    }
+    used += cost;
+    selected.push(file);
+  }
+  
+  return selected;
+}
+
+async function backupFiles(files, backupDirectory, preserveStructure = true) {
   const results = {
     created: 0,
     skipped: 0,
@@ -166,42 +533,71 @@ async function backupFiles(files, backupDirectory) {
   };
   
   for (const file of files) {
-    try {
-      const result = await backupFile(file.path, backupDirectory);
-      
-      if (result.skipped) {
-        results.skipped++;
-      } else if (result.versioned) {
-        results.versioned++;
-      } else {
-        results.created++;
-      }
-      
-    } catch (err) {
-      results.errors.push({
-        file: file.path,
-        error: err.message
-      });
-    }
+    await backupFileInto(file, backupDirectory, preserveStructure, results);
   }
   
   return results;
 }
 
-async function processFilesWithBatchProcessor(files, apiKey, options = {}, config = {}) {
-  // Create batch processor with configuration
-  const batchConfig = {
-    maxConcurrent: config.advanced?.max_concurrent || 3,
-    requestDelay: config.advanced?.request_delay || 100,
-    retryAttempts: config.advanced?.retry_attempts || 3,
-    adaptiveRateLimit: config.advanced?.adaptive_rate_limiting !== false
-  };
+async function backupFileInto(file, backupDirectory, preserveStructure, results) {
+  try {
+    const result = await backupFile(file.path, backupDirectory, preserveStructure ? file.relativePath : null);
+    
+    if (result.skipped) {
+      results.skipped++;
+    } else if (result.versioned) {
+      results.versioned++;
+    } else {
+      results.created++;
+    }
+    
+  } catch (err) {
+    results.errors.push({
+      file: file.path,
+      error: err.message
+    });
+  }
+}
+
+function logBackupResults(backupResults) {
+  console.log(`✓ Backup completed: ${backupResults.created} new, ${backupResults.skipped} skipped, ${backupResults.versioned} versioned`);
   
-  const batchProcessor = new BatchProcessor(batchConfig);
+  if (backupResults.errors.length > 0) {
+    console.log(`   ${backupResults.errors.length} backup errors occurred`);
+    backupResults.errors.forEach(error => {
+      console.log(`   ${path.basename(error.file)}: ${error.error}`);
+    });
+  }
+}
+
+function createBatchProcessor(options, config, ledger, allowKeySpillover) {
+  return new BatchProcessor({
+    maxConcurrent: options.maxConcurrent || 3,
+    requestDelay: options.requestDelay ?? 100,
+    retryAttempts: options.retryAttempts ?? 3,
+    adaptiveRateLimit: config.advanced?.adaptive_rate_limiting !== false,
+    priority: options.priority,
+    ledger,
+    keyConfig: allowKeySpillover ? config : null
+  });
+}
+
+// Ctrl+Z pauses handing out files and resumes again; the progress bar shows the paused state
+function handlePauseKey(batchProcessor) {
+  if (process.platform !== 'win32') {
+    console.log('Press Ctrl+Z to pause or resume');
+  }
+  return batchProcessor.handlePauseSignals();
+}
+
+async function processFilesWithBatchProcessor(files, apiKey, options = {}, config = {}, ledger = null, allowKeySpillover = false) {
+  // Create batch processor with configuration
+  const batchProcessor = createBatchProcessor(options, config, ledger, allowKeySpillover);
+  const releasePauseSignals = handlePauseKey(batchProcessor);
   
   // Create enhanced progress bar
   const progressBar = new cliProgress.SingleBar({
-    format: 'Compressing |{bar}| {percentage}% | {value}/{total} | {current} | Saved: {savings} | Concurrent: {concurrent}',
+    format: 'Compressing |{bar}| {percentage}% | {value}/{total} | {current} | Saved: {savings} | Concurrent: {concurrent} | Key: {apiKey}',
     barCompleteChar: '█',
     barIncompleteChar: '░',
     hideCursor: true
@@ -210,7 +606,8 @@ async function processFilesWithBatchProcessor(files, apiKey, options = {}, confi
   progressBar.start(files.length, 0, {
     current: 'Starting...',
     savings: '0 B',
-    concurrent: '0'
+    concurrent: '0',
+    apiKey: apiKey.name
   });
   
   // Progress tracking with concurrency info
@@ -222,9 +619,10 @@ async function processFilesWithBatchProcessor(files, apiKey, options = {}, confi
     const currentSavings = stats.totalSavings || 0;
     
     progressBar.update(stats.processed, {
-      current: stats.processed < files.length ? `Processing...` : 'Completing...',
+      current: batchProcessor.isPaused() ? 'Paused (Ctrl+Z to resume)' : (stats.processed < files.length ? `Processing...` : 'Completing...'),
       savings: formatBytes(currentSavings),
-      concurrent: currentConcurrency
+      concurrent: currentConcurrency,
+      apiKey: batchProcessor.getCurrentApiKeyName()
     });
   }, 250);
   
@@ -236,22 +634,80 @@ async function processFilesWithBatchProcessor(files, apiKey, options = {}, confi
     progressBar.update(files.length, {
       current: 'Completed!',
       savings: formatBytes(results.totalSavings),
-      concurrent: '0'
+      concurrent: '0',
+      apiKey: batchProcessor.getCurrentApiKeyName()
     });
     
     progressBar.stop();
     clearInterval(progressInterval);
+    releasePauseSignals();
     
     return results;
     
   } catch (error) {
     progressBar.stop();
     clearInterval(progressInterval);
+    releasePauseSignals();
     throw error;
   }
 }
 
-function displayCompressionReport(results, apiKeyName) {
+
+// Like processFilesWithBatchProcessor, with a total that grows while the scan is still running
+async function processStreamWithBatchProcessor(files, counters, apiKey, options = {}, config = {}, ledger = null, allowKeySpillover = false) {
+  const batchProcessor = createBatchProcessor(options, config, ledger, allowKeySpillover);
+  const releasePauseSignals = handlePauseKey(batchProcessor);
+  
+  const progressBar = new cliProgress.SingleBar({
+    format: 'Compressing |{bar}| Scanned {scanned} / queued {total} / done {value} | Saved: {savings} | Concurrent: {concurrent} | Key: {apiKey}{paused}',
+    barCompleteChar: '█',
+    barIncompleteChar: '░',
+    hideCursor: true
+  }, cliProgress.Presets.shades_classic);
+  
+  progressBar.start(0, 0, {
+    scanned: 0,
+    savings: '0 B',
+    concurrent: '0',
+    apiKey: apiKey.name,
+    paused: ''
+  });
+  
+  const progressInterval = setInterval(() => {
+    const stats = batchProcessor.getStats();
+    
+    progressBar.setTotal(counters.queued);
+    progressBar.update(stats.processed, {
+      scanned: counters.scanned,
+      savings: formatBytes(stats.totalSavings || 0),
+      concurrent: batchProcessor.getCurrentConcurrency(),
+      apiKey: batchProcessor.getCurrentApiKeyName(),
+      paused: batchProcessor.isPaused() ? ' | Paused (Ctrl+Z to resume)' : ''
+    });
+  }, 250);
+  
+  try {
+    const results = await batchProcessor.processStream(files, apiKey, options);
+    
+    progressBar.setTotal(counters.queued);
+    progressBar.update(counters.queued, {
+      scanned: counters.scanned,
+      savings: formatBytes(results.totalSavings),
+      concurrent: '0',
+      apiKey: batchProcessor.getCurrentApiKeyName(),
+      paused: ''
+    });
+    
+    return results;
+    
+  } finally {
+    progressBar.stop();
+    clearInterval(progressInterval);
+    releasePauseSignals();
+  }
+}
+
+function displayCompressionReport(results, collisions = [], minSavings = null) {
   const stats = calculateCompressionStats(results);
   
   console.log('\n📊 Compression Report');
@@ -262,6 +718,9 @@ function displayCompressionReport(results, apiKeyName) {
   console.log(`   Total: ${stats.totalFiles}`);
   console.log(`   Successful: ${stats.successfulFiles} (${stats.successRate.toFixed(1)}%)`);
   console.log(`   Failed: ${stats.failedFiles}`);
+  if (stats.noGainFiles > 0) {
+    console.log(`   No gain: ${stats.noGainFiles} (originals kept)`);
+  }
   
   if (stats.successfulFiles > 0) {
     // Size statistics
@@ -284,8 +743,13 @@ function displayCompressionReport(results, apiKeyName) {
       console.log(`\n🔄 Concurrent Processing:`);
       console.log(`   Max Concurrent: ${results.concurrentMetrics.maxConcurrent}`);
       console.log(`   Peak Concurrent: ${results.concurrentMetrics.peakConcurrency}`);
+      console.log(`   Avg Concurrent: ${results.concurrentMetrics.avgConcurrency.toFixed(1)}`);
+      console.log(`   Worker Utilization: ${(results.concurrentMetrics.utilization * 100).toFixed(0)}%`);
       console.log(`   Avg Response Time: ${results.concurrentMetrics.avgResponseTime.toFixed(0)}ms`);
       console.log(`   Total Requests: ${results.concurrentMetrics.totalRequests}`);
+      if (results.concurrentMetrics.pausedTime > 0) {
+        console.log(`   Paused: ${(results.concurrentMetrics.pausedTime / 1000).toFixed(1)}s (throughput ${results.concurrentMetrics.throughput.toFixed(1)} files/second while running)`);
+      }
     }
     
     // By file type
@@ -303,13 +767,66 @@ function displayCompressionReport(results, apiKeyName) {
     }
   }
   
-  // API usage
-  const remaining = 500 - results.finalCompressionCount;
+  // API usage per key involved in the batch
   console.log(`\n🔑 API Key Usage:`);
-  console.log(`   ${apiKeyName}: ${results.finalCompressionCount}/500 compressions used (${remaining} remaining)`);
+  results.keyUsage.forEach(usage => {
+    const remaining = Math.max(0, 500 - usage.finalCount);
+    console.log(`   ${usage.name}: ${usage.finalCount}/500 compressions used (${remaining} remaining) - ${usage.compressions} this run`);
+  });
+  
+  if (results.keySwitches.length > 0) {
+    console.log(`\n🔀 API Key Switches:`);
+    results.keySwitches.forEach(change => {
+      console.log(`   ${change.from} → ${change.to} after ${change.afterFiles} files (${change.reason})`);
+    });
+  }
+  
+  // Responsive variants
+  const variantResults = results.successful.filter(r => r.variants);
+  if (variantResults.length > 0) {
+    const variantCount = variantResults.reduce((sum, r) => sum + r.variants.length, 0);
+    console.log(`\n📐 Responsive Variants: ${variantCount} from ${variantResults.length} sources`);
+    variantResults.forEach(result => {
+      const widths = result.variants.map(variant => `${variant.width}w`).join(', ');
+      console.log(`   ${path.basename(result.file)} → ${widths}`);
+    });
+  }
+  
+  // Additional formats
+  const multiFormatResults = results.successful.filter(r => r.outputs);
+  if (multiFormatResults.length > 0) {
+    const outputCount = multiFormatResults.reduce((sum, r) => sum + r.outputs.length, 0);
+    console.log(`\n🧩 Output Formats: ${outputCount} files from ${multiFormatResults.length} sources`);
+    multiFormatResults.forEach(result => {
+      const formats = result.outputs.map(output => `${output.format.toUpperCase()} ${output.noGain ? 'kept (no gain)' : formatBytes(output.size)}`).join(', ');
+      const skipped = result.skippedFormats.length > 0 ? ` (no ${result.skippedFormats.map(format => format.toUpperCase()).join(', ')}: transparent)` : '';
+      console.log(`   ${path.basename(result.file)} → ${formats}${skipped}`);
+    });
+  }
+  
+  // Auto format selection
+  const autoFormatResults = results.successful.filter(r => r.autoFormat);
+  if (autoFormatResults.length > 0) {
+    const wins = {};
+    autoFormatResults.forEach(r => {
+      wins[r.autoFormat.format] = (wins[r.autoFormat.format] || 0) + 1;
+    });
+    const winSummary = Object.entries(wins).map(([format, count]) => `${format.toUpperCase()} ${count}`).join(', ');
+    
+    console.log(`\n🏆 Smallest Format: ${winSummary}`);
+    autoFormatResults.forEach(result => {
+      const change = result.savings >= 0
+        ? `${result.compressionRatio.toFixed(1)}% smaller, ${formatBytes(result.savings)} saved`
+        : `${Math.abs(result.compressionRatio).toFixed(1)}% larger`;
+      const kept = result.autoFormat.format === result.autoFormat.originalFormat ? ' (original format kept)' : '';
+      console.log(`   ${path.basename(result.file)} → ${result.autoFormat.format.toUpperCase()}${kept}: ${change} (of ${result.autoFormat.candidates.map(format => format.toUpperCase()).join(', ')})`);
+    });
+  }
   
   // Converted files
-  const convertedFiles = results.successful.filter(r => r.outputPath && r.outputPath !== r.file);
+  const convertedFiles = results.successful.filter(r => 
+    !r.variants && !r.outputs && !r.autoFormat && r.outputPath && path.extname(r.outputPath).toLowerCase() !== path.extname(r.file).toLowerCase()
+  );
   if (convertedFiles.length > 0) {
     console.log(`\n🔄 Converted Files:`);
     convertedFiles.forEach(result => {
@@ -319,6 +836,23 @@ function displayCompressionReport(results, apiKeyName) {
     });
   }
   
+  // Results that were discarded because they did not save enough; their quota is still counted above
+  const noGainResults = results.successful.filter(r => r.noGain);
+  if (noGainResults.length > 0) {
+    console.log(`\n➖ No Gain: ${noGainResults.length} originals kept`);
+    noGainResults.forEach(result => {
+      console.log(`   ${path.basename(result.file)}: ${describeNoGain(result.originalSize, result.rejectedSize, minSavings)}`);
+    });
+  }
+  
+  // Sources that would have overwritten each other's output
+  const collisionSample = toSample(collisions);
+  if (collisionSample.count > 0) {
+    console.log(`\n⚔️  Output Collisions: ${collisionSample.count}`);
+    collisionSample.items.forEach(collision => console.log(`   ${describeCollision(collision)}`));
+    logSampleRest(console.log, collisionSample);
+  }
+  
   // Enhanced error reporting
   if (results.failed.length > 0) {
     const errorSummary = formatBatchErrorSummary(results.failed, results.successful.length + results.failed.length);
@@ -331,6 +865,7 @@ function calculateCompressionStats(results) {
     totalFiles: results.successful.length + results.failed.length,
     successfulFiles: results.successful.length,
     failedFiles: results.failed.length,
+    noGainFiles: results.successful.filter(r => r.noGain).length,
     successRate: 0,
     totalOriginalSize: results.totalOriginalSize,
     totalCompressedSize: results.totalCompressedSize,
@@ -353,23 +888,30 @@ function calculateCompressionStats(results) {
     stats.throughput = (stats.successfulFiles / results.processingTime) * 1000;
   }
   
-  // Group by file type (using output file extension for converted files)
+  // Group by file type (using output file extension for converted files). With several
+  // formats per source, every output counts towards its own type against the source size
   for (const result of results.successful) {
-    const ext = path.extname(result.outputPath || result.file).toLowerCase();
-    
-    if (!stats.byFileType[ext]) {
-      stats.byFileType[ext] = {
-        count: 0,
-        originalSize: 0,
-        compressedSize: 0,
-        savings: 0
-      };
-    }
+    const outputs = result.outputs
+      ? result.outputs.map(output => ({ path: output.outputPath, size: output.size }))
+      : [{ path: result.outputPath || result.file, size: result.compressedSize }];
     
-    stats.byFileType[ext].count++;
-    stats.byFileType[ext].originalSize += result.originalSize;
-    stats.byFileType[ext].compressedSize += result.compressedSize;
-    stats.byFileType[ext].savings += result.savings;
+    for (const output of outputs) {
+      const ext = path.extname(output.path).toLowerCase();
+      
+      if (!stats.byFileType[ext]) {
+        stats.byFileType[ext] = {
+          count: 0,
+          originalSize: 0,
+          compressedSize: 0,
+          savings: 0
+        };
+      }
+      
+      stats.byFileType[ext].count++;
+      stats.byFileType[ext].originalSize += result.originalSize;
+      stats.byFileType[ext].compressedSize += output.size;
+      stats.byFileType[ext].savings += result.originalSize - output.size;
+    }
   }
   
   return stats;
@@ -1,6 +1,8 @@
 import inquirer from 'inquirer';
+import path from 'path';
 import tinify from 'tinify';
-import { configExists, createDefaultConfig, saveConfig } from '../config/index.js';
+import { configExists, createDefaultConfig, saveConfig, getConfigPath } from '../config/index.js';
+import { resolveKeyReference, createKeyStorageQuestions, getAnsweredKeyReference, storeAnsweredKey, saveKeystore } from '../config/secrets.js';
 
 async function addApiKey(config) {
   const answers = await inquirer.prompt([
@@ -18,17 +20,7 @@ async function addApiKey(config) {
         return true;
       }
     },
-    {
-      type: 'input',
-      name: 'key',
-      message: 'Enter TinyPNG API key:',
-      validate: (input) => {
-        if (!/^[a-zA-Z0-9]{32}$/.test(input)) {
-          return 'API key must be exactly 32 characters';
-        }
-        return true;
-      }
-    },
+    ...createKeyStorageQuestions(getConfigPath()),
     {
       type: 'input',
       name: 'email',
@@ -42,9 +34,12 @@ async function addApiKey(config) {
     }
   ]);
   
+  const keyReference = getAnsweredKeyReference(answers);
+  const keyValue = resolveKeyReference(keyReference, path.dirname(getConfigPath()));
+  
   const newApiKey = {
     name: answers.name,
-    key: answers.key,
+    key: keyReference,
     email: answers.email,
     compressions_used: 0,
     last_reset: new Date().toISOString().split('T')[0],
@@ -53,7 +48,7 @@ async function addApiKey(config) {
   };
   
   try {
-    tinify.key = answers.key;
+    tinify.key = keyValue;
     
     await new Promise((resolve, reject) => {
       tinify.validate((err) => {
@@ -71,6 +66,8 @@ async function addApiKey(config) {
     throw new Error(`API key validation failed: ${err.message}`);
   }
   
+  await storeAnsweredKey(newApiKey, answers, getConfigPath());
+  
   config.apiKeys.push(newApiKey);
   return newApiKey;
 }
@@ -82,7 +79,7 @@ async function initCommand() {
         {
           type: 'confirm',
           name: 'overwrite',
-          message: 'Configuration file already exists. Overwrite?',
+          message: `Configuration file already exists at ${getConfigPath()}. Overwrite?`,
           default: false
         }
       ]);
@@ -135,8 +132,9 @@ async function initCommand() {
       return;
     }
     
-    saveConfig(config);
-    console.log(`\n✓ Configuration saved successfully`);
+    await saveKeystore();
+    await saveConfig(config);
+    console.log(`\n✓ Configuration saved to ${getConfigPath()}`);
     console.log(`✓ Added ${keyCount} API key${keyCount === 1 ? '' : 's'}`);
     console.log(`✓ All keys validated successfully\n`);
     console.log(`Use 'tinypng-compress --check' to view key status`);
@@ -0,0 +1,104 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { loadLedger, pruneLedger, rebuildLedger } from '../ledger/index.js';
+import { scanForImages, formatBytes } from '../utils/fileOps.js';
+import { createScanFilter } from '../utils/scanFilter.js';
+import { validateFormat } from '../utils/formatHelper.js';
+import { createProcessOptions, excludeEarlierOutputs } from '../compression/selection.js';
+
+const LEDGER_ACTIONS = ['show', 'prune', 'rebuild'];
+
+function describeOptions(entryOptions) {
+  const parts = [];
+  
+  if (entryOptions.convert) parts.push(`convert=${entryOptions.convert}`);
+  if (entryOptions.maxSize) parts.push(`max-size=${entryOptions.maxSize} (${entryOptions.maxSide})`);
+  if (entryOptions.resize) {
+    const { method, width, height, upscale } = entryOptions.resize;
+    parts.push(`resize=${method} ${width || 'auto'}×${height || 'auto'}${upscale ? ' (upscale)' : ''}`);
+  }
+  if (entryOptions.background) parts.push(`background=${entryOptions.background}`);
+  if (entryOptions.outputPattern) parts.push(`output-pattern=${entryOptions.outputPattern}`);
+  if (entryOptions.minSavings) parts.push(`min-savings=${entryOptions.minSavings}`);
+  if (entryOptions.autoFormat) parts.push('convert=auto');
+  if (entryOptions.formats) parts.push(`formats=${entryOptions.formats}`);
+  if (entryOptions.sizes) parts.push(`sizes=${entryOptions.sizes}`);
+  if (entryOptions.preserveMetadata) parts.push('preserve-metadata');
+  
+  return parts.length > 0 ? parts.join(', ') : 'defaults';
+}
+
+function showLedger(ledger) {
+  const entries = Object.values(ledger.data.entries)
+    .sort((a, b) => a.path.localeCompare(b.path));
+  
+  console.log(`Compression ledger: ${ledger.path}`);
+  console.log(`Entries: ${entries.length}`);
+  
+  if (entries.length === 0) {
+    return;
+  }
+  
+  let totalSaved = 0;
+  
+  console.log('');
+  entries.forEach(entry => {
+    const saved = entry.originalSize !== null ? entry.originalSize - entry.compressedSize : null;
+    if (saved !== null) totalSaved += saved;
+    
+    let savedText = saved !== null ? `${formatBytes(Math.max(saved, 0))} saved` : 'imported';
+    if (entry.noGain) savedText = 'no gain, original kept';
+    const date = entry.compressedAt.split('T')[0];
+    
+    console.log(`   ${entry.path} | ${savedText} | ${describeOptions(entry.options)} | ${date}${entry.apiKey ? ` | ${entry.apiKey}` : ''}`);
+  });
+  
+  console.log(`\nTotal recorded savings: ${formatBytes(totalSaved)}`);
+}
+
+async function ledgerCommand(dirPath, action, options = {}) {
+  const resolvedDirPath = path.resolve(dirPath);
+  
+  if (!LEDGER_ACTIONS.includes(action)) {
+    throw new Error(`Unknown ledger action: ${action}. Supported actions: ${LEDGER_ACTIONS.join(', ')}`);
+  }
+  
+  if (!fs.existsSync(resolvedDirPath) || !fs.statSync(resolvedDirPath).isDirectory()) {
+    throw new Error(`Directory not found: ${resolvedDirPath}`);
+  }
+  
+  const ledger = await loadLedger(resolvedDirPath);
+  
+  if (action === 'show') {
+    showLedger(ledger);
+    return;
+  }
+  
+  if (action === 'prune') {
+    const removed = await pruneLedger(ledger);
+    console.log(`✓ Pruned ${removed.length} stale ledger entries`);
+    removed.forEach(entry => console.log(`   ${entry.path}`));
+    console.log(`✓ ${Object.keys(ledger.data.entries).length} entries remaining`);
+    return;
+  }
+  
+  // Rebuild: record the files currently on disk as compressed with the given options
+  validateFormat(options.convert);
+  
+  const filter = createScanFilter(resolvedDirPath, {
+    include: options.include,
+    exclude: options.exclude,
+    backupDirectory: options.backupDirectory || './original'
+  });
+  const rebuildOptions = createProcessOptions(options, resolvedDirPath);
+  const imageFiles = excludeEarlierOutputs(
+    await scanForImages(resolvedDirPath, options.recursive, { filter, followSymlinks: options.followSymlinks, inPlace: !rebuildOptions.outputDir }),
+    rebuildOptions
+  );
+  
+  const count = await rebuildLedger(ledger, imageFiles, rebuildOptions);
+  console.log(`✓ Ledger rebuilt with ${count} entries: ${ledger.path}`);
+  console.log('   Future runs with the same options will skip these files');
+}
+
+export default ledgerCommand;
\ No newline at end of file
@@ -1,6 +1,8 @@
 import inquirer from 'inquirer';
+import path from 'path';
 import tinify from 'tinify';
-import { configExists, loadConfig, saveConfig } from '../config/index.js';
+import { configExists, loadConfig, saveConfig, getConfigPath } from '../config/index.js';
+import { resolveKeyReference, createKeyStorageQuestions, getAnsweredKeyReference, storeAnsweredKey, saveKeystore } from '../config/secrets.js';
 
 async function addNewApiKey(config) {
   const answers = await inquirer.prompt([
@@ -18,17 +20,7 @@ async function addNewApiKey(config) {
         return true;
       }
     },
-    {
-      type: 'input',
-      name: 'key',
-      message: 'Enter TinyPNG API key:',
-      validate: (input) => {
-        if (!/^[a-zA-Z0-9]{32}$/.test(input)) {
-          return 'API key must be exactly 32 characters';
-        }
-        return true;
-      }
-    },
+    ...createKeyStorageQuestions(getConfigPath()),
     {
       type: 'input',
       name: 'email',
@@ -42,9 +34,12 @@ async function addNewApiKey(config) {
     }
   ]);
   
+  const keyReference = getAnsweredKeyReference(answers);
+  const keyValue = resolveKeyReference(keyReference, path.dirname(getConfigPath()));
+  
   const newApiKey = {
     name: answers.name,
-    key: answers.key,
+    key: keyReference,
     email: answers.email,
     compressions_used: 0,
     last_reset: new Date().toISOString().split('T')[0],
@@ -53,7 +48,7 @@ async function addNewApiKey(config) {
   };
   
   try {
-    tinify.key = answers.key;
+    tinify.key = keyValue;
     
     await new Promise((resolve, reject) => {
       tinify.validate((err) => {
@@ -71,6 +66,8 @@ async function addNewApiKey(config) {
     throw new Error(`API key validation failed: ${err.message}`);
   }
   
+  await storeAnsweredKey(newApiKey, answers, getConfigPath());
+  
   config.apiKeys.push(newApiKey);
   return newApiKey;
 }
@@ -79,7 +76,7 @@ async function newKeyCommand() {
   try {
     // Check if configuration file exists
     if (!configExists()) {
-      console.error('❌ Configuration file not found.');
+      console.error(`❌ Configuration file not found: ${getConfigPath()}`);
       console.error('\nSuggestion: Run \'tinypng-compress --init\' first to create initial configuration');
       process.exit(1);
     }
@@ -87,7 +84,7 @@ async function newKeyCommand() {
     // Load existing configuration
     const config = await loadConfig();
     
-    console.log('Adding new API key to existing configuration...\n');
+    console.log(`Adding new API key to existing configuration: ${getConfigPath()}\n`);
     console.log(`Current API keys: ${config.apiKeys.length}`);
     
     if (config.apiKeys.length > 0) {
@@ -101,6 +98,7 @@ async function newKeyCommand() {
     const newApiKey = await addNewApiKey(config);
     
     // Save updated configuration
+    await saveKeystore();
     await saveConfig(config);
     
     console.log(`\n✓ API key '${newApiKey.name}' added successfully`);
@@ -0,0 +1,110 @@
+import { loadConfig, saveConfig, getConfigPath } from '../config/index.js';
+import { getConfigLayers, flagToProperty, OPTION_DEFINITIONS } from '../config/options.js';
+import { parseFormats } from '../utils/formatHelper.js';
+
+const PRESET_ACTIONS = ['list', 'add', 'delete'];
+
+function describePreset(preset) {
+  const parts = Object.entries(preset).map(([field, value]) => `${field}=${value}`);
+  return parts.length > 0 ? parts.join(', ') : 'no settings';
+}
+
+function listPresets() {
+  const layers = getConfigLayers();
+  const seen = new Set();
+  let count = 0;
+  
+  layers.forEach(layer => {
+    const presets = Object.entries(layer.data.presets || {});
+    if (presets.length === 0) {
+      return;
+    }
+    
+    console.log(`\n${layer.source}: ${layer.path}`);
+    presets.forEach(([name, preset]) => {
+      // Project presets hide global presets with the same name
+      const shadowed = seen.has(name) ? ' (overridden)' : '';
+      console.log(`   ${name}: ${describePreset(preset)}${shadowed}`);
+      seen.add(name);
+      count++;
+    });
+  });
+  
+  if (count === 0) {
+    console.log('No presets defined. Add one with --presets add --preset <name> and the options to store');
+  }
+}
+
+function collectPresetValues(cliOptions) {
+  // Only options given explicitly on the command line are stored in the preset
+  const values = {};
+  
+  OPTION_DEFINITIONS
+    .filter(definition => definition.preset && definition.flag)
+    .forEach(definition => {
+      const value = cliOptions[flagToProperty(definition.flag)];
+      if (value !== undefined) {
+        values[definition.preset] = definition.parse(value);
+      }
+    });
+  
+  // --convert webp,avif is stored the same way as --formats webp,avif
+  if (typeof values.convert === 'string' && values.convert.includes(',')) {
+    values.formats = parseFormats(values.convert);
+    delete values.convert;
+  }
+  
+  // Stored as written in the configuration: "5%" or a number of bytes
+  if (values.min_savings) {
+    values.min_savings = values.min_savings.percent !== undefined ? `${values.min_savings.percent}%` : values.min_savings.bytes;
+  }
+  
+  if (values.max_size !== undefined && /^\d+$/.test(values.max_size)) {
+    values.max_size = parseInt(values.max_size, 10);
+  }
+  
+  return values;
+}
+
+async function presetsCommand(action, name, cliOptions = {}) {
+  if (!PRESET_ACTIONS.includes(action)) {
+    throw new Error(`Unknown presets action: ${action}. Supported actions: ${PRESET_ACTIONS.join(', ')}`);
+  }
+  
+  if (action === 'list') {
+    listPresets();
+    return;
+  }
+  
+  if (!name) {
+    throw new Error(`--presets ${action} requires --preset <name>`);
+  }
+  
+  const config = await loadConfig();
+  
+  if (action === 'add') {
+    const values = collectPresetValues(cliOptions);
+    
+    if (Object.keys(values).length === 0) {
+      throw new Error('No options given. Pass the options to store, e.g. --convert avif --max-size 2400 --max-side width');
+    }
+    
+    const existed = !!config.presets?.[name];
+    config.presets = { ...config.presets, [name]: values };
+    await saveConfig(config);
+    
+    console.log(`✓ Preset '${name}' ${existed ? 'updated' : 'added'}: ${describePreset(values)}`);
+    console.log(`   Stored in ${getConfigPath()}`);
+    return;
+  }
+  
+  if (!config.presets?.[name]) {
+    throw new Error(`Preset '${name}' not found in ${getConfigPath()}`);
+  }
+  
+  delete config.presets[name];
+  await saveConfig(config);
+  console.log(`✓ Preset '${name}' deleted`);
+}
+
+export default presetsCommand;
\ No newline at end of file
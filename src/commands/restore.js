@@ -0,0 +1,258 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { listBackupVersions, formatBytes, SUPPORTED_EXTENSIONS } from '../utils/fileOps.js';
+import { listConvertedOutputs } from '../ledger/index.js';
+
+const DEFAULT_BACKUP_DIRECTORY = './original';
+
+/**
+ * Pick the backup version to restore
+ * @param {Array} versions - Backup versions, oldest first
+ * @param {string} version - 'latest', 'original' or a backup timestamp (prefix)
+ * @returns {Object|null} Selected version or null if none matches
+ */
+function selectBackupVersion(versions, version = 'latest') {
+  if (versions.length === 0) {
+    return null;
+  }
+  
+  if (version === 'latest') {
+    return versions[versions.length - 1];
+  }
+  
+  if (version === 'original') {
+    return versions[0];
+  }
+  
+  const matching = versions.filter(v => v.timestamp && v.timestamp.startsWith(version));
+  return matching.length > 0 ? matching[matching.length - 1] : null;
+}
+
+// A --dir run keeps its ledger in the directory it was started in, which may be any parent
+function findKnownOutputs(startDirectory) {
+  const outputs = new Set();
+  let currentDir = startDirectory;
+  
+  while (true) {
+    listConvertedOutputs(currentDir).forEach(output => outputs.add(output));
+    
+    const parentDir = path.dirname(currentDir);
+    if (parentDir === currentDir) {
+      return outputs;
+    }
+    currentDir = parentDir;
+  }
+}
+
+function findSiblingImages(targetPath) {
+  const parsedPath = path.parse(targetPath);
+  
+  return SUPPORTED_EXTENSIONS
+    .filter(ext => ext !== parsedPath.ext.toLowerCase())
+    .map(ext => path.join(parsedPath.dir, parsedPath.name + ext))
+    .filter(candidate => fs.existsSync(candidate));
+}
+
+function findConvertedOutputs(targetPath, backedUpPaths, knownOutputs) {
+  // Outputs of a format conversion share the base name but not the extension. A sibling is only
+  // removed when it is known to be one: the ledger recorded it, or the source is gone because the
+  // conversion replaced it. Siblings that have backups of their own were inputs, so they are left alone.
+  const sourceReplaced = !fs.existsSync(targetPath);
+  
+  return findSiblingImages(targetPath)
+    .filter(candidate => !backedUpPaths.has(candidate) && (sourceReplaced || knownOutputs.has(candidate)));
+}
+
+function createRestoreEntry(targetPath, group, version, backedUpPaths, knownOutputs, problem = null) {
+  return {
+    target: targetPath,
+    versions: group.versions,
+    selected: problem ? null : selectBackupVersion(group.versions, version),
+    removeOutputs: problem ? [] : findConvertedOutputs(targetPath, backedUpPaths, knownOutputs),
+    problem
+  };
+}
+
+// Directories below the restore root holding an image, by file name without extension
+function indexSourceDirectories(dirPath, backupName) {
+  const index = new Map();
+  
+  function scan(directory) {
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      const fullPath = path.join(directory, entry.name);
+      
+      if (entry.isDirectory() && entry.name !== backupName) {
+        scan(fullPath);
+      } else if (entry.isFile() && directory !== dirPath && SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        const name = path.parse(entry.name).name;
+        index.set(name, [...new Set([...(index.get(name) || []), directory])]);
+      }
+    }
+  }
+  
+  scan(dirPath);
+  return index;
+}
+
+/**
+ * Find where a backup belongs. Before backups mirrored the source tree, a recursive run copied
+ * every file straight into the backup root, so a top-level backup whose file is not at the top
+ * level belongs to the one subdirectory that has a file of that name
+ * @param {string} dirPath - Directory being restored
+ * @param {string} relativePath - Backup path relative to the backup root
+ * @param {Function} getSourceIndex - Lazily built index from indexSourceDirectories
+ * @returns {Object} { target, problem } where problem explains why nothing is restored
+ */
+function locateBackupTarget(dirPath, relativePath, getSourceIndex) {
+  const target = path.join(dirPath, relativePath);
+  
+  if (path.dirname(relativePath) !== '.' || fs.existsSync(target) || findSiblingImages(target).length > 0) {
+    return { target, problem: null };
+  }
+  
+  const directories = getSourceIndex().get(path.parse(relativePath).name) || [];
+  
+  if (directories.length === 1) {
+    return { target: path.join(directories[0], relativePath), problem: null };
+  }
+  
+  if (directories.length > 1) {
+    const locations = directories.map(directory => path.relative(dirPath, directory)).join(', ');
+    return { target, problem: `backup from before mirrored backups matches files in ${locations}; restore the file itself with --restore <file>` };
+  }
+  
+  return { target, problem: null };
+}
+
+function planDirectoryRestore(dirPath, version, backupDirectory) {
+  const backupRoot = path.resolve(dirPath, backupDirectory);
+  const groups = listBackupVersions(backupRoot);
+  
+  if (groups.length === 0) {
+    throw new Error(`No backups found in ${backupRoot}`);
+  }
+  
+  let sourceIndex = null;
+  const getSourceIndex = () => sourceIndex || (sourceIndex = indexSourceDirectories(dirPath, path.basename(backupDirectory)));
+  
+  const located = groups.map(group => ({ group, ...locateBackupTarget(dirPath, group.relativePath, getSourceIndex) }));
+  const backedUpPaths = new Set(located.map(({ target }) => target));
+  const knownOutputs = findKnownOutputs(dirPath);
+  
+  return located.map(({ group, target, problem }) =>
+    createRestoreEntry(target, group, version, backedUpPaths, knownOutputs, problem)
+  );
+}
+
+function planFileRestore(filePath, version, backupDirectory) {
+  const parsedPath = path.parse(filePath);
+  const backupName = path.basename(backupDirectory);
+  let currentDir = parsedPath.dir;
+  
+  // Walk up from the file: its backup may live in a parent's backup folder after a recursive run
+  while (true) {
+    const relativeDir = path.relative(currentDir, parsedPath.dir);
+    const backupRoot = path.resolve(currentDir, backupDirectory);
+    
+    if (!relativeDir.split(path.sep).includes(backupName)) {
+      // Mirrored layout first, then the flat layout
+      const candidateDirs = relativeDir ? [path.join(backupRoot, relativeDir), backupRoot] : [backupRoot];
+      
+      for (const candidateDir of candidateDirs) {
+        const groups = listBackupVersions(candidateDir, false);
+        const group = groups.find(g => g.relativePath === parsedPath.base) ||
+                      groups.find(g => path.parse(g.relativePath).name === parsedPath.name);
+        
+        if (group) {
+          const backedUpPaths = new Set(groups.map(g => path.join(parsedPath.dir, g.relativePath)));
+          const knownOutputs = findKnownOutputs(parsedPath.dir);
+          return [createRestoreEntry(path.join(parsedPath.dir, group.relativePath), group, version, backedUpPaths, knownOutputs)];
+        }
+      }
+    }
+    
+    const parentDir = path.dirname(currentDir);
+    if (parentDir === currentDir) {
+      break;
+    }
+    currentDir = parentDir;
+  }
+  
+  throw new Error(`No backup found for ${filePath}`);
+}
+
+function displayRestorePlan(plan, rootDir, dryRun) {
+  console.log(`\n${dryRun ? 'Restore plan (dry run)' : 'Restoring'}: ${plan.length} file${plan.length === 1 ? '' : 's'}`);
+  
+  plan.forEach(entry => {
+    const targetName = path.relative(rootDir, entry.target);
+    
+    if (!entry.selected) {
+      console.log(`   ⚠️  ${targetName}: ${entry.problem || 'no backup matches the requested version'}`);
+    } else {
+      const size = formatBytes(fs.statSync(entry.selected.path).size);
+      console.log(`   ${targetName} ← ${entry.selected.timestamp || 'original backup'} (${size})`);
+    }
+    
+    if (dryRun && entry.versions.length > 1) {
+      const versionList = entry.versions.map(v => v.timestamp || 'original').join(', ');
+      console.log(`      versions: ${versionList}`);
+    }
+    
+    entry.removeOutputs.forEach(output => {
+      console.log(`      remove converted output: ${path.basename(output)}`);
+    });
+  });
+}
+
+async function restoreCommand(targetPath, options = {}) {
+  const resolvedPath = path.resolve(targetPath);
+  const version = options.backupVersion || 'latest';
+  const backupDirectory = options.backupDirectory || DEFAULT_BACKUP_DIRECTORY;
+  
+  const isDirectory = fs.existsSync(resolvedPath) && fs.statSync(resolvedPath).isDirectory();
+  const plan = isDirectory
+    ? planDirectoryRestore(resolvedPath, version, backupDirectory)
+    : planFileRestore(resolvedPath, version, backupDirectory);
+  
+  displayRestorePlan(plan, isDirectory ? resolvedPath : path.dirname(resolvedPath), options.dryRun);
+  
+  if (options.dryRun) {
+    console.log('\nDry run - no files were changed');
+    return plan;
+  }
+  
+  const results = { restored: 0, removed: 0, skipped: 0, errors: [] };
+  
+  for (const entry of plan) {
+    if (!entry.selected) {
+      results.skipped++;
+      continue;
+    }
+    
+    try {
+      await fs.copy(entry.selected.path, entry.target, { overwrite: true, preserveTimestamps: true });
+      results.restored++;
+      
+      for (const output of entry.removeOutputs) {
+        await fs.remove(output);
+        results.removed++;
+      }
+    } catch (err) {
+      results.errors.push({ file: entry.target, error: err.message });
+    }
+  }
+  
+  console.log(`\n✓ Restored ${results.restored} files, removed ${results.removed} converted outputs${results.skipped > 0 ? `, skipped ${results.skipped}` : ''}`);
+  
+  if (results.errors.length > 0) {
+    console.log(`   ${results.errors.length} restore errors occurred`);
+    results.errors.forEach(error => {
+      console.log(`   ${path.basename(error.file)}: ${error.error}`);
+    });
+  }
+  
+  return results;
+}
+
+export default restoreCommand;
\ No newline at end of file
@@ -0,0 +1,40 @@
+import { resolveOptions, getConfigLayers, OPTION_DEFINITIONS } from '../config/options.js';
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function describeSource({ source, detail }) {
+  if (source === 'default') {
+    return 'default';
+  }
+  return `${source}: ${detail}`;
+}
+
+async function showConfigCommand(cliOptions = {}) {
+  const { values, sources } = resolveOptions(cliOptions);
+  const layers = getConfigLayers();
+  
+  console.log('Effective options (flag > preset > env > project config > global config > default)\n');
+  
+  if (layers.length === 0) {
+    console.log('Configuration files: none found\n');
+  } else {
+    console.log('Configuration files:');
+    layers.forEach(layer => console.log(`   ${layer.source}: ${layer.path}`));
+    console.log('');
+  }
+  
+  const nameWidth = Math.max(...OPTION_DEFINITIONS.map(definition => definition.name.length)) + 2;
+  const valueWidth = Math.max(...OPTION_DEFINITIONS.map(definition => formatValue(values[definition.name]).length)) + 2;
+  
+  OPTION_DEFINITIONS.forEach(definition => {
+    const name = definition.name.padEnd(nameWidth);
+    const value = formatValue(values[definition.name]).padEnd(valueWidth);
+    console.log(`   ${name}${value}${describeSource(sources[definition.name])}`);
+  });
+  
+  return { values, sources };
+}
+
+export default showConfigCommand;
\ No newline at end of file
@@ -0,0 +1,487 @@
+import { loadConfig, saveConfig } from '../config/index.js';
+import { BatchProcessor } from '../compression/batchProcessor.js';
+import { createProcessOptions, excludeEarlierOutputs, selectFilesToCompress, getFileOutputPath, getBackupDirectory } from '../compression/selection.js';
+import { validateFileForProcessingAsync, backupFile, formatBytes, isPathInside, describeNoGain, checkInPlaceLink, SUPPORTED_EXTENSIONS } from '../utils/fileOps.js';
+import { validateApiKeySelection, isAutoSelection } from '../utils/apiKeySelector.js';
+import { determineOutputFormat, validateFormat, getConvertDescription, isAutoFormat } from '../utils/formatHelper.js';
+import { validateOutputPattern } from '../utils/outputPattern.js';
+import { createScanFilter } from '../utils/scanFilter.js';
+import { createResizeSpec, describeResizeSpec } from '../utils/imageUtils.js';
+import { loadLedger } from '../ledger/index.js';
+import path from 'path';
+import fs from 'fs-extra';
+
+// A file is picked up once its size and modification time stay the same for this long
+const STABLE_AFTER_MS = 1000;
+
+function timestamp() {
+  return new Date().toTimeString().slice(0, 8);
+}
+
+// Every output a result wrote, so the events for them are not taken for new images
+function getWrittenPaths(result) {
+  return [
+    result.outputPath,
+    ...(result.outputs || []).map(output => output.outputPath),
+    ...(result.variants || []).map(variant => variant.outputPath)
+  ].filter(Boolean);
+}
+
+/**
+ * Compress images as they are added to or changed in a directory, until interrupted.
+ * Files are picked up once they stop growing and go through the same ledger check, validation,
+ * backup and batch processor as --dir. The tool's own writes (.tmp files, outputs, backups)
+ * are ignored so nothing is compressed twice
+ * @param {string} dirPath - Directory to watch
+ * @param {string} apiKeyName - API key name or "any"
+ * @param {Object} options - Resolved options as for --dir
+ * @returns {Promise<Object>} Batch results of the whole session
+ */
+async function watchCommand(dirPath, apiKeyName, options = {}) {
+  const resolvedDirPath = path.resolve(dirPath);
+  
+  if (!fs.existsSync(resolvedDirPath)) {
+    throw new Error(`Directory not found: ${resolvedDirPath}`);
+  }
+  
+  if (!fs.statSync(resolvedDirPath).isDirectory()) {
+    throw new Error(`Path is not a directory: ${resolvedDirPath}`);
+  }
+  
+  if (options.dryRun) {
+    throw new Error('--watch compresses files as they arrive; run --dir with --dry-run to preview');
+  }
+  
+  const config = await loadConfig();
+  
+  // Validate format option
+  validateFormat(options.convert);
+  
+  const resize = createResizeSpec(options);
+  if (options.sizes && (options.width || options.height)) {
+    throw new Error('--sizes cannot be combined with --width/--height; every variant is scaled to its own width');
+  }
+  if (options.formats && options.sizes) {
+    throw new Error('--sizes cannot be combined with several output formats');
+  }
+  if (options.formats && determineOutputFormat('', options.convert)) {
+    throw new Error(`--formats keeps the original format; remove --convert ${options.convert} or add it to the list`);
+  }
+  if (isAutoFormat(options.convert) && (options.formats || options.sizes)) {
+    throw new Error('--convert auto keeps a single format per file and cannot be combined with --formats or --sizes');
+  }
+  if (options.outputPattern) {
+    validateOutputPattern(options.outputPattern, options);
+  }
+  
+  const processOptions = createProcessOptions(options, resolvedDirPath);
+  const { outputDir } = processOptions;
+  const realRoot = fs.realpathSync(resolvedDirPath);
+  
+  const ledger = await loadLedger(resolvedDirPath);
+  const scanFilter = createScanFilter(resolvedDirPath, {
+    include: options.include,
+    exclude: options.exclude,
+    backupDirectory: options.backupDirectory || './original'
+  });
+  const backupDir = getBackupDirectory(resolvedDirPath, processOptions);
+  
+  const autoSelect = isAutoSelection(apiKeyName);
+  const apiKey = await validateApiKeySelection(apiKeyName, config, 1);
+  
+  console.log(`👀 Watching ${resolvedDirPath}${options.recursive ? ' and its subdirectories' : ''}`);
+  console.log(`Using API key: ${apiKey.name}${autoSelect ? ' (auto-selected)' : ''}`);
+  console.log(`Action: ${getConvertDescription(options.convert, 'files', processOptions.formats)}`);
+  if (resize && !processOptions.sizes) {
+    console.log(`Resize: ${describeResizeSpec(resize)}`);
+  }
+  if (outputDir) {
+    console.log(`Writing results to: ${outputDir}`);
+  } else if (backupDir) {
+    console.log(`Backing up originals to: ${backupDir}`);
+  }
+  const pauseHint = process.platform !== 'win32' ? ', Ctrl+Z to pause or resume' : '';
+  console.log(`Images already in the directory are left alone; press Ctrl+C to stop${pauseHint}\n`);
+  
+  const session = { compressed: 0, noGain: 0, failed: 0, skipped: 0, savings: 0 };
+  
+  // Outputs written this session by their size and time, and which source each output belongs to
+  const ownWrites = new Map();
+  const claimedOutputs = new Map();
+  
+  const batchProcessor = new BatchProcessor({
+    maxConcurrent: options.maxConcurrent || 3,
+    requestDelay: options.requestDelay ?? 100,
+    retryAttempts: options.retryAttempts ?? 3,
+    adaptiveRateLimit: config.advanced?.adaptive_rate_limiting !== false,
+    priority: options.priority,
+    ledger,
+    keyConfig: autoSelect ? config : null,
+    onFileDone: (file, result, error) => {
+      if (result) {
+        getWrittenPaths(result).forEach(outputPath => {
+          const stats = fs.statSync(outputPath, { throwIfNoEntry: false });
+          if (stats) ownWrites.set(outputPath, { size: stats.size, mtimeMs: stats.mtimeMs });
+        });
+        
+        if (result.noGain) {
+          session.noGain++;
+        } else {
+          session.compressed++;
+          session.savings += result.savings;
+        }
+      } else {
+        session.failed++;
+      }
+      
+      logRollingSummary(file, result, error, session, batchProcessor, processOptions.minSavings);
+    }
+  });
+  
+  // Files whose size has settled, waiting for the batch processor to ask for the next one
+  const stablePaths = [];
+  const pending = new Map();
+  let wakeUp = null;
+  let stopping = false;
+  
+  function notify() {
+    if (wakeUp) {
+      wakeUp();
+      wakeUp = null;
+    }
+  }
+  
+  function skip(relativePath, reason) {
+    session.skipped++;
+    console.log(`⏭️  ${timestamp()} ${relativePath}: ${reason}`);
+  }
+  
+  function checkStable(filePath, previous) {
+    pending.delete(filePath);
+    
+    const stats = fs.lstatSync(filePath, { throwIfNoEntry: false });
+    if (!stats || stopping) {
+      return; // Removed again, e.g. a temporary export
+    }
+    if (stats.isSymbolicLink() && !options.followSymlinks) {
+      return;
+    }
+    
+    if (!previous || stats.size !== previous.size || stats.mtimeMs !== previous.mtimeMs || stats.size === 0) {
+      // Still being written: look again once it has had time to settle
+      pending.set(filePath, setTimeout(() => checkStable(filePath, stats), STABLE_AFTER_MS));
+      return;
+    }
+    
+    const written = ownWrites.get(filePath);
+    if (written && written.size === stats.size && written.mtimeMs === stats.mtimeMs) {
+      return;
+    }
+    
+    if (!stablePaths.includes(filePath)) {
+      stablePaths.push(filePath);
+      notify();
+    }
+  }
+  
+  function scheduleFile(filePath) {
+    const relativePath = path.relative(resolvedDirPath, filePath);
+    const ext = path.extname(filePath).toLowerCase();
+    
+    // Temporary files the compressor writes before moving them over the output
+    if (ext === '.tmp' || !SUPPORTED_EXTENSIONS.includes(ext)) {
+      return;
+    }
+    if (outputDir && isPathInside(filePath, outputDir)) {
+      return;
+    }
+    if (scanFilter.isExcluded(relativePath)) {
+      return;
+    }
+    
+    clearTimeout(pending.get(filePath));
+    pending.set(filePath, setTimeout(() => checkStable(filePath, null), STABLE_AFTER_MS));
+  }
+  
+  // Only the subdirectories a --dir scan would enter are watched
+  function isWatchedDirectory(directory) {
+    const stats = fs.lstatSync(directory, { throwIfNoEntry: false });
+    if (!stats || (stats.isSymbolicLink() && !options.followSymlinks)) {
+      return false;
+    }
+    if (!fs.statSync(directory, { throwIfNoEntry: false })?.isDirectory()) {
+      return false;
+    }
+    if (stats.isSymbolicLink() && !outputDir && checkInPlaceLink(fs.realpathSync(directory), realRoot, true)) {
+      return false;
+    }
+    if (outputDir && isPathInside(directory, outputDir)) {
+      return false;
+    }
+    return !scanFilter.isExcluded(path.relative(resolvedDirPath, directory), true);
+  }
+  
+  // One watcher per directory: recursive fs.watch is not available on Linux before Node 19.1.
+  // A directory that appears while watching may already hold files, e.g. a copied folder
+  function watchDirectory(directory, isNew = false) {
+    let realPath;
+    let watcher;
+    try {
+      realPath = fs.realpathSync(directory);
+      if (watchers.has(directory) || watchedRealPaths.has(realPath)) {
+        return; // Already watched, or a symlink back into the tree
+      }
+      watcher = fs.watch(directory, (eventType, fileName) => handleEvent(directory, fileName));
+    } catch (err) {
+      console.log(`⚠️  Cannot watch ${path.relative(resolvedDirPath, directory)}: ${err.message}`);
+      return;
+    }
+    
+    watcher.on('error', err => {
+      if (directory === resolvedDirPath) {
+        console.error(`⚠️  Watching stopped: ${err.message}`);
+        stop();
+      } else {
+        unwatchDirectory(directory);
+      }
+    });
+    watchers.set(directory, { watcher, realPath });
+    watchedRealPaths.add(realPath);
+    
+    if (!options.recursive && !isNew) {
+      return;
+    }
+    
+    let entries = [];
+    try {
+      entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch (err) {
+      return; // Removed again right away
+    }
+    
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name);
+      if (options.recursive && (entry.isDirectory() || entry.isSymbolicLink()) && isWatchedDirectory(entryPath)) {
+        watchDirectory(entryPath, isNew);
+      } else if (isNew && !entry.isDirectory()) {
+        scheduleFile(entryPath);
+      }
+    }
+  }
+  
+  function unwatchDirectory(directory) {
+    for (const [watchedPath, { watcher, realPath }] of watchers) {
+      if (isPathInside(watchedPath, directory)) {
+        watcher.close();
+        watchers.delete(watchedPath);
+        watchedRealPaths.delete(realPath);
+      }
+    }
+  }
+  
+  function handleEvent(directory, fileName) {
+    if (!fileName || stopping) {
+      return;
+    }
+    
+    const filePath = path.join(directory, fileName.toString());
+    const stats = fs.lstatSync(filePath, { throwIfNoEntry: false });
+    
+    if (!stats) {
+      if (watchers.has(filePath)) {
+        unwatchDirectory(filePath); // Removed or renamed
+      }
+      return;
+    }
+    
+    if (stats.isDirectory() || (stats.isSymbolicLink() && fs.statSync(filePath, { throwIfNoEntry: false })?.isDirectory())) {
+      if (options.recursive && !watchers.has(filePath) && isWatchedDirectory(filePath)) {
+        watchDirectory(filePath, true);
+      }
+      return;
+    }
+    
+    scheduleFile(filePath);
+  }
+  
+  // Everything --dir does to a file before it is compressed, for one file at a time
+  async function prepareFile(filePath) {
+    const stats = fs.statSync(filePath, { throwIfNoEntry: false });
+    if (!stats) {
+      return null;
+    }
+    
+    const relativePath = path.relative(resolvedDirPath, filePath);
+    if (fs.lstatSync(filePath).isSymbolicLink() && !outputDir) {
+      skip(relativePath, checkInPlaceLink(fs.realpathSync(filePath), realRoot, false));
+      return null;
+    }
+    
+    const file = {
+      path: filePath,
+      relativePath,
+      name: path.basename(filePath),
+      size: stats.size
+    };
+    
+    const sources = excludeEarlierOutputs([file], processOptions);
+    if (sources.length === 0) {
+      return null;
+    }
+    
+    // A changed file replaces its earlier output, so outputs that already exist are not a reason to skip
+    const selection = await selectFilesToCompress(sources, processOptions, {
+      ledger,
+      force: options.force,
+      overwriteExisting: true,
+      onCollision: 'skip',
+      dryRun: false
+    });
+    
+    if (selection.skipped.ledger.length > 0) {
+      return null; // Unchanged since it was compressed, which includes files this session replaced
+    }
+    if (selection.skipped.small.length > 0) {
+      skip(relativePath, `narrower than every requested size (${processOptions.sizes.join(', ')})`);
+      return null;
+    }
+    if (selection.skipped.transparent.length > 0) {
+      skip(relativePath, 'transparent, would lose its transparency as JPEG (use --background)');
+      return null;
+    }
+    
+    // Two sources converted to the same name would overwrite each other's output
+    const outputPath = getFileOutputPath(file, processOptions);
+    const claimedBy = claimedOutputs.get(outputPath);
+    if (claimedBy && claimedBy !== file.path) {
+      skip(relativePath, `would overwrite ${path.relative(resolvedDirPath, outputPath)}, written from ${path.relative(resolvedDirPath, claimedBy)} this session`);
+      return null;
+    }
+    
+    const errors = await validateFileForProcessingAsync(file.path);
+    if (errors.length > 0) {
+      skip(relativePath, errors.join(', '));
+      return null;
+    }
+    
+    if (backupDir) {
+      try {
+        await backupFile(file.path, backupDir, processOptions.preserveStructure ? relativePath : null);
+      } catch (err) {
+        skip(relativePath, `backup failed: ${err.message}`);
+        return null;
+      }
+    }
+    
+    claimedOutputs.set(outputPath, file.path);
+    return file;
+  }
+  
+  async function* changedFiles() {
+    while (!stopping) {
+      if (stablePaths.length === 0) {
+        await new Promise(resolve => {
+          wakeUp = resolve;
+        });
+        continue;
+      }
+      
+      const filePath = stablePaths.shift();
+      let file = null;
+      try {
+        file = await prepareFile(filePath);
+      } catch (err) {
+        // E.g. deleted or made unreadable while it was being prepared: the session goes on
+        skip(path.relative(resolvedDirPath, filePath), err.message);
+      }
+      
+      if (file) {
+        yield file;
+      }
+    }
+  }
+  
+  const watchers = new Map();
+  const watchedRealPaths = new Set();
+  watchDirectory(resolvedDirPath);
+  
+  function stop() {
+    if (stopping) {
+      console.log('Stopping now');
+      process.exit(130);
+    }
+    
+    stopping = true;
+    console.log('\nStopping: finishing files in progress (press Ctrl+C again to quit now)');
+    // Files already queued still go through, so a paused session has to run again to finish
+    batchProcessor.resume();
+    watchers.forEach(({ watcher }) => watcher.close());
+    pending.forEach(timer => clearTimeout(timer));
+    pending.clear();
+    notify();
+  }
+  
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+  const releasePauseSignals = batchProcessor.handlePauseSignals(paused => {
+    console.log(paused
+      ? `⏸️  ${timestamp()} Paused: files in progress finish, nothing new starts until Ctrl+Z is pressed again`
+      : `▶️  ${timestamp()} Resumed`);
+  });
+  
+  try {
+    const results = await batchProcessor.processStream(changedFiles(), apiKey, processOptions);
+    displayWatchSummary(results, session);
+    return results;
+  } finally {
+    process.removeListener('SIGINT', stop);
+    process.removeListener('SIGTERM', stop);
+    releasePauseSignals();
+    
+    // Persist usage of every API key the session touched
+    await saveConfig(config);
+  }
+}
+
+// One line per file with the running totals of the session and the usage of the current key
+function logRollingSummary(file, result, error, session, batchProcessor, minSavings) {
+  const keyName = result?.apiKeyName || batchProcessor.getCurrentApiKeyName();
+  const usage = batchProcessor.getKeyUsage().find(entry => entry.name === keyName);
+  const totals = `session: ${session.compressed} compressed, ${formatBytes(session.savings)} saved${session.failed > 0 ? `, ${session.failed} failed` : ''} | ${keyName} ${usage ? usage.finalCount : '?'}/500`;
+  
+  if (error) {
+    console.log(`❌ ${timestamp()} ${file.relativePath}: ${error.message} | ${totals}`);
+  } else if (result.noGain) {
+    console.log(`➖ ${timestamp()} ${file.relativePath}: ${describeNoGain(result.originalSize, result.rejectedSize, minSavings)}, original kept | ${totals}`);
+  } else {
+    console.log(`✓ ${timestamp()} ${file.relativePath}: ${formatBytes(result.originalSize)} → ${formatBytes(result.compressedSize)} (${result.compressionRatio.toFixed(1)}% saved) | ${totals}`);
+  }
+}
+
+function displayWatchSummary(results, session) {
+  console.log('\n📊 Watch Summary');
+  console.log('='.repeat(50));
+  console.log(`   Compressed: ${session.compressed}`);
+  if (session.noGain > 0) {
+    console.log(`   No gain: ${session.noGain} (originals kept)`);
+  }
+  console.log(`   Failed: ${session.failed}`);
+  console.log(`   Skipped: ${session.skipped}`);
+  console.log(`   Saved: ${formatBytes(session.savings)}`);
+  console.log(`   Watched for: ${(results.processingTime / 1000).toFixed(0)}s`);
+  
+  console.log(`\n🔑 API Key Usage:`);
+  results.keyUsage.forEach(usage => {
+    const remaining = Math.max(0, 500 - usage.finalCount);
+    console.log(`   ${usage.name}: ${usage.finalCount}/500 compressions used (${remaining} remaining) - ${usage.compressions} this session`);
+  });
+  
+  if (results.keySwitches.length > 0) {
+    console.log(`\n🔀 API Key Switches:`);
+    results.keySwitches.forEach(change => {
+      console.log(`   ${change.from} → ${change.to} after ${change.afterFiles} files (${change.reason})`);
+    });
+  }
+}
+
+export default watchCommand;
\ No newline at end of file
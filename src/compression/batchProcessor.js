@@ -1,15 +1,40 @@
 import { compressWithRetry } from './index.js';
+import { recordCompression, flushLedger } from '../ledger/index.js';
+import { selectBestApiKey } from '../utils/apiKeySelector.js';
 import path from 'path';
+import fs from 'fs-extra';
+import tinify from 'tinify';
+import { WorkQueue, PRIORITY_ORDERS } from './workQueue.js';
 
 class BatchProcessor {
   constructor(config = {}) {
     this.maxConcurrent = config.maxConcurrent || 3;
-    this.requestDelay = config.requestDelay || 100;
-    this.retryAttempts = config.retryAttempts || 3;
+    this.requestDelay = config.requestDelay ?? 100;
+    this.retryAttempts = config.retryAttempts ?? 3;
     this.adaptiveRateLimit = config.adaptiveRateLimit !== false;
+    this.ledger = config.ledger || null;
+    
+    // Called with (file, result, error) once each file is done, e.g. for a rolling log
+    this.onFileDone = config.onFileDone || null;
+    
+    // Configuration holding the API keys a batch may spill over to once its key runs out
+    this.keyConfig = config.keyConfig || null;
+    this.currentApiKey = null;
+    this.keyUsage = new Map();
+    this.exhaustedKeys = new Set();
+    this.pendingKeySwitch = null;
+    
+    // Workers pull the next file from the queue as soon as they finish one
+    this.queue = new WorkQueue();
+    this.queueChanged = new Signal();
+    this.sourceDone = true;
+    this.priority = typeof config.priority === 'function' ? config.priority : PRIORITY_ORDERS[config.priority || 'scan'];
+    this.paused = false;
+    this.pausedAt = null;
+    this.pausedTime = 0;
+    this.busyTime = 0;
     
     this.activePromises = new Set();
-    this.semaphore = new Semaphore(this.maxConcurrent);
     this.rateMonitor = new RateMonitor();
     this.circuitBreaker = new CircuitBreaker();
     
@@ -18,6 +43,7 @@ class BatchProcessor {
       successful: 0,
       failed: 0,
       totalFiles: 0,
+      totalSavings: 0,
       startTime: null,
       currentThroughput: 0,
       estimatedTimeRemaining: 0
@@ -26,9 +52,169 @@ class BatchProcessor {
 
   async processBatch(files, apiKey, options = {}) {
     this.stats.totalFiles = files.length;
+    const results = this.startRun(apiKey);
+    
+    files.forEach(file => this.enqueue(file));
+    try {
+      await this.runWorkers(options, results);
+    } finally {
+      await this.flushLedger();
+    }
+    
+    return this.finishRun(results);
+  }
+  
+  /**
+   * Process files while they are still being found. Only a few files are pulled ahead of
+   * the workers, so the source can be a scan of any size
+   * @param {AsyncIterable<Object>} files - Files as from scanForImages, e.g. an async generator
+   * @param {Object} apiKey - API key to start with
+   * @param {Object} options - Compression options
+   * @returns {Promise<Object>} Results as from processBatch
+   */
+  async processStream(files, apiKey, options = {}) {
+    this.stats.totalFiles = 0;
+    const results = this.startRun(apiKey);
+    
+    // When the source throws, files already queued still finish and get recorded
+    let sourceError = null;
+    this.sourceDone = false;
+    const feeding = this.feedQueue(files).catch(error => {
+      sourceError = error;
+    });
+    
+    try {
+      await Promise.all([feeding, this.runWorkers(options, results)]);
+    } finally {
+      await this.flushLedger();
+    }
+    
+    if (sourceError) {
+      throw sourceError;
+    }
+    
+    return this.finishRun(results);
+  }
+  
+  async feedQueue(files) {
+    try {
+      for await (const file of files) {
+        while (this.queue.size >= this.maxConcurrent * 2) {
+          await this.queueChanged.wait();
+        }
+        
+        this.stats.totalFiles++;
+        this.enqueue(file);
+      }
+    } finally {
+      this.sourceDone = true;
+      this.queueChanged.notify();
+    }
+  }
+  
+  /**
+   * Queue a file; among queued files the highest priority is taken first, then the earliest queued
+   * @param {Object} file - File as from scanForImages
+   * @param {number} priority - Overrides the priority order given to the constructor
+   */
+  enqueue(file, priority = this.priority ? this.priority(file) : 0) {
+    this.queue.push(file, priority);
+    this.queueChanged.notify();
+  }
+  
+  // One worker per slot, each taking the next file the moment its previous one is done
+  async runWorkers(options, results) {
+    const workerCount = Math.max(1, this.maxConcurrent);
+    await Promise.all(Array.from({ length: workerCount }, () => this.runWorker(options, results)));
+  }
+  
+  async runWorker(options, results) {
+    for (;;) {
+      // A paused pool still finishes once there is nothing left to hand out
+      while ((this.paused && this.queue.size > 0) || (this.queue.size === 0 && !this.sourceDone)) {
+        await this.queueChanged.wait();
+      }
+      
+      if (this.queue.size === 0) {
+        return;
+      }
+      
+      const file = this.queue.shift();
+      this.queueChanged.notify();
+      
+      try {
+        await this.processFile(file, options, results);
+      } catch (error) {
+        // Recorded in results.failed
+      }
+    }
+  }
+  
+  /**
+   * Stop handing out files. Uploads already running finish; nothing new starts until resume()
+   */
+  pause() {
+    if (!this.paused) {
+      this.paused = true;
+      this.pausedAt = Date.now();
+    }
+  }
+  
+  resume() {
+    if (this.paused) {
+      this.pausedTime += Date.now() - this.pausedAt;
+      this.paused = false;
+      this.pausedAt = null;
+      this.queueChanged.notify();
+    }
+  }
+  
+  isPaused() {
+    return this.paused;
+  }
+  
+  /**
+   * Let Ctrl+Z (SIGTSTP) pause the run and resume it, instead of suspending the process.
+   * SIGCONT, e.g. from `kill -CONT`, resumes as well. Not available on Windows
+   * @param {Function} onChange - Called with true once paused and false once resumed
+   * @returns {Function} Removes the signal handlers again
+   */
+  handlePauseSignals(onChange = () => {}) {
+    if (process.platform === 'win32') {
+      return () => {};
+    }
+    
+    const toggle = () => {
+      if (this.paused) {
+        this.resume();
+      } else {
+        this.pause();
+      }
+      onChange(this.paused);
+    };
+    const resume = () => {
+      if (this.paused) {
+        this.resume();
+        onChange(false);
+      }
+    };
+    
+    process.on('SIGTSTP', toggle);
+    process.on('SIGCONT', resume);
+    
+    return () => {
+      process.removeListener('SIGTSTP', toggle);
+      process.removeListener('SIGCONT', resume);
+    };
+  }
+  
+  startRun(apiKey) {
     this.stats.startTime = Date.now();
     
-    const results = {
+    this.currentApiKey = apiKey;
+    this.trackApiKey(apiKey);
+    
+    return {
       successful: [],
       failed: [],
       totalOriginalSize: 0,
@@ -36,54 +222,72 @@ class BatchProcessor {
       totalSavings: 0,
       processingTime: 0,
       finalCompressionCount: apiKey.compressions_used,
+      keyUsage: [],
+      keySwitches: [],
       concurrentMetrics: {
         maxConcurrent: this.maxConcurrent,
         avgConcurrency: 0,
         peakConcurrency: 0,
         totalRequests: 0,
-        avgResponseTime: 0
+        avgResponseTime: 0,
+        throughput: 0,
+        utilization: 0,
+        pausedTime: 0
       }
     };
+  }
 
-    // Process files in batches to prevent memory issues with large datasets
-    const batchSize = Math.min(files.length, this.maxConcurrent * 10);
+  async flushLedger() {
+    if (!this.ledger) {
+      return;
+    }
     
-    for (let i = 0; i < files.length; i += batchSize) {
-      const batch = files.slice(i, i + batchSize);
-      const processingPromises = batch.map(file => 
-        this.processFileWithConcurrency(file, apiKey, options, results)
-      );
-
-      await Promise.allSettled(processingPromises);
-      
-      // Perform garbage collection hint for large batches
-      if (files.length > 100 && i % (batchSize * 2) === 0) {
-        if (global.gc) {
-          global.gc();
-        }
-      }
+    try {
+      await flushLedger(this.ledger);
+    } catch (ledgerError) {
+      console.warn(`Warning: Could not save ledger: ${ledgerError.message}`);
     }
-
+  }
+  
+  finishRun(results) {
     results.processingTime = Date.now() - this.stats.startTime;
     results.concurrentMetrics = this.calculateConcurrentMetrics();
+    results.finalCompressionCount = this.trackApiKey(this.currentApiKey).finalCount;
+    results.keyUsage = this.getKeyUsage();
 
     return results;
   }
 
-  async processFileWithConcurrency(file, apiKey, options, results) {
-    await this.semaphore.acquire();
+  getKeyUsage() {
+    return Array.from(this.keyUsage.values()).map(({ reserved, ...usage }) => usage);
+  }
+  
+  notifyFileDone(file, result, error) {
+    if (!this.onFileDone) {
+      return;
+    }
+    
+    try {
+      this.onFileDone(file, result, error);
+    } catch (callbackError) {
+      console.warn(`Warning: ${callbackError.message}`);
+    }
+  }
+  
+  async processFile(file, options, results) {
+    let apiKey = null;
+    const workStart = Date.now();
+    // Responsive variants cost one compression per width on top of the upload
+    const cost = file.compressionCost || 1;
     
     try {
       this.activePromises.add(file.path);
+      this.rateMonitor.recordConcurrency(this.activePromises.size);
       
       if (this.circuitBreaker.shouldBlock()) {
         throw new Error('Circuit breaker is open - too many consecutive failures');
       }
 
-      if (results.finalCompressionCount >= 500) {
-        throw new Error('API key reached monthly limit');
-      }
-
       const startTime = Date.now();
       
       if (this.adaptiveRateLimit) {
@@ -98,11 +302,54 @@ class BatchProcessor {
       const compressionOptions = {
         preserveMetadata: options.preserveMetadata,
         convert: options.convert,
+        background: options.background,
         maxSize: options.maxSize,
-        maxSide: options.maxSide
+        maxSide: options.maxSide,
+        resizeMethod: options.resizeMethod,
+        width: options.width,
+        height: options.height,
+        upscale: options.upscale,
+        sizes: options.sizes,
+        formats: options.formats,
+        autoFormat: options.autoFormat,
+        outputPattern: options.outputPattern,
+        preset: options.preset,
+        minSavings: options.minSavings,
+        outputDir: options.outputDir,
+        relativePath: options.preserveStructure === false ? file.name : file.relativePath,
+        collisionSuffix: file.collisionSuffix
       };
 
-      const result = await compressWithRetry(file.path, apiKey, compressionOptions);
+      // Acquired right before the request since tinify.key is shared by all workers
+      apiKey = await this.acquireApiKey(results, cost);
+      
+      let result = null;
+      
+      while (!result) {
+        try {
+          result = await compressWithRetry(file.path, apiKey, compressionOptions, this.retryAttempts);
+        } catch (error) {
+          if (!(error instanceof tinify.AccountError) || !this.keyConfig) {
+            throw error;
+          }
+          
+          // Key ran out or was rejected mid-batch: retry this file with the next key.
+          // A key another worker already switched away from is not blamed again.
+          const failedKey = apiKey;
+          this.releaseApiKey(failedKey, cost);
+          apiKey = null;
+          
+          if (failedKey === this.currentApiKey) {
+            this.markApiKeyExhausted(failedKey, error);
+            await this.switchApiKey(failedKey, error.message, results);
+          }
+          
+          apiKey = await this.acquireApiKey(results, cost);
+        }
+      }
+      
+      this.recordKeyUsage(apiKey, result, cost);
+      apiKey = null;
       
       const responseTime = Date.now() - startTime;
       this.rateMonitor.recordSuccess(responseTime);
@@ -117,9 +364,21 @@ class BatchProcessor {
       results.totalOriginalSize += result.originalSize;
       results.totalCompressedSize += result.compressedSize;
       results.totalSavings += result.savings;
-      results.finalCompressionCount = result.compressionCount;
 
+      if (this.ledger) {
+        try {
+          // With a separate output tree the source stays as it was, so the source is what gets skipped next time.
+          // The same goes for an --output-pattern that writes next to a source it did not replace
+          const sourceKept = options.outputPattern && result.outputPath !== file.path && fs.existsSync(file.path);
+          const recordedPath = options.outputDir || options.sizes || sourceKept ? file.path : result.outputPath;
+          await recordCompression(this.ledger, recordedPath, result, compressionOptions, result.apiKeyName);
+        } catch (ledgerError) {
+          console.warn(`Warning: Could not record ${path.basename(file.path)} in ledger: ${ledgerError.message}`);
+        }
+      }
+      
       this.updateStats(true, result.savings);
+      this.notifyFileDone(file, result, null);
       
       return result;
 
@@ -134,14 +393,135 @@ class BatchProcessor {
       });
 
       this.updateStats(false, 0);
+      this.notifyFileDone(file, null, error);
       
       throw error;
     } finally {
+      if (apiKey) {
+        this.releaseApiKey(apiKey, cost);
+      }
       this.activePromises.delete(file.path);
-      this.semaphore.release();
+      this.busyTime += Date.now() - workStart;
     }
   }
 
+  trackApiKey(apiKey) {
+    if (!this.keyUsage.has(apiKey.name)) {
+      this.keyUsage.set(apiKey.name, {
+        name: apiKey.name,
+        startCount: apiKey.compressions_used,
+        finalCount: apiKey.compressions_used,
+        compressions: 0,
+        reserved: 0
+      });
+    }
+    
+    return this.keyUsage.get(apiKey.name);
+  }
+  
+  async acquireApiKey(results, cost = 1) {
+    let usage = this.trackApiKey(this.currentApiKey);
+    
+    // Count in-flight requests so concurrent workers don't overshoot the monthly limit
+    while (usage.finalCount + usage.reserved + cost > 500) {
+      await this.switchApiKey(this.currentApiKey, 'monthly limit reached', results);
+      usage = this.trackApiKey(this.currentApiKey);
+    }
+    
+    usage.reserved += cost;
+    return this.currentApiKey;
+  }
+  
+  releaseApiKey(apiKey, cost = 1) {
+    const usage = this.trackApiKey(apiKey);
+    usage.reserved = Math.max(0, usage.reserved - cost);
+  }
+  
+  recordKeyUsage(apiKey, result, cost = 1) {
+    const usage = this.trackApiKey(apiKey);
+    
+    usage.reserved = Math.max(0, usage.reserved - cost);
+    usage.compressions += cost;
+    
+    // tinify.compressionCount is global, so it only belongs to this key while it is still current
+    if (apiKey === this.currentApiKey && typeof result.compressionCount === 'number') {
+      usage.finalCount = result.compressionCount;
+    } else {
+      usage.finalCount += cost;
+    }
+    
+    apiKey.compressions_used = Math.min(500, usage.finalCount);
+    if (apiKey.compressions_used >= 500) {
+      apiKey.status = 'limit_reached';
+    }
+    
+    result.apiKeyName = apiKey.name;
+  }
+  
+  markApiKeyExhausted(apiKey, error) {
+    const usage = this.trackApiKey(apiKey);
+    
+    if (error.message.includes('limit') || error.message.includes('exceed')) {
+      usage.finalCount = 500;
+      apiKey.compressions_used = 500;
+      apiKey.status = 'limit_reached';
+    } else {
+      apiKey.status = 'invalid';
+    }
+  }
+  
+  async switchApiKey(exhaustedKey, reason, results) {
+    // Another worker already moved on from this key
+    if (this.currentApiKey !== exhaustedKey) {
+      return this.currentApiKey;
+    }
+    
+    // Only the first worker to notice selects the next key, the rest wait for it
+    if (!this.pendingKeySwitch) {
+      this.pendingKeySwitch = this.selectNextApiKey(exhaustedKey, reason, results)
+        .finally(() => {
+          this.pendingKeySwitch = null;
+        });
+    }
+    
+    return this.pendingKeySwitch;
+  }
+  
+  async selectNextApiKey(exhaustedKey, reason, results) {
+    this.exhaustedKeys.add(exhaustedKey.name);
+    
+    // Let in-flight requests finish on the old key before tinify.key changes under them
+    while (this.trackApiKey(exhaustedKey).reserved > 0) {
+      await this.delay(50);
+    }
+    
+    const nextKey = this.keyConfig 
+      ? await selectBestApiKey(this.keyConfig, 1, Array.from(this.exhaustedKeys))
+      : null;
+    
+    if (!nextKey) {
+      throw new Error(this.keyConfig 
+        ? 'All API keys have reached their monthly limit' 
+        : 'API key reached monthly limit');
+    }
+    
+    results.keySwitches.push({
+      from: exhaustedKey.name,
+      to: nextKey.name,
+      reason,
+      afterFiles: this.stats.processed
+    });
+    
+    this.currentApiKey = nextKey;
+    this.trackApiKey(nextKey);
+    
+    return nextKey;
+  }
+  
+  getCurrentApiKeyName() {
+    return this.currentApiKey ? this.currentApiKey.name : null;
+  }
+  
   updateStats(success, savings = 0) {
     this.stats.processed++;
     if (success) {
@@ -161,12 +541,20 @@ class BatchProcessor {
   }
 
   calculateConcurrentMetrics() {
+    const pausedTime = this.pausedTime + (this.paused ? Date.now() - this.pausedAt : 0);
+    const activeTime = Math.max(1, Date.now() - this.stats.startTime - pausedTime);
+    
     return {
       maxConcurrent: this.maxConcurrent,
       avgConcurrency: this.rateMonitor.getAverageConcurrency(),
       peakConcurrency: this.rateMonitor.getPeakConcurrency(),
       totalRequests: this.rateMonitor.getTotalRequests(),
-      avgResponseTime: this.rateMonitor.getAverageResponseTime()
+      avgResponseTime: this.rateMonitor.getAverageResponseTime(),
+      // Files per second while not paused, and the share of worker time spent on files
+      // rather than waiting for the next one
+      throughput: (this.stats.processed / activeTime) * 1000,
+      utilization: Math.min(1, this.busyTime / (activeTime * this.maxConcurrent)),
+      pausedTime
     };
   }
 
@@ -183,31 +571,20 @@ class BatchProcessor {
   }
 }
 
-class Semaphore {
-  constructor(maxConcurrent) {
-    this.maxConcurrent = maxConcurrent;
-    this.current = 0;
-    this.queue = [];
+// Wakes everything waiting on it; waiters check their own condition again
+class Signal {
+  constructor() {
+    this.waiters = [];
   }
 
-  async acquire() {
-    return new Promise(resolve => {
-      if (this.current < this.maxConcurrent) {
-        this.current++;
-        resolve();
-      } else {
-        this.queue.push(resolve);
-      }
-    });
+  wait() {
+    return new Promise(resolve => this.waiters.push(resolve));
   }
 
-  release() {
-    this.current--;
-    if (this.queue.length > 0) {
-      this.current++;
-      const resolve = this.queue.shift();
-      resolve();
-    }
+  notify() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve());
   }
 }
 
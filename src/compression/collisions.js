@@ -0,0 +1,215 @@
+import path from 'path';
+import { getImageDimensions, calculateVariantWidths } from '../utils/imageUtils.js';
+import { generateOutputPath, generateVariantPath, getAdditionalFormats, getAutoFormatCandidates, createOutputOptions } from '../utils/formatHelper.js';
+
+const COLLISION_STRATEGIES = ['skip', 'suffix', 'prefer-larger-source', 'fail'];
+
+// banner.png and Banner.png are the same file on the default macOS and Windows file systems
+const CASE_INSENSITIVE = process.platform === 'darwin' || process.platform === 'win32';
+
+function toKey(filePath) {
+  const resolved = path.resolve(filePath);
+  return CASE_INSENSITIVE ? resolved.toLowerCase() : resolved;
+}
+
+function getRelativePath(file, options) {
+  return options.preserveStructure === false ? file.name : file.relativePath;
+}
+
+/**
+ * Every path a source may be written to: its output, each additional format, each
+ * responsive variant, or each format --convert auto may pick
+ * @param {Object} file - File from scanForImages
+ * @param {Object} options - Compression options
+ * @param {string} collisionSuffix - Suffix to try instead of the file's own one
+ * @returns {Array} Output paths
+ */
+function getPlannedOutputPaths(file, options, collisionSuffix = file.collisionSuffix) {
+  const outputOptions = createOutputOptions(options, getRelativePath(file, options), collisionSuffix);
+  
+  if (options.sizes) {
+    const dimensionResult = getImageDimensions(file.path);
+    if (!dimensionResult.success) {
+      return [];
+    }
+    return calculateVariantWidths(dimensionResult.width, options.sizes)
+      .map(width => generateVariantPath(file.path, options.convert, width, outputOptions));
+  }
+  
+  if (options.autoFormat) {
+    const candidates = getAutoFormatCandidates(file.path);
+    return candidates.map(format => generateOutputPath(file.path, format === candidates[0] ? null : format, outputOptions));
+  }
+  
+  const outputPaths = [generateOutputPath(file.path, options.convert, outputOptions)];
+  
+  if (options.formats) {
+    getAdditionalFormats(file.path, options.formats, options.background).formats
+      .forEach(format => outputPaths.push(generateOutputPath(file.path, format, outputOptions)));
+  }
+  
+  return outputPaths;
+}
+
+/**
+ * Find outputs that more than one source would be written to, e.g. banner.png and
+ * banner.jpg both becoming banner.webp with --convert webp
+ * @param {Array} files - Files from scanForImages
+ * @param {Object} options - Compression options
+ * @returns {Array} [{ outputPath, files }] sorted by output path
+ */
+function findCollisions(files, options) {
+  const claims = new Map();
+  
+  for (const file of files) {
+    for (const outputPath of getPlannedOutputPaths(file, options)) {
+      const key = toKey(outputPath);
+      if (!claims.has(key)) {
+        claims.set(key, { outputPath, files: [] });
+      }
+      const claim = claims.get(key);
+      if (!claim.files.includes(file)) {
+        claim.files.push(file);
+      }
+    }
+  }
+  
+  return [...claims.values()]
+    .filter(claim => claim.files.length > 1)
+    .sort((a, b) => a.outputPath.localeCompare(b.outputPath));
+}
+
+// The source that already is the output keeps it, then sources in path order
+function orderClaimants(collision, options) {
+  return [...collision.files].sort((a, b) => {
+    const aIsOutput = toKey(a.path) === toKey(collision.outputPath) ? 0 : 1;
+    const bIsOutput = toKey(b.path) === toKey(collision.outputPath) ? 0 : 1;
+    return aIsOutput - bIsOutput || getRelativePath(a, options).localeCompare(getRelativePath(b, options));
+  });
+}
+
+function findFreeSuffix(file, options, takenPaths) {
+  // A pattern without {name} ignores the suffix, so no counter would ever help
+  if (getPlannedOutputPaths(file, options, '-2')[0] === getPlannedOutputPaths(file, options, '')[0]) {
+    throw new Error('--on-collision suffix needs {name} in --output-pattern to rename outputs');
+  }
+  
+  for (let counter = 2; ; counter++) {
+    const suffix = `-${counter}`;
+    const outputPaths = getPlannedOutputPaths(file, options, suffix);
+    if (outputPaths.every(outputPath => !takenPaths.has(toKey(outputPath)))) {
+      return { suffix, outputPaths };
+    }
+  }
+}
+
+/**
+ * Decide what happens to sources whose outputs collide. Nothing is uploaded or written.
+ * - skip: every source involved is left untouched
+ * - suffix: the first source keeps the name, the others get -2, -3, ... (banner-2.webp)
+ * - prefer-larger-source: only the largest source is compressed
+ * - fail: stop before anything is uploaded
+ * @param {Array} files - Files from scanForImages
+ * @param {Object} options - Compression options
+ * @param {string} strategy - One of COLLISION_STRATEGIES
+ * @param {boolean} dryRun - Report fail collisions instead of throwing, skipping their sources
+ * @returns {Object} { files, skipped, collisions: [{ outputPath, strategy, sources, kept, renamed, skipped }] }
+ * @throws {Error} With the fail strategy if any outputs collide
+ */
+function resolveCollisions(files, options, strategy = 'fail', dryRun = false) {
+  if (!COLLISION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown collision strategy: ${strategy}. Supported strategies: ${COLLISION_STRATEGIES.join(', ')}`);
+  }
+  
+  const found = findCollisions(files, options);
+  
+  if (found.length === 0) {
+    return { files, skipped: [], collisions: [] };
+  }
+  
+  if (strategy === 'fail' && !dryRun) {
+    const lines = found.map(collision => `   ${path.basename(collision.outputPath)} ← ${collision.files.map(file => getRelativePath(file, options)).join(', ')}`);
+    throw new Error(`Several sources would be written to the same output:\n${lines.join('\n')}\nChoose how to resolve them with --on-collision ${COLLISION_STRATEGIES.filter(name => name !== 'fail').join('|')}`);
+  }
+  
+  const skipped = new Set();
+  const takenPaths = new Set(files.flatMap(file => [toKey(file.path), ...getPlannedOutputPaths(file, options).map(toKey)]));
+  const collisions = [];
+  
+  for (const collision of found) {
+    // An earlier collision may already have moved or skipped some of these sources
+    const claimants = orderClaimants(collision, options).filter(file =>
+      !skipped.has(file) && getPlannedOutputPaths(file, options).some(outputPath => toKey(outputPath) === toKey(collision.outputPath))
+    );
+    
+    if (claimants.length < 2) {
+      continue;
+    }
+    
+    const resolution = {
+      outputPath: collision.outputPath,
+      strategy,
+      sources: claimants.map(file => getRelativePath(file, options)),
+      kept: null,
+      renamed: [],
+      skipped: []
+    };
+    
+    if (strategy === 'skip' || strategy === 'fail') {
+      claimants.forEach(file => skipped.add(file));
+      resolution.skipped = resolution.sources;
+    } else if (strategy === 'prefer-larger-source') {
+      const largest = claimants.reduce((best, file) => (file.size > best.size ? file : best));
+      resolution.kept = getRelativePath(largest, options);
+      claimants.filter(file => file !== largest).forEach(file => {
+        skipped.add(file);
+        resolution.skipped.push(getRelativePath(file, options));
+      });
+    } else {
+      resolution.kept = getRelativePath(claimants[0], options);
+      claimants.slice(1).forEach(file => {
+        const collidingIndex = getPlannedOutputPaths(file, options).findIndex(outputPath => toKey(outputPath) === toKey(collision.outputPath));
+        const { suffix, outputPaths } = findFreeSuffix(file, options, takenPaths);
+        file.collisionSuffix = suffix;
+        outputPaths.forEach(outputPath => takenPaths.add(toKey(outputPath)));
+        resolution.renamed.push({ source: getRelativePath(file, options), outputPath: outputPaths[collidingIndex] });
+      });
+    }
+    
+    collisions.push(resolution);
+  }
+  
+  return {
+    files: files.filter(file => !skipped.has(file)),
+    skipped: files.filter(file => skipped.has(file)),
+    collisions
+  };
+}
+
+/**
+ * One line per collision for reports, e.g. "banner.webp ← banner.jpg, banner.png: banner.jpg → banner-2.webp"
+ * @param {Object} collision - Collision from resolveCollisions
+ * @returns {string} Description
+ */
+function describeCollision(collision) {
+  const target = `${path.basename(collision.outputPath)} ← ${collision.sources.join(', ')}`;
+  
+  if (collision.strategy === 'suffix') {
+    return `${target}: ${collision.renamed.map(rename => `${rename.source} → ${path.basename(rename.outputPath)}`).join(', ')}`;
+  }
+  if (collision.strategy === 'prefer-larger-source') {
+    return `${target}: kept ${collision.kept} (largest), skipped ${collision.skipped.join(', ')}`;
+  }
+  if (collision.strategy === 'fail') {
+    return `${target}: the run would stop (choose --on-collision)`;
+  }
+  return `${target}: skipped all`;
+}
+
+export {
+  findCollisions,
+  resolveCollisions,
+  describeCollision,
+  getPlannedOutputPaths,
+  COLLISION_STRATEGIES
+};
\ No newline at end of file
@@ -1,66 +1,155 @@
 import tinify from 'tinify';
 import fs from 'fs-extra';
 import path from 'path';
-import { getImageDimensions, calculateResizeDimensions, createTinyPngResizeOptions, shouldResize } from '../utils/imageUtils.js';
+import { getImageDimensions, calculateResizeDimensions, createTinyPngResizeOptions, createResizeSpec, calculateVariantWidths } from '../utils/imageUtils.js';
+import { generateOutputPath, generateVariantPath, determineOutputFormat, getOriginalFormat, getAdditionalFormats, getAutoFormatCandidates, createOutputOptions } from '../utils/formatHelper.js';
+import { hasEnoughSavings } from '../utils/fileOps.js';
+import { getApiKeyValue } from '../config/index.js';
 
 function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Map format short names to MIME types
+const MIME_TYPES = {
+  'png': 'image/png',
+  'jpg': 'image/jpeg',
+  'jpeg': 'image/jpeg',
+  'webp': 'image/webp',
+  'avif': 'image/avif'
+};
+
+function createConvertOptions(options) {
+  const mimeType = MIME_TYPES[options.convert.toLowerCase()] || options.convert;
+  const convertOptions = { type: mimeType };
+  
+  // Only JPEG lacks an alpha channel, so other formats keep their transparency
+  if (options.background && mimeType === 'image/jpeg') {
+    convertOptions.transform = { background: options.background };
+  }
+  
+  return convertOptions;
+}
+
+/**
+ * Work out how a file will be resized from its dimensions and the resize options
+ * @param {string} inputPath - Path to the source image
+ * @param {Object} options - Compression options
+ * @returns {Object} { originalDimensions, resizeDimensions, resizeOptions }, null fields when not resized
+ */
+function planResize(inputPath, options) {
+  const plan = { originalDimensions: null, resizeDimensions: null, resizeOptions: null };
+  
+  const resize = createResizeSpec(options);
+  if (!resize) {
+    return plan;
+  }
+  
+  const dimensionResult = getImageDimensions(inputPath);
+  if (dimensionResult.success) {
+    plan.originalDimensions = {
+      width: dimensionResult.width,
+      height: dimensionResult.height
+    };
+    
+    plan.resizeDimensions = calculateResizeDimensions(
+      dimensionResult.width,
+      dimensionResult.height,
+      resize
+    );
+    
+    if (plan.resizeDimensions) {
+      plan.resizeOptions = createTinyPngResizeOptions(plan.resizeDimensions);
+    }
+  }
+  
+  return plan;
+}
+
+/**
+ * Leave the original in place of a result that does not save enough. When the run writes
+ * elsewhere (--out or --output-pattern) the original is copied there so no output is missing.
+ * @param {string} inputPath - Path to the source image
+ * @param {Object} options - Compression options
+ * @returns {Promise<string>} Path of the kept file
+ */
+async function keepOriginal(inputPath, options) {
+  // The original keeps its own format and dimensions
+  const keptPath = generateOutputPath(inputPath, null, { ...createOutputOptions(options, options.relativePath), resize: null });
+  
+  if (keptPath !== inputPath) {
+    await fs.ensureDir(path.dirname(keptPath));
+    await fs.copy(inputPath, keptPath, { overwrite: true });
+  }
+  
+  return keptPath;
+}
+
+/**
+ * Create the directories of every output before the upload starts. tinify begins uploading
+ * as soon as a source is created, so nothing else may be awaited until a result is requested.
+ * @param {Array<string>} outputPaths - Paths the outputs will be written to
+ */
+async function ensureOutputDirectories(outputPaths) {
+  for (const directory of new Set(outputPaths.map(outputPath => path.dirname(outputPath)))) {
+    await fs.ensureDir(directory);
+  }
+}
+
+function createNoGainResult({ originalSize, rejectedSize, keptPath, startTime, originalDimensions }) {
+  return {
+    success: true,
+    noGain: true,
+    originalSize,
+    compressedSize: originalSize,
+    rejectedSize,
+    savings: 0,
+    compressionRatio: 0,
+    processingTime: Date.now() - startTime,
+    compressionCount: tinify.compressionCount,
+    outputPath: keptPath,
+    originalDimensions,
+    resizeDimensions: null,
+    wasResized: false
+  };
+}
+
 async function compressFile(inputPath, apiKey, options = {}) {
-  tinify.key = apiKey.key;
+  if (options.sizes) {
+    return compressVariants(inputPath, apiKey, options);
+  }
+  
+  if (options.formats) {
+    return compressFormats(inputPath, apiKey, options);
+  }
+  
+  if (options.autoFormat) {
+    return compressAutoFormat(inputPath, apiKey, options);
+  }
+  
+  tinify.key = getApiKeyValue(apiKey);
   
   const startTime = Date.now();
   const originalSize = fs.statSync(inputPath).size;
   
-  let originalDimensions = null;
-  let resizeDimensions = null;
-  let resizeOptions = null;
+  const { originalDimensions, resizeDimensions, resizeOptions } = planResize(inputPath, options);
   
-  if (shouldResize(options.maxSize)) {
-    const dimensionResult = getImageDimensions(inputPath);
-    if (dimensionResult.success) {
-      originalDimensions = {
-        width: dimensionResult.width,
-        height: dimensionResult.height
-      };
-      
-      resizeDimensions = calculateResizeDimensions(
-        dimensionResult.width,
-        dimensionResult.height,
-        options.maxSize,
-        options.maxSide
-      );
-      
-      if (resizeDimensions) {
-        resizeOptions = createTinyPngResizeOptions(resizeDimensions);
-      }
-    }
-  }
+  // Determine output path based on conversion and output directory
+  const outputPath = generateOutputPath(inputPath, options.convert, {
+    ...createOutputOptions(options, options.relativePath),
+    ...(resizeDimensions ? { width: resizeDimensions.width, height: resizeDimensions.height } : {})
+  });
+  const tempPath = outputPath + '.tmp';
   
   try {
+    await ensureOutputDirectories([outputPath]);
     const source = tinify.fromFile(inputPath);
     
     let processedSource = source;
     
     // Apply format conversion first (if needed)
     if (options.convert) {
-      // Map format short names to MIME types
-      const formatMap = {
-        'png': 'image/png',
-        'jpg': 'image/jpeg',
-        'jpeg': 'image/jpeg',
-        'webp': 'image/webp',
-        'avif': 'image/avif'
-      };
-      
-      const mimeType = formatMap[options.convert.toLowerCase()] || options.convert;
-      const convertOptions = { type: mimeType };
-      
-      if (options.background) {
-        convertOptions.transform = { background: options.background };
-      }
-      processedSource = processedSource.convert(convertOptions);
+      processedSource = processedSource.convert(createConvertOptions(options));
     }
     
     // Apply resize operations second (building on converted source)
@@ -75,23 +164,21 @@ async function compressFile(inputPath, apiKey, options = {}) {
       processedSource = processedSource.preserve("copyright", "creation", "location");
     }
     
-    const tempPath = inputPath + '.tmp';
     await processedSource.toFile(tempPath);
     
     const compressedSize = fs.statSync(tempPath).size;
     
-    // Determine output path based on conversion
-    let outputPath = inputPath;
-    if (options.convert) {
-      const parsedPath = path.parse(inputPath);
-      const newExtension = options.convert.toLowerCase() === 'jpeg' ? '.jpg' : `.${options.convert.toLowerCase()}`;
-      outputPath = path.join(parsedPath.dir, parsedPath.name + newExtension);
+    // The quota is spent either way, but a result that is not smaller never replaces the original
+    if (!hasEnoughSavings(originalSize, compressedSize, options.minSavings)) {
+      await fs.unlink(tempPath);
+      const keptPath = await keepOriginal(inputPath, options);
+      return createNoGainResult({ originalSize, rejectedSize: compressedSize, keptPath, startTime, originalDimensions });
     }
     
     await fs.move(tempPath, outputPath, { overwrite: true });
     
-    // If format conversion occurred, remove the original file
-    if (options.convert && inputPath !== outputPath) {
+    // If format conversion occurred in place, remove the original file
+    if (options.convert && inputPath !== outputPath && !options.outputDir) {
       try {
         await fs.unlink(inputPath);
       } catch (err) {
@@ -117,7 +204,6 @@ async function compressFile(inputPath, apiKey, options = {}) {
     };
     
   } catch (err) {
-    const tempPath = inputPath + '.tmp';
     if (fs.existsSync(tempPath)) {
       await fs.unlink(tempPath);
     }
@@ -125,8 +211,318 @@ async function compressFile(inputPath, apiKey, options = {}) {
   }
 }
 
+/**
+ * Produce one output per requested width from a single upload.
+ * The source is uploaded once and every variant is a resize of that tinify source,
+ * so the original file is never modified.
+ * @param {string} inputPath - Path to the source image
+ * @param {Object} apiKey - API key from the configuration
+ * @param {Object} options - Compression options; options.sizes holds the widths
+ * @returns {Promise<Object>} Result as from compressFile, with a variants array.
+ *   compressedSize and outputPath describe the largest variant.
+ */
+async function compressVariants(inputPath, apiKey, options = {}) {
+  tinify.key = getApiKeyValue(apiKey);
+  
+  const startTime = Date.now();
+  const originalSize = fs.statSync(inputPath).size;
+  const dimensionResult = getImageDimensions(inputPath);
+  
+  if (!dimensionResult.success) {
+    throw new Error(`Cannot read image dimensions: ${dimensionResult.error}`);
+  }
+  
+  const originalDimensions = { width: dimensionResult.width, height: dimensionResult.height };
+  const widths = calculateVariantWidths(originalDimensions.width, options.sizes);
+  
+  if (widths.length === 0) {
+    throw new Error(`Image is ${originalDimensions.width}px wide, smaller than every requested size (${options.sizes.join(', ')})`);
+  }
+  
+  const format = determineOutputFormat(inputPath, options.convert) || getOriginalFormat(inputPath);
+  const outputPaths = widths.map(width => generateVariantPath(inputPath, options.convert, width, createOutputOptions(options, options.relativePath)));
+  const variants = [];
+  let tempPath = null;
+  
+  try {
+    await ensureOutputDirectories(outputPaths);
+    let source = tinify.fromFile(inputPath);
+    
+    if (options.convert) {
+      source = source.convert(createConvertOptions(options));
+    }
+    
+    if (options.preserveMetadata) {
+      source = source.preserve("copyright", "creation", "location");
+    }
+    
+    for (const [index, width] of widths.entries()) {
+      const outputPath = outputPaths[index];
+      tempPath = outputPath + '.tmp';
+      
+      await source.resize({ method: 'scale', width }).toFile(tempPath);
+      await fs.move(tempPath, outputPath, { overwrite: true });
+      tempPath = null;
+      
+      variants.push({
+        width,
+        height: Math.round(originalDimensions.height * (width / originalDimensions.width)),
+        format,
+        size: fs.statSync(outputPath).size,
+        outputPath
+      });
+    }
+  } catch (err) {
+    if (tempPath && fs.existsSync(tempPath)) {
+      await fs.unlink(tempPath);
+    }
+    throw err;
+  }
+  
+  const largest = variants[variants.length - 1];
+  const compressionRatio = ((originalSize - largest.size) / originalSize) * 100;
+  
+  return {
+    success: true,
+    originalSize,
+    compressedSize: largest.size,
+    savings: originalSize - largest.size,
+    compressionRatio: Math.round(compressionRatio * 100) / 100,
+    processingTime: Date.now() - startTime,
+    compressionCount: tinify.compressionCount,
+    outputPath: largest.outputPath,
+    originalDimensions,
+    resizeDimensions: { width: largest.width, height: largest.height },
+    wasResized: largest.width < originalDimensions.width,
+    variants
+  };
+}
+
+/**
+ * Write a compressed copy of the source plus one converted output per additional format.
+ * The source is uploaded once; the compressed copy replaces the source (or goes to the
+ * output directory) and every format is a conversion of the same upload.
+ * @param {string} inputPath - Path to the source image
+ * @param {Object} apiKey - API key from the configuration
+ * @param {Object} options - Compression options; options.formats holds the formats
+ * @returns {Promise<Object>} Result as from compressFile, with an outputs array.
+ *   compressedSize and outputPath describe the compressed copy in the source format.
+ */
+async function compressFormats(inputPath, apiKey, options = {}) {
+  tinify.key = getApiKeyValue(apiKey);
+  
+  const startTime = Date.now();
+  const originalSize = fs.statSync(inputPath).size;
+  const { originalDimensions, resizeDimensions, resizeOptions } = planResize(inputPath, options);
+  const { formats, skipped } = getAdditionalFormats(inputPath, options.formats, options.background);
+  const originalFormat = getOriginalFormat(inputPath) === 'jpeg' ? 'jpg' : getOriginalFormat(inputPath);
+  
+  const outputOptions = {
+    ...createOutputOptions(options, options.relativePath),
+    ...(resizeDimensions ? { width: resizeDimensions.width, height: resizeDimensions.height } : {})
+  };
+  const outputFormats = [null, ...formats];
+  const outputPaths = outputFormats.map(format => generateOutputPath(inputPath, format, outputOptions));
+  const outputs = [];
+  let tempPath = null;
+  
+  try {
+    await ensureOutputDirectories(outputPaths);
+    let source = tinify.fromFile(inputPath);
+    
+    if (resizeOptions) {
+      source = source.resize(resizeOptions);
+    }
+    
+    if (options.preserveMetadata) {
+      source = source.preserve("copyright", "creation", "location");
+    }
+    
+    // The compressed copy in the source format comes first, then one conversion per format
+    for (const [index, format] of outputFormats.entries()) {
+      const outputPath = outputPaths[index];
+      const output = format ? source.convert(createConvertOptions({ ...options, convert: format })) : source;
+      tempPath = outputPath + '.tmp';
+      
+      await output.toFile(tempPath);
+      
+      // Only the copy that replaces the source is guarded; the other formats are new files
+      const size = fs.statSync(tempPath).size;
+      if (!format && !hasEnoughSavings(originalSize, size, options.minSavings)) {
+        await fs.unlink(tempPath);
+        tempPath = null;
+        outputs.push({
+          format: originalFormat,
+          size: originalSize,
+          outputPath: await keepOriginal(inputPath, options),
+          noGain: true,
+          rejectedSize: size
+        });
+        continue;
+      }
+      
+      await fs.move(tempPath, outputPath, { overwrite: true });
+      tempPath = null;
+      
+      outputs.push({
+        format: format || originalFormat,
+        size: fs.statSync(outputPath).size,
+        outputPath
+      });
+    }
+  } catch (err) {
+    if (tempPath && fs.existsSync(tempPath)) {
+      await fs.unlink(tempPath);
+    }
+    throw err;
+  }
+  
+  const compressed = outputs[0];
+  const compressionRatio = ((originalSize - compressed.size) / originalSize) * 100;
+  
+  return {
+    success: true,
+    originalSize,
+    compressedSize: compressed.size,
+    savings: originalSize - compressed.size,
+    compressionRatio: Math.round(compressionRatio * 100) / 100,
+    processingTime: Date.now() - startTime,
+    compressionCount: tinify.compressionCount,
+    outputPath: compressed.outputPath,
+    originalDimensions,
+    resizeDimensions,
+    wasResized: !!resizeDimensions,
+    ...(compressed.noGain ? { noGain: true, rejectedSize: compressed.rejectedSize } : {}),
+    outputs,
+    skippedFormats: skipped
+  };
+}
+
+/**
+ * Keep whichever of the original format, WebP and AVIF TinyPNG produces smallest.
+ * One conversion request lists every candidate type and TinyPNG returns the smallest;
+ * JPEG is never a candidate for transparent images. Like --convert, an in-place result
+ * in another format replaces the source.
+ * @param {string} inputPath - Path to the source image
+ * @param {Object} apiKey - API key from the configuration
+ * @param {Object} options - Compression options
+ * @returns {Promise<Object>} Result as from compressFile, with autoFormat ({ format, originalFormat, candidates })
+ */
+async function compressAutoFormat(inputPath, apiKey, options = {}) {
+  tinify.key = getApiKeyValue(apiKey);
+  
+  const startTime = Date.now();
+  const originalSize = fs.statSync(inputPath).size;
+  const { originalDimensions, resizeDimensions, resizeOptions } = planResize(inputPath, options);
+  const candidates = getAutoFormatCandidates(inputPath);
+  const originalFormat = candidates[0];
+  let tempPath = null;
+  
+  try {
+    let source = tinify.fromFile(inputPath);
+    
+    if (resizeOptions) {
+      source = source.resize(resizeOptions);
+    }
+    
+    if (options.preserveMetadata) {
+      source = source.preserve("copyright", "creation", "location");
+    }
+    
+    const result = source.convert({ type: candidates.map(format => MIME_TYPES[format]) }).result();
+    const data = await result.toBuffer();
+    const mediaType = await result.mediaType();
+    const format = candidates.find(candidate => MIME_TYPES[candidate] === mediaType) || originalFormat;
+    
+    if (!hasEnoughSavings(originalSize, data.length, options.minSavings)) {
+      const keptPath = await keepOriginal(inputPath, options);
+      return {
+        ...createNoGainResult({ originalSize, rejectedSize: data.length, keptPath, startTime, originalDimensions }),
+        rejectedFormat: format
+      };
+    }
+    
+    const outputPath = generateOutputPath(inputPath, format === originalFormat ? null : format, {
+      ...createOutputOptions(options, options.relativePath),
+      ...(resizeDimensions ? { width: resizeDimensions.width, height: resizeDimensions.height } : {})
+    });
+    tempPath = outputPath + '.tmp';
+    
+    await fs.ensureDir(path.dirname(outputPath));
+    await fs.writeFile(tempPath, data);
+    await fs.move(tempPath, outputPath, { overwrite: true });
+    tempPath = null;
+    
+    // Only the winning format is kept
+    if (outputPath !== inputPath && !options.outputDir) {
+      try {
+        await fs.unlink(inputPath);
+      } catch (err) {
+        console.warn(`Warning: Could not remove original file ${inputPath}: ${err.message}`);
+      }
+    }
+    
+    const compressedSize = data.length;
+    const compressionRatio = ((originalSize - compressedSize) / originalSize) * 100;
+    
+    return {
+      success: true,
+      originalSize,
+      compressedSize,
+      savings: originalSize - compressedSize,
+      compressionRatio: Math.round(compressionRatio * 100) / 100,
+      processingTime: Date.now() - startTime,
+      compressionCount: tinify.compressionCount,
+      outputPath,
+      originalDimensions,
+      resizeDimensions,
+      wasResized: !!resizeDimensions,
+      autoFormat: { format, originalFormat, candidates }
+    };
+  } catch (err) {
+    if (tempPath && fs.existsSync(tempPath)) {
+      await fs.unlink(tempPath);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Estimate how many compressions a file will cost before calling the API.
+ * The upload counts once and, with --sizes or --formats, every resized variant or
+ * converted format counts once more. Auto format selection is a single extra conversion.
+ * @param {string} filePath - Path to the source image
+ * @param {Object} options - Compression options
+ * @returns {number} Expected compressions (0 when no variant fits the image)
+ */
+function estimateCompressionCost(filePath, options = {}) {
+  // The upload plus the one conversion that returns the smallest format
+  if (options.autoFormat) {
+    return 2;
+  }
+  
+  if (options.formats) {
+    return 1 + getAdditionalFormats(filePath, options.formats, options.background).formats.length;
+  }
+  
+  if (!options.sizes) {
+    return 1;
+  }
+  
+  const dimensionResult = getImageDimensions(filePath);
+  if (!dimensionResult.success) {
+    return 1;
+  }
+  
+  const variantCount = calculateVariantWidths(dimensionResult.width, options.sizes).length;
+  return variantCount > 0 ? variantCount + 1 : 0;
+}
+
 async function compressWithRetry(inputPath, apiKey, options = {}, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+  // A configured retry_attempts of 0 still makes the first attempt
+  const attempts = Math.max(1, maxRetries);
+  
+  for (let attempt = 1; attempt <= attempts; attempt++) {
     try {
       return await compressFile(inputPath, apiKey, options);
     } catch (err) {
@@ -134,7 +530,7 @@ async function compressWithRetry(inputPath, apiKey, options = {}, maxRetries = 3
         throw err;
       } else if (err instanceof tinify.ClientError) {
         throw err;
-      } else if (attempt === maxRetries) {
+      } else if (attempt === attempts) {
         throw err;
       } else {
         await delay(1000 * attempt);
@@ -159,15 +555,18 @@ function validateApiKey(apiKey) {
   });
 }
 
-function canCompress(apiKeyConfig, filesToProcess = 1) {
+function canCompress(apiKeyConfig, filesToProcess = 1, compressionsPerFile = 1) {
   const remaining = 500 - apiKeyConfig.compressions_used;
   
   if (remaining <= 0) {
     throw new Error(`API key '${apiKeyConfig.name}' has reached monthly limit (500/500 used)`);
   }
   
-  if (filesToProcess > remaining) {
-    console.warn(`Warning: ${filesToProcess} files to process, but only ${remaining} compressions remaining`);
+  // Variants and additional formats make a single file cost several compressions
+  const required = filesToProcess * compressionsPerFile;
+  if (required > remaining) {
+    const perFile = compressionsPerFile > 1 ? ` (${compressionsPerFile} per file)` : '';
+    console.warn(`Warning: ${filesToProcess} files to process need ${required} compressions${perFile}, but only ${remaining} compressions remaining`);
   }
   
   return remaining;
@@ -177,5 +576,6 @@ export {
   compressFile,
   compressWithRetry,
   validateApiKey,
-  canCompress
+  canCompress,
+  estimateCompressionCost
 };
\ No newline at end of file
@@ -0,0 +1,161 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { getImageDimensions } from '../utils/imageUtils.js';
+import { getOriginalFormat } from '../utils/formatHelper.js';
+
+const MANIFEST_FORMATS = ['json', 'html'];
+
+const MIME_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg'
+};
+
+// <source> elements are listed from the most to the least efficient format
+const SOURCE_ORDER = ['avif', 'webp', 'png', 'jpg'];
+
+function toManifestPath(filePath, baseDirectory) {
+  return path.relative(baseDirectory, filePath).split(path.sep).join('/');
+}
+
+function normalizeFormat(format) {
+  return format === 'jpeg' ? 'jpg' : format;
+}
+
+function describeOutput(outputPath, known, baseDirectory) {
+  let { width, height } = known;
+  
+  if (!width || !height) {
+    const dimensionResult = getImageDimensions(outputPath);
+    width = dimensionResult.success ? dimensionResult.width : null;
+    height = dimensionResult.success ? dimensionResult.height : null;
+  }
+  
+  return {
+    path: toManifestPath(outputPath, baseDirectory),
+    width,
+    height,
+    format: normalizeFormat(known.format || getOriginalFormat(outputPath)),
+    bytes: known.bytes ?? fs.statSync(outputPath).size
+  };
+}
+
+/**
+ * Describe every output of a batch for use in srcset/picture markup
+ * @param {Array} successful - Successful results from the batch processor
+ * @param {string} manifestPath - Where the manifest will be written; paths are relative to its directory
+ * @returns {Object} Manifest ({ generated, sources: [{ source, outputs }] })
+ */
+function createManifest(successful, manifestPath) {
+  const baseDirectory = path.dirname(path.resolve(manifestPath));
+  
+  const sources = successful
+    .filter(result => result.outputPath && fs.existsSync(result.outputPath))
+    .map(result => {
+      const outputs = result.variants
+        ? result.variants.map(variant => describeOutput(variant.outputPath, {
+          width: variant.width,
+          height: variant.height,
+          format: variant.format,
+          bytes: variant.size
+        }, baseDirectory))
+        : (result.outputs || [{ outputPath: result.outputPath, size: result.compressedSize }]).map(output => describeOutput(output.outputPath, {
+          ...(result.resizeDimensions || {}),
+          format: output.format,
+          bytes: output.size
+        }, baseDirectory));
+      
+      return {
+        source: toManifestPath(result.file, baseDirectory),
+        outputs: outputs.sort((a, b) => (a.width || 0) - (b.width || 0))
+      };
+    })
+    .sort((a, b) => a.source.localeCompare(b.source));
+  
+  return {
+    generated: new Date().toISOString(),
+    sources
+  };
+}
+
+function formatSrcset(outputs) {
+  if (outputs.length === 1) {
+    return outputs[0].path;
+  }
+  return outputs.map(output => `${output.path} ${output.width}w`).join(', ');
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Render <picture> snippets for every source in a manifest
+ * @param {Object} manifest - Manifest from createManifest
+ * @returns {string} HTML
+ */
+function formatHtmlManifest(manifest) {
+  return manifest.sources.map(entry => {
+    const byFormat = new Map();
+    entry.outputs.forEach(output => {
+      if (!byFormat.has(output.format)) byFormat.set(output.format, []);
+      byFormat.get(output.format).push(output);
+    });
+    
+    const formats = [...byFormat.keys()].sort((a, b) => SOURCE_ORDER.indexOf(a) - SOURCE_ORDER.indexOf(b));
+    
+    // Browsers without AVIF/WebP support fall back to the <img>, so prefer the source's own
+    // format there, then any PNG/JPEG
+    const sourceFormat = normalizeFormat(path.extname(entry.source).slice(1).toLowerCase());
+    const fallbackFormat = (byFormat.has(sourceFormat) && ['png', 'jpg'].includes(sourceFormat) ? sourceFormat : null) ||
+      [...formats].reverse().find(format => format === 'png' || format === 'jpg') || formats[formats.length - 1];
+    const fallback = byFormat.get(fallbackFormat);
+    const largest = fallback[fallback.length - 1];
+    const sizesAttribute = fallback.length > 1 ? ' sizes="100vw"' : '';
+    
+    const lines = [`<!-- ${entry.source} -->`, '<picture>'];
+    
+    formats
+      .filter(format => format !== fallbackFormat)
+      .forEach(format => {
+        const outputs = byFormat.get(format);
+        const sizes = outputs.length > 1 ? ' sizes="100vw"' : '';
+        lines.push(`  <source type="${MIME_TYPES[format]}" srcset="${escapeAttribute(formatSrcset(outputs))}"${sizes}>`);
+      });
+    
+    const srcset = fallback.length > 1 ? ` srcset="${escapeAttribute(formatSrcset(fallback))}"${sizesAttribute}` : '';
+    const dimensions = largest.width && largest.height ? ` width="${largest.width}" height="${largest.height}"` : '';
+    lines.push(`  <img src="${escapeAttribute(largest.path)}"${srcset}${dimensions} alt="">`);
+    lines.push('</picture>');
+    
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+/**
+ * Write a manifest as JSON or as HTML <picture> snippets
+ * @param {string} manifestPath - Output file
+ * @param {Object} manifest - Manifest from createManifest
+ * @param {string} format - json|html
+ */
+async function writeManifest(manifestPath, manifest, format = 'json') {
+  if (!MANIFEST_FORMATS.includes(format)) {
+    throw new Error(`Unknown manifest format: ${format}. Supported formats: ${MANIFEST_FORMATS.join(', ')}`);
+  }
+  
+  const content = format === 'html'
+    ? formatHtmlManifest(manifest)
+    : JSON.stringify(manifest, null, 2) + '\n';
+  
+  await fs.ensureDir(path.dirname(path.resolve(manifestPath)));
+  await fs.writeFile(manifestPath, content);
+}
+
+export {
+  createManifest,
+  formatHtmlManifest,
+  writeManifest,
+  MANIFEST_FORMATS
+};
\ No newline at end of file
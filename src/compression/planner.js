@@ -0,0 +1,251 @@
+import path from 'path';
+import { getImageDimensions, calculateResizeDimensions, createResizeSpec, describeResizeSpec, shouldResize, calculateVariantWidths } from '../utils/imageUtils.js';
+import { determineOutputFormat, generateOutputPath, generateVariantPath, getOriginalFormat, getAdditionalFormats, getAutoFormatCandidates, createOutputOptions } from '../utils/formatHelper.js';
+import { formatBytes } from '../utils/fileOps.js';
+import { describeCollision } from './collisions.js';
+import { describeExclusion } from '../utils/scanFilter.js';
+
+const STATUS_LABELS = {
+  compress: 'Compress',
+  invalid: 'Invalid',
+  quota: 'Over quota',
+  ledger: 'Skip (ledger)',
+  exists: 'Skip (exists)',
+  small: 'Skip (too small)',
+  transparent: 'Skip (transparent)',
+  collision: 'Skip (collision)'
+};
+
+/**
+ * Describe what would happen to a single file without calling the API
+ * @param {Object} file - File from scanForImages ({ path, relativePath, name, size })
+ * @param {string} status - compress|invalid|quota|ledger|exists|small|transparent|collision
+ * @param {Object} options - Compression options
+ * @param {Array} errors - Validation errors for invalid files
+ * @returns {Object} Plan entry
+ */
+function createPlanEntry(file, status, options = {}, errors = []) {
+  const entry = {
+    path: file.path,
+    relativePath: file.relativePath || file.name,
+    size: file.size,
+    status,
+    errors,
+    outputFormat: null,
+    outputPath: null,
+    dimensions: null,
+    resize: null,
+    variants: null,
+    formats: null,
+    cost: status === 'compress' ? (file.compressionCost || 1) : 0
+  };
+  
+  if (status === 'invalid') {
+    return entry;
+  }
+  
+  const outputOptions = createOutputOptions(options, options.preserveStructure === false ? file.name : file.relativePath, file.collisionSuffix);
+  
+  entry.outputFormat = determineOutputFormat(file.path, options.convert) || getOriginalFormat(file.path);
+  entry.outputPath = generateOutputPath(file.path, options.convert, outputOptions);
+  
+  const resize = createResizeSpec(options);
+  
+  if (options.autoFormat) {
+    entry.candidates = getAutoFormatCandidates(file.path);
+  }
+  
+  if (options.formats) {
+    const { formats, skipped } = getAdditionalFormats(file.path, options.formats, options.background);
+    entry.formats = formats.map(format => ({ format, outputPath: generateOutputPath(file.path, format, outputOptions) }));
+    entry.skippedFormats = skipped;
+  }
+  
+  if (options.sizes) {
+    const dimensionResult = getImageDimensions(file.path);
+    if (dimensionResult.success) {
+      entry.dimensions = { width: dimensionResult.width, height: dimensionResult.height };
+      entry.variants = calculateVariantWidths(dimensionResult.width, options.sizes).map(width => ({
+        width,
+        height: Math.round(dimensionResult.height * (width / dimensionResult.width)),
+        outputPath: generateVariantPath(file.path, options.convert, width, outputOptions)
+      }));
+    }
+  } else if (resize) {
+    const dimensionResult = getImageDimensions(file.path);
+    if (dimensionResult.success) {
+      entry.dimensions = { width: dimensionResult.width, height: dimensionResult.height };
+      
+      const resizeDimensions = calculateResizeDimensions(
+        dimensionResult.width,
+        dimensionResult.height,
+        resize
+      );
+      
+      if (resizeDimensions) {
+        entry.resize = { width: resizeDimensions.width, height: resizeDimensions.height };
+      }
+    }
+  }
+  
+  return entry;
+}
+
+/**
+ * Assemble a dry-run plan
+ * @param {Object} details - Plan details
+ * @param {string} details.target - File or directory being compressed
+ * @param {Object} details.apiKey - API key validateApiKeySelection picked
+ * @param {boolean} details.autoSelected - Whether the key was auto-selected
+ * @param {number} details.availableCompressions - Compressions available to the run
+ * @param {Object} details.options - Compression options
+ * @param {Array} details.entries - Plan entries from createPlanEntry
+ * @param {Array} details.collisions - Output collisions from resolveCollisions
+ * @param {Array} details.exclusions - Files and directories the scan skipped, per rule
+ * @returns {Object} Dry-run plan
+ */
+function createDryRunPlan({ target, apiKey, autoSelected, availableCompressions, options, entries, collisions = [], exclusions = [] }) {
+  const count = status => entries.filter(entry => entry.status === status).length;
+  const charged = entries.reduce((sum, entry) => sum + entry.cost, 0);
+  
+  return {
+    target,
+    apiKey: {
+      name: apiKey.name,
+      autoSelected: !!autoSelected,
+      remaining: 500 - apiKey.compressions_used
+    },
+    options: {
+      convert: options.autoFormat ? 'auto' : (options.convert || null),
+      maxSize: shouldResize(options.maxSize) ? options.maxSize : null,
+      maxSide: shouldResize(options.maxSize) ? options.maxSide : null,
+      resize: describeResizeSpec(createResizeSpec(options)),
+      sizes: options.sizes || null,
+      formats: options.formats || null,
+      background: options.background || null,
+      minSavings: options.minSavings || null,
+      preserveMetadata: !!options.preserveMetadata,
+      outputDir: options.outputDir || null,
+      onCollision: options.onCollision || 'fail'
+    },
+    summary: {
+      scanned: entries.length,
+      toCompress: count('compress'),
+      invalid: count('invalid'),
+      excluded: exclusions.reduce((sum, exclusion) => sum + exclusion.files, 0),
+      skipped: count('ledger') + count('exists') + count('small') + count('transparent') + count('collision'),
+      cutOffByQuota: count('quota'),
+      compressionsCharged: charged,
+      availableCompressions,
+      remainingAfterRun: availableCompressions - charged
+    },
+    collisions,
+    exclusions,
+    files: entries
+  };
+}
+
+function formatPlanTable(entries) {
+  const headers = ['Status', 'File', 'Size', 'Output', 'Resize'];
+  
+  const rows = entries.map(entry => {
+    let output = entry.status === 'invalid' ? entry.errors.join('; ') : path.basename(entry.outputPath);
+    if (entry.variants) {
+      output = entry.variants.length > 0
+        ? entry.variants.map(variant => path.basename(variant.outputPath)).join(', ')
+        : 'no variants (narrower than all sizes)';
+    }
+    if (entry.candidates) {
+      output += ` (smallest of ${entry.candidates.map(format => format.toUpperCase()).join(', ')})`;
+    } else if (entry.status !== 'invalid' && entry.outputFormat && entry.variants?.length !== 0) {
+      output += ` (${entry.outputFormat.toUpperCase()})`;
+    }
+    if (entry.formats?.length > 0) {
+      output += ` + ${entry.formats.map(({ format }) => format.toUpperCase()).join(', ')}`;
+    }
+    if (entry.skippedFormats?.length > 0) {
+      output += ` (no ${entry.skippedFormats.map(format => format.toUpperCase()).join(', ')}: transparent)`;
+    }
+    
+    let resize = '-';
+    if (entry.variants && entry.dimensions) {
+      resize = `${entry.dimensions.width}×${entry.dimensions.height} → ${entry.variants.map(variant => `${variant.width}w`).join(', ') || 'none'}`;
+    } else if (entry.resize) {
+      resize = `${entry.dimensions.width}×${entry.dimensions.height} → ${entry.resize.width}×${entry.resize.height}`;
+    } else if (entry.dimensions) {
+      resize = `${entry.dimensions.width}×${entry.dimensions.height} (no resize)`;
+    }
+    
+    return [STATUS_LABELS[entry.status], entry.relativePath, formatBytes(entry.size), output, resize];
+  });
+  
+  const columnWidths = headers.map((header, i) =>
+    Math.min(60, Math.max(header.length, ...rows.map(row => row[i].length))) + 2
+  );
+  
+  function padCell(text, width) {
+    const cell = ` ${text}`;
+    return cell.length > width ? cell.substring(0, width - 3) + '...' : cell.padEnd(width);
+  }
+  
+  function formatRow(cells) {
+    return '│' + cells.map((cell, i) => padCell(cell, columnWidths[i])).join('│') + '│';
+  }
+  
+  const separator = '┌' + columnWidths.map(w => '─'.repeat(w)).join('┬') + '┐';
+  const headerSeparator = '├' + columnWidths.map(w => '─'.repeat(w)).join('┼') + '┤';
+  const bottom = '└' + columnWidths.map(w => '─'.repeat(w)).join('┴') + '┘';
+  
+  return [separator, formatRow(headers), headerSeparator, ...rows.map(formatRow), bottom].join('\n');
+}
+
+/**
+ * Print a dry-run plan as a table or JSON
+ * @param {Object} plan - Plan from createDryRunPlan
+ * @param {boolean} asJson - Print machine-readable JSON instead of a table
+ */
+function displayDryRunPlan(plan, asJson = false) {
+  if (asJson) {
+    console.log(JSON.stringify(plan, null, 2));
+    return;
+  }
+  
+  const { summary } = plan;
+  
+  console.log('\n📝 Dry Run Plan (no API calls made)');
+  console.log('='.repeat(50));
+  
+  if (plan.files.length > 0) {
+    console.log(formatPlanTable(plan.files));
+  }
+  
+  console.log(`\n🔑 API Key: ${plan.apiKey.name}${plan.apiKey.autoSelected ? ' (auto-selected)' : ''}, ${plan.apiKey.remaining} compressions remaining`);
+  console.log(`   Compressions to be charged: ${summary.compressionsCharged} of ${summary.availableCompressions} available`);
+  
+  console.log(`\n📁 Files:`);
+  console.log(`   To compress: ${summary.toCompress}`);
+  console.log(`   Failed validation: ${summary.invalid}`);
+  console.log(`   Skipped: ${summary.skipped}`);
+  if (plan.exclusions.length > 0) {
+    console.log(`   Excluded while scanning: ${summary.excluded}`);
+    plan.exclusions.forEach(exclusion => console.log(`     ${describeExclusion(exclusion)}`));
+  }
+  
+  if (plan.collisions.length > 0) {
+    console.log(`\n⚔️  Output Collisions: ${plan.collisions.length} (--on-collision ${plan.options.onCollision})`);
+    plan.collisions.forEach(collision => console.log(`   ${describeCollision(collision)}`));
+  }
+  
+  if (summary.cutOffByQuota > 0) {
+    console.log(`\n⚠️  ${summary.cutOffByQuota} files would be cut off by the quota:`);
+    plan.files
+      .filter(entry => entry.status === 'quota')
+      .forEach(entry => console.log(`   ${entry.relativePath}`));
+  }
+}
+
+export {
+  createPlanEntry,
+  createDryRunPlan,
+  displayDryRunPlan
+};
\ No newline at end of file
@@ -0,0 +1,148 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { estimateCompressionCost } from './index.js';
+import { resolveCollisions } from './collisions.js';
+import { filterCompressedFiles } from '../ledger/index.js';
+import { isPathInside, resolveOutputDirectory } from '../utils/fileOps.js';
+import { generateOutputPath, generateVariantPath, createOutputOptions, isVariantFileName, findFormatOutputs, determineOutputFormat, isAutoFormat } from '../utils/formatHelper.js';
+import { isTransparencyLost } from '../utils/imageUtils.js';
+
+/**
+ * Processing options for a run over a directory. --dir, --watch and --ledger rebuild all build
+ * them here, so the ledger fingerprints one of them records match what the others look up
+ * @param {Object} options - Resolved options
+ * @param {string} rootDirectory - Directory being processed
+ * @returns {Object} Options with the output format, output directory and structure setting resolved
+ */
+function createProcessOptions(options, rootDirectory) {
+  return {
+    ...options,
+    convert: determineOutputFormat('', options.convert),
+    autoFormat: isAutoFormat(options.convert),
+    outputDir: resolveOutputDirectory(options.out, rootDirectory),
+    preserveStructure: options.preserveStructure !== false
+  };
+}
+
+/**
+ * Drop outputs of earlier runs that were written next to their sources: the output tree,
+ * responsive variants, additional formats and --output-pattern results are never sources
+ * @param {Array} imageFiles - Scanned files
+ * @param {Object} options - Processing options
+ * @returns {Array} Sources
+ */
+function excludeEarlierOutputs(imageFiles, options) {
+  let files = imageFiles;
+  
+  // Never feed earlier results back in when the output tree lives inside the source
+  if (options.outputDir) {
+    files = files.filter(file => !isPathInside(file.path, options.outputDir));
+  }
+  
+  // Variants written next to their sources by an earlier --sizes run are outputs, not sources
+  if (options.sizes) {
+    files = files.filter(file => !isVariantFileName(file.name));
+  }
+  
+  // Likewise for the additional formats an earlier --formats run wrote next to each source
+  if (options.formats) {
+    const formatOutputs = findFormatOutputs(files, options.formats);
+    files = files.filter(file => !formatOutputs.has(file));
+  }
+  
+  // And for outputs an earlier --output-pattern run wrote next to their sources
+  if (options.outputPattern && !options.outputDir) {
+    const patternOutputs = new Set();
+    files.forEach(file => {
+      const outputPath = getFileOutputPath(file, options);
+      if (outputPath !== file.path) patternOutputs.add(outputPath);
+    });
+    files = files.filter(file => !patternOutputs.has(file.path));
+  }
+  
+  return files;
+}
+
+/**
+ * Split sources into the ones compressed this run and the ones skipped, by reason
+ * @param {Array} imageFiles - Sources from excludeEarlierOutputs
+ * @param {Object} options - Processing options
+ * @param {Object} context - { ledger, force, overwriteExisting, onCollision, dryRun }
+ * @returns {Promise<Object>} { files, collisions, skipped: { collision, ledger, existing, small, transparent } }
+ */
+async function selectFilesToCompress(imageFiles, options, context) {
+  const skipped = { collision: [], ledger: [], existing: [], small: [], transparent: [] };
+  
+  // Two sources must never be written to the same output (banner.png and banner.jpg both
+  // becoming banner.webp). Every source is checked, including ones the ledger skips below,
+  // so suffixes stay the same from run to run
+  const collisionResult = resolveCollisions(imageFiles, options, context.onCollision, context.dryRun);
+  skipped.collision = collisionResult.skipped;
+  let files = collisionResult.files;
+  
+  // Skip files already compressed with the same options in a previous run
+  if (!context.force) {
+    const { pending, skipped: compressed } = await filterCompressedFiles(context.ledger, files, options);
+    skipped.ledger = compressed;
+    files = pending;
+  }
+  
+  // Skip sources whose output already exists unless overwriting is enabled
+  if (options.outputDir && !context.overwriteExisting) {
+    skipped.existing = files.filter(file => fs.existsSync(getFileOutputPath(file, options)));
+    files = without(files, skipped.existing);
+  }
+  
+  // Responsive variants, additional formats and auto format selection cost extra compressions,
+  // so count them before checking quota
+  if (options.sizes || options.formats || options.autoFormat) {
+    files.forEach(file => {
+      file.compressionCost = estimateCompressionCost(file.path, options);
+    });
+    
+    skipped.small = files.filter(file => file.compressionCost === 0);
+    files = without(files, skipped.small);
+  }
+  
+  // JPEG has no alpha channel: without a background, transparent sources would come out with
+  // whatever TinyPNG fills them with, so they are left alone
+  skipped.transparent = files.filter(file => isTransparencyLost(file.path, options.convert, options.background));
+  files = without(files, skipped.transparent);
+  
+  return { files, collisions: collisionResult.collisions, skipped };
+}
+
+function without(files, removed) {
+  if (removed.length === 0) {
+    return files;
+  }
+  const removedFiles = new Set(removed);
+  return files.filter(file => !removedFiles.has(file));
+}
+
+function getFileOutputPath(file, options) {
+  const outputOptions = createOutputOptions(options, options.preserveStructure === false ? file.name : file.relativePath, file.collisionSuffix);
+  
+  // The smallest width is produced for every source that gets variants at all
+  if (options.sizes) {
+    return generateVariantPath(file.path, options.convert, options.sizes[0], outputOptions);
+  }
+  
+  return generateOutputPath(file.path, options.convert, outputOptions);
+}
+
+// Backups are made only when sources are replaced in place
+function getBackupDirectory(resolvedDirPath, options) {
+  if (options.outputDir || options.sizes || options.createBackup === false) {
+    return null;
+  }
+  return path.resolve(resolvedDirPath, options.backupDirectory || './original');
+}
+
+export {
+  createProcessOptions,
+  excludeEarlierOutputs,
+  selectFilesToCompress,
+  getFileOutputPath,
+  getBackupDirectory
+};
\ No newline at end of file
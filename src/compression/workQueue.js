@@ -0,0 +1,71 @@
+// Orders for --priority: a higher number is processed earlier, scan order keeps the order files were queued in
+const PRIORITY_ORDERS = {
+  scan: null,
+  smallest: file => -(file.size || 0),
+  largest: file => file.size || 0
+};
+
+// Binary heap: highest priority first, ties in the order they were pushed
+class WorkQueue {
+  constructor() {
+    this.items = [];
+    this.sequence = 0;
+  }
+  
+  get size() {
+    return this.items.length;
+  }
+  
+  push(value, priority = 0) {
+    this.items.push({ value, priority, sequence: this.sequence++ });
+    
+    let index = this.items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this.isBefore(index, parent)) break;
+      this.swap(index, parent);
+      index = parent;
+    }
+  }
+  
+  shift() {
+    if (this.items.length === 0) {
+      return undefined;
+    }
+    
+    const first = this.items[0];
+    const last = this.items.pop();
+    
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let next = index;
+        if (left < this.items.length && this.isBefore(left, next)) next = left;
+        if (right < this.items.length && this.isBefore(right, next)) next = right;
+        if (next === index) break;
+        this.swap(index, next);
+        index = next;
+      }
+    }
+    
+    return first.value;
+  }
+  
+  isBefore(a, b) {
+    const itemA = this.items[a];
+    const itemB = this.items[b];
+    return itemA.priority > itemB.priority || (itemA.priority === itemB.priority && itemA.sequence < itemB.sequence);
+  }
+  
+  swap(a, b) {
+    [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+  }
+}
+
+export {
+  WorkQueue,
+  PRIORITY_ORDERS
+};
\ No newline at end of file
@@ -1,23 +1,40 @@
 import fs from 'fs-extra';
 import path from 'path';
+import os from 'os';
 import { fileURLToPath } from 'url';
+import { isKeyReference, resolveKeyReference, unlockKeystore } from './secrets.js';
+import { migrateConfig, needsMigration, CURRENT_CONFIG_VERSION } from './migrations.js';
+import { RESIZE_METHODS, parseBackground } from '../utils/imageUtils.js';
+import { SUPPORTED_FORMATS } from '../utils/formatHelper.js';
+import { parseMinSavings } from '../utils/fileOps.js';
+import { parsePatternList } from '../utils/scanFilter.js';
+import { COLLISION_STRATEGIES } from '../compression/collisions.js';
+import { PRIORITY_ORDERS } from '../compression/workQueue.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const CONFIG_FILE = path.join(__dirname, '../../tinypng.config.json');
+const CONFIG_FILENAME = 'tinypng.config.json';
+
+// Location used before config discovery existed; still read so older setups keep working
+const LEGACY_CONFIG_FILE = path.join(__dirname, '../..', CONFIG_FILENAME);
+
+let configPathOverride = null;
+
+// --dry-run promises not to change any files, the configuration included
+let dryRun = false;
 
 const DEFAULT_CONFIG = {
-  version: "1.0.0",
+  version: CURRENT_CONFIG_VERSION,
   apiKeys: [],
   compression: {
     preserve_metadata: false,
-    convert_format: "auto",
+    convert_format: "keep",
     quality: "auto",
     resize: null
   },
   defaults: {
     api_key_selection: "auto",
-    convert_format: "auto"
+    convert_format: "keep"
   },
   output: {
     create_backup: true,
@@ -33,7 +50,153 @@ const DEFAULT_CONFIG = {
   }
 };
 
-function validateApiKey(apiKey, index, errors) {
+const CONVERT_FORMATS = ['keep', 'auto', 'png', 'jpg', 'jpeg', 'webp', 'avif'];
+const KEY_STATUSES = ['active', 'limit_reached', 'invalid', 'disabled'];
+
+const isBoolean = value => typeof value === 'boolean';
+const isString = value => typeof value === 'string' && value.length > 0;
+const isInteger = (min, max) => value => Number.isInteger(value) && value >= min && value <= max;
+const isSizeList = value => value === null || (Array.isArray(value) && value.length > 0 && value.every(isInteger(1, 100000))) ||
+  (typeof value === 'string' && /^\d+(,\d+)*$/.test(value));
+const isMinSavings = value => {
+  try {
+    return value === null || (['string', 'number'].includes(typeof value) && parseMinSavings(value) !== null);
+  } catch (err) {
+    return false;
+  }
+};
+const isBackground = value => {
+  try {
+    return value === null || parseBackground(value) !== null;
+  } catch (err) {
+    return false;
+  }
+};
+
+const isPatternList = value => {
+  try {
+    return value === null || parsePatternList(value) !== null;
+  } catch (err) {
+    return false;
+  }
+};
+
+const isFormatList = value => {
+  const formats = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : null);
+  return !!formats && formats.length > 0 && formats.every(format => SUPPORTED_FORMATS.includes(String(format).trim()));
+};
+
+// Field rules for the settings sections; fields not listed are left alone
+const SECTION_SCHEMA = {
+  compression: {
+    preserve_metadata: [isBoolean, 'must be true or false'],
+    convert_format: [value => CONVERT_FORMATS.includes(value), `must be one of ${CONVERT_FORMATS.join(', ')}`],
+    quality: [value => value === 'auto' || isInteger(1, 100)(value), 'must be "auto" or 1-100'],
+    resize: [value => value === null || typeof value === 'object' || isString(value), 'must be null, a size or an object'],
+    sizes: [isSizeList, 'must be a list of widths in pixels'],
+    background: [isBackground, 'must be white, black or a hex color such as #ffffff'],
+    formats: [isFormatList, `must be a list of formats (${SUPPORTED_FORMATS.join(', ')})`],
+    min_savings: [isMinSavings, 'must be a percentage such as "5%" or a size in bytes such as 2048 or "10KB"']
+  },
+  defaults: {
+    api_key_selection: [isString, 'must be "auto" or an API key name'],
+    convert_format: [value => CONVERT_FORMATS.includes(value), `must be one of ${CONVERT_FORMATS.join(', ')}`]
+  },
+  output: {
+    create_backup: [isBoolean, 'must be true or false'],
+    backup_directory: [isString, 'must be a path'],
+    output_directory: [isString, 'must be a path'],
+    output_pattern: [isString, 'must be a file name template such as "{dir}/{name}.min.{ext}"'],
+    on_collision: [value => COLLISION_STRATEGIES.includes(value), `must be one of ${COLLISION_STRATEGIES.join(', ')}`],
+    preserve_structure: [isBoolean, 'must be true or false'],
+    overwrite_existing: [isBoolean, 'must be true or false']
+  },
+  scan: {
+    include: [isPatternList, 'must be a list of glob patterns such as ["*.png", "assets/**"]'],
+    exclude: [isPatternList, 'must be a list of glob patterns such as ["node_modules/", "*.min.*"]'],
+    follow_symlinks: [isBoolean, 'must be true or false'],
+    stream: [isBoolean, 'must be true or false']
+  },
+  advanced: {
+    max_concurrent: [isInteger(1, 20), 'must be 1-20'],
+    retry_attempts: [isInteger(0, 10), 'must be 0-10'],
+    request_delay: [isInteger(0, 60000), 'must be 0-60000 milliseconds'],
+    adaptive_rate_limiting: [isBoolean, 'must be true or false'],
+    priority: [value => Object.keys(PRIORITY_ORDERS).includes(value), `must be one of ${Object.keys(PRIORITY_ORDERS).join(', ')}`]
+  }
+};
+
+function validateSection(config, section, errors) {
+  const values = config[section];
+  
+  // Sections are optional; missing settings fall back to the global config or defaults
+  if (values === undefined) {
+    return;
+  }
+  
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    errors.push(`${section} must be an object`);
+    return;
+  }
+  
+  for (const [field, [isValid, message]] of Object.entries(SECTION_SCHEMA[section])) {
+    if (field in values && !isValid(values[field])) {
+      errors.push(`${section}.${field} ${message}`);
+    }
+  }
+}
+
+const PRESET_SCHEMA = {
+  convert: [value => CONVERT_FORMATS.includes(value), `must be one of ${CONVERT_FORMATS.join(', ')}`],
+  max_size: [value => /^[1-9]\d*$/.test(String(value)) || value === 'none', 'must be a size in pixels or "none"'],
+  max_side: [value => ['auto', 'width', 'height'].includes(value), 'must be auto, width or height'],
+  resize_method: [value => RESIZE_METHODS.includes(value), `must be one of ${RESIZE_METHODS.join(', ')}`],
+  width: [isInteger(1, 100000), 'must be a size in pixels'],
+  height: [isInteger(1, 100000), 'must be a size in pixels'],
+  upscale: [isBoolean, 'must be true or false'],
+  preserve_metadata: [isBoolean, 'must be true or false'],
+  api_key: [isString, 'must be "auto" or an API key name'],
+  sizes: [isSizeList, 'must be a list of widths in pixels'],
+  background: [isBackground, 'must be white, black or a hex color such as #ffffff'],
+  formats: [isFormatList, `must be a list of formats (${SUPPORTED_FORMATS.join(', ')})`],
+  output_pattern: [isString, 'must be a file name template such as "{dir}/{name}.min.{ext}"'],
+  include: [isPatternList, 'must be a list of glob patterns such as ["*.png", "assets/**"]'],
+  exclude: [isPatternList, 'must be a list of glob patterns such as ["node_modules/", "*.min.*"]'],
+  min_savings: [isMinSavings, 'must be a percentage such as "5%" or a size in bytes such as 2048 or "10KB"'],
+  on_collision: [value => COLLISION_STRATEGIES.includes(value), `must be one of ${COLLISION_STRATEGIES.join(', ')}`]
+};
+
+function validatePresets(presets, errors) {
+  if (presets === undefined) {
+    return;
+  }
+  
+  if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+    errors.push('presets must be an object');
+    return;
+  }
+  
+  for (const [name, preset] of Object.entries(presets)) {
+    if (!/^[a-zA-Z0-9_-]{1,50}$/.test(name)) {
+      errors.push(`presets.${name} name must be 1-50 alphanumeric characters`);
+    }
+    
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+      errors.push(`presets.${name} must be an object`);
+      continue;
+    }
+    
+    for (const field of Object.keys(preset)) {
+      if (!PRESET_SCHEMA[field]) {
+        errors.push(`presets.${name}.${field} is not a preset setting (${Object.keys(PRESET_SCHEMA).join(', ')})`);
+      } else if (!PRESET_SCHEMA[field][0](preset[field])) {
+        errors.push(`presets.${name}.${field} ${PRESET_SCHEMA[field][1]}`);
+      }
+    }
+  }
+}
+
+function validateApiKey(apiKey, index, errors, configDirectory) {
   const prefix = `apiKeys[${index}]`;
   
   if (!apiKey.name || typeof apiKey.name !== 'string') {
@@ -44,6 +207,15 @@ function validateApiKey(apiKey, index, errors) {
   
   if (!apiKey.key || typeof apiKey.key !== 'string') {
     errors.push(`${prefix}.key is required`);
+  } else if (isKeyReference(apiKey.key)) {
+    try {
+      const resolvedKey = resolveKeyReference(apiKey.key, configDirectory);
+      if (!/^[a-zA-Z0-9]{32}$/.test(resolvedKey)) {
+        errors.push(`${prefix}.key reference ${apiKey.key} must resolve to a 32 character API key`);
+      }
+    } catch (err) {
+      errors.push(`${prefix}.key reference ${apiKey.key} could not be resolved: ${err.message}`);
+    }
   } else if (!/^[a-zA-Z0-9]{32}$/.test(apiKey.key)) {
     errors.push(`${prefix}.key must be 32 character API key`);
   }
@@ -63,6 +235,10 @@ function validateApiKey(apiKey, index, errors) {
   if (!apiKey.last_reset || !isValidDate(apiKey.last_reset)) {
     errors.push(`${prefix}.last_reset must be valid date (YYYY-MM-DD)`);
   }
+  
+  if (apiKey.status !== undefined && !KEY_STATUSES.includes(apiKey.status)) {
+    errors.push(`${prefix}.status must be one of ${KEY_STATUSES.join(', ')}`);
+  }
 }
 
 function isValidDate(dateString) {
@@ -76,18 +252,28 @@ function isValidDate(dateString) {
 function validateConfig(config) {
   const errors = [];
   
-  if (!config.version || config.version !== "1.0.0") {
-    errors.push("Invalid or missing version");
+  if (!config.version || config.version !== CURRENT_CONFIG_VERSION) {
+    errors.push(`Invalid or missing version (expected ${CURRENT_CONFIG_VERSION})`);
   }
   
   if (!config.apiKeys || !Array.isArray(config.apiKeys)) {
     errors.push("apiKeys must be an array");
   } else {
+    const configDirectory = path.dirname(getConfigPath());
     config.apiKeys.forEach((key, index) => {
-      validateApiKey(key, index, errors);
+      validateApiKey(key, index, errors, configDirectory);
     });
+    
+    const names = config.apiKeys.map(key => key.name);
+    const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+    if (duplicates.length > 0) {
+      errors.push(`apiKeys names must be unique (duplicated: ${[...new Set(duplicates)].join(', ')})`);
+    }
   }
   
+  Object.keys(SECTION_SCHEMA).forEach(section => validateSection(config, section, errors));
+  validatePresets(config.presets, errors);
+  
   if (errors.length > 0) {
     throw new Error(`Configuration validation failed:\n${errors.join('\n')}`);
   }
@@ -95,16 +281,157 @@ function validateConfig(config) {
   return true;
 }
 
+/**
+ * Use an explicit configuration file (--config) instead of the discovery chain
+ * @param {string|null} configPath - Path to a config file or a directory containing one
+ */
+function setConfigPath(configPath) {
+  configPathOverride = configPath || null;
+}
+
+/**
+ * Keep the configuration file untouched for --dry-run. Migrations and monthly resets still
+ * apply to the loaded configuration, but nothing is written and no status is printed
+ * @param {boolean} enabled - Whether this is a dry run
+ */
+function setDryRun(enabled) {
+  dryRun = enabled === true;
+}
+
+function getGlobalConfigPath() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'tinypng-compress', CONFIG_FILENAME);
+}
+
+function findProjectConfig(startDirectory = process.cwd()) {
+  let currentDir = path.resolve(startDirectory);
+  
+  while (true) {
+    const candidate = path.join(currentDir, CONFIG_FILENAME);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+    
+    const parentDir = path.dirname(currentDir);
+    if (parentDir === currentDir) {
+      return null;
+    }
+    currentDir = parentDir;
+  }
+}
+
+function resolveExplicitPath(configPath) {
+  const resolved = path.resolve(configPath);
+  
+  if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+    return path.join(resolved, CONFIG_FILENAME);
+  }
+  
+  return resolved;
+}
+
+/**
+ * Resolve which configuration file is in use. Lookup order:
+ * --config, TINYPNG_CONFIG, project directory (walking up from cwd),
+ * $XDG_CONFIG_HOME/tinypng-compress/, then the legacy package location.
+ * When no file exists the global location is returned as the place to create one.
+ * @returns {Object} { path, source }
+ */
+function resolveConfigPath() {
+  if (configPathOverride) {
+    return { path: resolveExplicitPath(configPathOverride), source: '--config' };
+  }
+  
+  if (process.env.TINYPNG_CONFIG) {
+    return { path: resolveExplicitPath(process.env.TINYPNG_CONFIG), source: 'TINYPNG_CONFIG' };
+  }
+  
+  const projectConfig = findProjectConfig();
+  if (projectConfig) {
+    return { path: projectConfig, source: 'project' };
+  }
+  
+  const globalConfig = getGlobalConfigPath();
+  if (fs.existsSync(globalConfig)) {
+    return { path: globalConfig, source: 'global' };
+  }
+  
+  if (fs.existsSync(LEGACY_CONFIG_FILE)) {
+    return { path: LEGACY_CONFIG_FILE, source: 'package directory (legacy)' };
+  }
+  
+  return { path: globalConfig, source: 'global' };
+}
+
+function getConfigPath() {
+  return resolveConfigPath().path;
+}
+
+/**
+ * Get the actual API key for a configured key, resolving env:, file: and keystore: references.
+ * The config itself keeps the reference so saving never writes the secret back.
+ * @param {Object} apiKey - Entry from config.apiKeys
+ * @returns {string} The API key
+ */
+function getApiKeyValue(apiKey) {
+  if (!isKeyReference(apiKey.key)) {
+    return apiKey.key;
+  }
+  
+  return resolveKeyReference(apiKey.key, path.dirname(getConfigPath()));
+}
+
+/**
+ * Upgrade an older configuration file in place, keeping a copy of the original
+ * @param {string} configFile - Path of the configuration file
+ * @param {Object} config - Parsed configuration (modified in place)
+ * @returns {Promise<Object|null>} Migration result, or null if already current
+ */
+async function migrateConfigFile(configFile, config) {
+  if (!needsMigration(config)) {
+    return null;
+  }
+  
+  const originalVersion = config.version || 'unversioned';
+  const result = migrateConfig(config);
+  
+  if (dryRun) {
+    return result;
+  }
+  
+  const backupPath = `${configFile}.v${originalVersion}.bak`;
+  
+  await fs.copy(configFile, backupPath, { overwrite: false, errorOnExist: false });
+  
+  console.log(`✓ Configuration migrated from ${result.fromVersion} to ${result.toVersion}`);
+  result.changes.forEach(change => console.log(`   ${change}`));
+  console.log(`   Previous version saved to ${backupPath}`);
+  
+  return result;
+}
+
 async function loadConfig() {
-  if (!await fs.pathExists(CONFIG_FILE)) {
-    throw new Error('Configuration file not found. Run --init to create one.');
+  const configFile = getConfigPath();
+  
+  if (!await fs.pathExists(configFile)) {
+    throw new Error(`Configuration file not found (looked for ${configFile}). Run --init to create one.`);
   }
   
   try {
-    const configData = await fs.readFile(CONFIG_FILE, 'utf8');
+    const configData = await fs.readFile(configFile, 'utf8');
     const config = JSON.parse(configData);
+    const migration = await migrateConfigFile(configFile, config);
+    
+    if (Array.isArray(config.apiKeys) && config.apiKeys.some(apiKey => typeof apiKey.key === 'string' && apiKey.key.startsWith('keystore:'))) {
+      await unlockKeystore(configFile);
+    }
     
     validateConfig(config);
+    
+    if (migration) {
+      await saveConfig(config);
+    }
+    
     return config;
     
   } catch (err) {
@@ -118,10 +445,16 @@ async function loadConfig() {
 async function saveConfig(config) {
   validateConfig(config);
   
+  if (dryRun) {
+    return;
+  }
+  
   const configData = JSON.stringify(config, null, 2);
+  const configFile = getConfigPath();
   
   try {
-    await fs.writeFile(CONFIG_FILE, configData, { mode: 0o600 });
+    await fs.ensureDir(path.dirname(configFile));
+    await fs.writeFile(configFile, configData, { mode: 0o600 });
     console.log('✓ Configuration saved successfully');
   } catch (err) {
     throw new Error(`Failed to save configuration: ${err.message}`);
@@ -129,7 +462,7 @@ async function saveConfig(config) {
 }
 
 function configExists() {
-  return fs.existsSync(CONFIG_FILE);
+  return fs.existsSync(getConfigPath());
 }
 
 function createDefaultConfig() {
@@ -156,7 +489,7 @@ async function resetAllKeysIfNeeded(config) {
     }
   });
   
-  if (updated) {
+  if (updated && !dryRun) {
     await saveConfig(config);
     console.log('✓ Monthly usage reset applied to API keys');
   }
@@ -199,5 +532,12 @@ export {
   resetAllKeysIfNeeded,
   updateKeyUsage,
   isNewMonth,
-  CONFIG_FILE
+  setConfigPath,
+  setDryRun,
+  resolveConfigPath,
+  getConfigPath,
+  getGlobalConfigPath,
+  getApiKeyValue,
+  CONFIG_FILENAME,
+  CURRENT_CONFIG_VERSION
 };
\ No newline at end of file
@@ -0,0 +1,114 @@
+const CURRENT_CONFIG_VERSION = '1.2.0';
+
+// Versions written before the version field was checked are treated as the first schema
+const INITIAL_CONFIG_VERSION = '1.0.0';
+
+/**
+ * Ordered schema upgrades. Each step receives the config of version `from`,
+ * mutates it into version `to` and pushes a description of every change.
+ */
+const MIGRATIONS = [
+  {
+    from: '1.0.0',
+    to: '1.1.0',
+    migrate(config, changes) {
+      // Settings left out keep falling back to the defaults of the layer below, so only
+      // fields whose absence meant something different are written
+      (config.apiKeys || []).forEach(apiKey => {
+        if (!apiKey.status) {
+          apiKey.status = apiKey.compressions_used >= 500 ? 'limit_reached' : 'active';
+          changes.push(`Set status of API key '${apiKey.name}' to ${apiKey.status}`);
+        }
+      });
+    }
+  },
+  {
+    from: '1.1.0',
+    to: '1.2.0',
+    migrate(config, changes) {
+      // "auto" used to mean "keep the original format"; it now picks the smallest format,
+      // so existing settings are carried over as "keep"
+      for (const section of ['compression', 'defaults']) {
+        if (config[section]?.convert_format === 'auto') {
+          config[section].convert_format = 'keep';
+          changes.push(`Renamed ${section}.convert_format "auto" to "keep" (original format)`);
+        }
+      }
+      
+      for (const [name, preset] of Object.entries(config.presets || {})) {
+        if (preset?.convert === 'auto') {
+          preset.convert = 'keep';
+          changes.push(`Renamed presets.${name}.convert "auto" to "keep" (original format)`);
+        }
+      }
+    }
+  }
+];
+
+function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  
+  for (let i = 0; i < 3; i++) {
+    if ((partsA[i] || 0) !== (partsB[i] || 0)) {
+      return (partsA[i] || 0) - (partsB[i] || 0);
+    }
+  }
+  
+  return 0;
+}
+
+/**
+ * Check whether a parsed configuration is older than the current schema
+ * @param {Object} config - Parsed configuration
+ * @returns {boolean} True if migrateConfig would change the version
+ */
+function needsMigration(config) {
+  return !config.version || config.version !== CURRENT_CONFIG_VERSION;
+}
+
+/**
+ * Upgrade a configuration to the current schema version, one step at a time
+ * @param {Object} config - Parsed configuration (modified in place)
+ * @returns {Object} { config, fromVersion, toVersion, changes }
+ * @throws {Error} If the version is newer than supported or has no migration path
+ */
+function migrateConfig(config) {
+  const changes = [];
+  
+  if (!config.version) {
+    config.version = INITIAL_CONFIG_VERSION;
+    changes.push(`Added missing version field (assumed ${INITIAL_CONFIG_VERSION})`);
+  }
+  
+  if (typeof config.version !== 'string' || !/^\d+\.\d+\.\d+$/.test(config.version)) {
+    throw new Error(`Invalid configuration version: ${config.version}`);
+  }
+  
+  const fromVersion = config.version;
+  
+  if (compareVersions(fromVersion, CURRENT_CONFIG_VERSION) > 0) {
+    throw new Error(`Configuration version ${fromVersion} is newer than this tool supports (${CURRENT_CONFIG_VERSION}). Please upgrade tinypng-compress.`);
+  }
+  
+  while (config.version !== CURRENT_CONFIG_VERSION) {
+    const migration = MIGRATIONS.find(m => m.from === config.version);
+    
+    if (!migration) {
+      throw new Error(`No migration available from configuration version ${config.version}`);
+    }
+    
+    migration.migrate(config, changes);
+    config.version = migration.to;
+    changes.push(`Upgraded schema ${migration.from} → ${migration.to}`);
+  }
+  
+  return { config, fromVersion, toVersion: CURRENT_CONFIG_VERSION, changes };
+}
+
+export {
+  migrateConfig,
+  needsMigration,
+  compareVersions,
+  CURRENT_CONFIG_VERSION
+};
\ No newline at end of file
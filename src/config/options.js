@@ -0,0 +1,276 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { resolveConfigPath, getGlobalConfigPath } from './index.js';
+import { migrateConfig, needsMigration } from './migrations.js';
+import { parseSizes, parseBackground, RESIZE_METHODS } from '../utils/imageUtils.js';
+import { parseFormats } from '../utils/formatHelper.js';
+import { parseMinSavings } from '../utils/fileOps.js';
+import { parsePatternList } from '../utils/scanFilter.js';
+import { COLLISION_STRATEGIES } from '../compression/collisions.js';
+import { PRIORITY_ORDERS } from '../compression/workQueue.js';
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+  if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+  throw new Error(`expected true or false, got '${value}'`);
+}
+
+function parseInteger(value) {
+  const number = typeof value === 'number' ? value : parseInt(value, 10);
+  if (!Number.isInteger(number) || String(number) !== String(value).trim()) {
+    throw new Error(`expected a whole number, got '${value}'`);
+  }
+  return number;
+}
+
+function parseResizeMethod(value) {
+  if (!RESIZE_METHODS.includes(value)) {
+    throw new Error(`expected one of ${RESIZE_METHODS.join(', ')}, got '${value}'`);
+  }
+  return value;
+}
+
+function parseCollisionStrategy(value) {
+  if (!COLLISION_STRATEGIES.includes(value)) {
+    throw new Error(`expected one of ${COLLISION_STRATEGIES.join(', ')}, got '${value}'`);
+  }
+  return value;
+}
+
+function parsePriority(value) {
+  if (!Object.keys(PRIORITY_ORDERS).includes(value)) {
+    throw new Error(`expected one of ${Object.keys(PRIORITY_ORDERS).join(', ')}, got '${value}'`);
+  }
+  return value;
+}
+
+function parseDimension(value) {
+  const number = parseInteger(value);
+  if (number <= 0) {
+    throw new Error(`expected a size in pixels, got '${value}'`);
+  }
+  return number;
+}
+
+function parseString(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return undefined; // e.g. compression.resize as an object is read through its own fields
+  }
+  return String(value);
+}
+
+/**
+ * Every option that can be set in more than one place. Values are looked up in order:
+ * CLI flag, --preset, environment variable, project config, global config, built-in default.
+ * `config` lists dotted paths into the configuration file, first match wins;
+ * `preset` is the field name inside a `presets.<name>` entry.
+ */
+const OPTION_DEFINITIONS = [
+  { name: 'apiKey', flag: '--api-key', env: 'TINYPNG_API_KEY_NAME', config: ['defaults.api_key_selection'], preset: 'api_key', default: 'auto', parse: parseString },
+  { name: 'convert', flag: '--convert', env: 'TINYPNG_CONVERT', config: ['compression.convert_format', 'defaults.convert_format'], preset: 'convert', default: 'keep', parse: parseString },
+  { name: 'formats', flag: '--formats', env: 'TINYPNG_FORMATS', config: ['compression.formats'], preset: 'formats', default: null, parse: parseFormats },
+  { name: 'background', flag: '--background', env: 'TINYPNG_BACKGROUND', config: ['compression.background'], preset: 'background', default: null, parse: parseBackground },
+  { name: 'preserveMetadata', flag: '--preserve-metadata', env: 'TINYPNG_PRESERVE_METADATA', config: ['compression.preserve_metadata'], preset: 'preserve_metadata', default: false, parse: parseBoolean },
+  { name: 'maxSize', flag: '--max-size', env: 'TINYPNG_MAX_SIZE', config: ['compression.resize.max_size', 'compression.resize'], preset: 'max_size', default: 'none', parse: parseString },
+  { name: 'maxSide', flag: '--max-side', env: 'TINYPNG_MAX_SIDE', config: ['compression.resize.max_side'], preset: 'max_side', default: 'auto', parse: parseString },
+  { name: 'resizeMethod', flag: '--resize-method', env: 'TINYPNG_RESIZE_METHOD', config: ['compression.resize.method'], preset: 'resize_method', default: 'scale', parse: parseResizeMethod },
+  { name: 'width', flag: '--width', env: 'TINYPNG_WIDTH', config: ['compression.resize.width'], preset: 'width', default: null, parse: parseDimension },
+  { name: 'height', flag: '--height', env: 'TINYPNG_HEIGHT', config: ['compression.resize.height'], preset: 'height', default: null, parse: parseDimension },
+  { name: 'upscale', flag: '--upscale', env: 'TINYPNG_UPSCALE', config: ['compression.resize.upscale'], preset: 'upscale', default: false, parse: parseBoolean },
+  { name: 'minSavings', flag: '--min-savings', env: 'TINYPNG_MIN_SAVINGS', config: ['compression.min_savings'], preset: 'min_savings', default: null, parse: parseMinSavings },
+  { name: 'sizes', flag: '--sizes', env: 'TINYPNG_SIZES', config: ['compression.sizes'], preset: 'sizes', default: null, parse: parseSizes },
+  { name: 'include', flag: '--include', env: 'TINYPNG_INCLUDE', config: ['scan.include'], preset: 'include', default: null, parse: parsePatternList },
+  { name: 'exclude', flag: '--exclude', env: 'TINYPNG_EXCLUDE', config: ['scan.exclude'], preset: 'exclude', default: null, parse: parsePatternList },
+  { name: 'recursive', flag: '--recursive', env: 'TINYPNG_RECURSIVE', config: [], default: false, parse: parseBoolean },
+  { name: 'followSymlinks', flag: '--follow-symlinks', env: 'TINYPNG_FOLLOW_SYMLINKS', config: ['scan.follow_symlinks'], default: false, parse: parseBoolean },
+  { name: 'stream', flag: '--stream', env: 'TINYPNG_STREAM', config: ['scan.stream'], default: false, parse: parseBoolean },
+  { name: 'out', flag: '--out', env: 'TINYPNG_OUT', config: ['output.output_directory'], default: './', parse: parseString, path: true },
+  { name: 'outputPattern', flag: '--output-pattern', env: 'TINYPNG_OUTPUT_PATTERN', config: ['output.output_pattern'], preset: 'output_pattern', default: null, parse: parseString },
+  { name: 'onCollision', flag: '--on-collision', env: 'TINYPNG_ON_COLLISION', config: ['output.on_collision'], preset: 'on_collision', default: 'fail', parse: parseCollisionStrategy },
+  { name: 'overwrite', flag: '--overwrite', env: 'TINYPNG_OVERWRITE', config: ['output.overwrite_existing'], default: false, parse: parseBoolean },
+  { name: 'preserveStructure', flag: null, env: 'TINYPNG_PRESERVE_STRUCTURE', config: ['output.preserve_structure'], default: true, parse: parseBoolean },
+  { name: 'createBackup', flag: null, env: 'TINYPNG_CREATE_BACKUP', config: ['output.create_backup'], default: true, parse: parseBoolean },
+  { name: 'backupDirectory', flag: null, env: 'TINYPNG_BACKUP_DIRECTORY', config: ['output.backup_directory'], default: './original', parse: parseString },
+  { name: 'maxConcurrent', flag: null, env: 'TINYPNG_MAX_CONCURRENT', config: ['advanced.max_concurrent'], default: 3, parse: parseInteger },
+  { name: 'priority', flag: '--priority', env: 'TINYPNG_PRIORITY', config: ['advanced.priority'], default: 'scan', parse: parsePriority },
+  { name: 'retryAttempts', flag: null, env: 'TINYPNG_RETRY_ATTEMPTS', config: ['advanced.retry_attempts'], default: 3, parse: parseInteger },
+  { name: 'requestDelay', flag: null, env: 'TINYPNG_REQUEST_DELAY', config: ['advanced.request_delay'], default: 100, parse: parseInteger }
+];
+
+function flagToProperty(flag) {
+  return flag.replace(/^--/, '').replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function getByPath(object, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+// Layers are read before loadConfig migrates the file in use, and the global file may never be
+// loaded at all, so each one is upgraded in memory to the current schema before it is consulted
+function readConfigLayer(configFile, source) {
+  if (!fs.existsSync(configFile)) {
+    return null;
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (err) {
+    throw new Error(`Configuration file contains invalid JSON: ${configFile}`);
+  }
+  
+  if (data && typeof data === 'object' && needsMigration(data)) {
+    try {
+      migrateConfig(data);
+    } catch (err) {
+      throw new Error(`${err.message} (${configFile})`);
+    }
+  }
+  
+  return { source, path: configFile, data };
+}
+
+/**
+ * Configuration files that contribute settings, highest precedence first.
+ * The resolved configuration (project, --config or TINYPNG_CONFIG) overrides the global one.
+ * @returns {Array} [{ source, path, data }]
+ */
+function getConfigLayers() {
+  const resolved = resolveConfigPath();
+  const globalConfigFile = getGlobalConfigPath();
+  const layers = [];
+  
+  if (path.resolve(resolved.path) !== path.resolve(globalConfigFile)) {
+    const labels = { 'project': 'project config', '--config': '--config file', 'TINYPNG_CONFIG': 'TINYPNG_CONFIG file' };
+    const layer = readConfigLayer(resolved.path, labels[resolved.source] || 'legacy config');
+    if (layer) layers.push(layer);
+  }
+  
+  const globalLayer = readConfigLayer(globalConfigFile, 'global config');
+  if (globalLayer) layers.push(globalLayer);
+  
+  return layers;
+}
+
+/**
+ * Find a named preset, project presets taking precedence over global ones
+ * @param {string} name - Preset name
+ * @param {Array} layers - Layers from getConfigLayers
+ * @returns {Object} { name, values, source, path }
+ * @throws {Error} If no configuration defines the preset
+ */
+function findPreset(name, layers = getConfigLayers()) {
+  for (const layer of layers) {
+    const preset = layer.data.presets?.[name];
+    if (preset && typeof preset === 'object') {
+      return { name, values: preset, source: layer.source, path: layer.path };
+    }
+  }
+  
+  const available = [...new Set(layers.flatMap(layer => Object.keys(layer.data.presets || {})))];
+  throw new Error(`Preset '${name}' not found. ${available.length > 0 ? `Available presets: ${available.join(', ')}` : 'No presets are defined'}`);
+}
+
+function resolveOption(definition, cliOptions, layers, preset) {
+  const property = definition.flag ? flagToProperty(definition.flag) : null;
+  
+  if (property && cliOptions[property] !== undefined) {
+    try {
+      const value = definition.parse(cliOptions[property]);
+      return {
+        value: definition.path ? path.resolve(value) : value,
+        source: 'flag',
+        detail: definition.flag
+      };
+    } catch (err) {
+      throw new Error(`Invalid value for ${definition.flag}: ${err.message}`);
+    }
+  }
+  
+  if (preset && definition.preset && preset.values[definition.preset] !== undefined) {
+    try {
+      return {
+        value: definition.parse(preset.values[definition.preset]),
+        source: 'preset',
+        detail: `${preset.name} in ${preset.path}`
+      };
+    } catch (err) {
+      throw new Error(`Invalid value for presets.${preset.name}.${definition.preset}: ${err.message}`);
+    }
+  }
+  
+  if (process.env[definition.env] !== undefined && process.env[definition.env] !== '') {
+    try {
+      const value = definition.parse(process.env[definition.env]);
+      return {
+        value: definition.path ? path.resolve(value) : value,
+        source: 'env',
+        detail: definition.env
+      };
+    } catch (err) {
+      throw new Error(`Invalid value for ${definition.env}: ${err.message}`);
+    }
+  }
+  
+  for (const layer of layers) {
+    for (const configPath of definition.config) {
+      const rawValue = getByPath(layer.data, configPath);
+      if (rawValue === undefined || rawValue === null) {
+        continue;
+      }
+      
+      try {
+        const value = definition.parse(rawValue);
+        if (value !== undefined) {
+          return { value, source: layer.source, detail: `${configPath} in ${layer.path}` };
+        }
+      } catch (err) {
+        throw new Error(`Invalid value for ${configPath} in ${layer.path}: ${err.message}`);
+      }
+    }
+  }
+  
+  return { value: definition.default, source: 'default', detail: null };
+}
+
+/**
+ * Resolve the effective options for a run.
+ * Path-valued flags and env vars are made absolute against the working directory;
+ * path values from a config file stay relative to the directory being compressed.
+ * @param {Object} cliOptions - Parsed commander options
+ * @returns {Object} { values, sources } keyed by option name
+ */
+function resolveOptions(cliOptions = {}) {
+  const layers = getConfigLayers();
+  const preset = cliOptions.preset ? findPreset(cliOptions.preset, layers) : null;
+  const values = {};
+  const sources = {};
+  
+  for (const definition of OPTION_DEFINITIONS) {
+    const resolved = resolveOption(definition, cliOptions, layers, preset);
+    values[definition.name] = resolved.value;
+    sources[definition.name] = { source: resolved.source, detail: resolved.detail };
+  }
+  
+  // --convert webp,avif is shorthand for --formats webp,avif
+  if (typeof values.convert === 'string' && values.convert.includes(',')) {
+    if (values.formats && sources.formats.source === 'flag') {
+      throw new Error('Use either --convert with a list of formats or --formats, not both');
+    }
+    values.formats = parseFormats(values.convert);
+    sources.formats = sources.convert;
+    values.convert = 'keep';
+  }
+  
+  values.preset = preset ? preset.name : null;
+  return { values, sources };
+}
+
+export {
+  resolveOptions,
+  getConfigLayers,
+  findPreset,
+  flagToProperty,
+  OPTION_DEFINITIONS
+};
\ No newline at end of file
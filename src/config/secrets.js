@@ -0,0 +1,375 @@
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import inquirer from 'inquirer';
+
+const KEYSTORE_FILENAME = 'tinypng.keystore.json';
+const KEYSTORE_VERSION = '1.0.0';
+const KEYSTORE_CHECK_VALUE = 'tinypng-compress';
+const REFERENCE_PREFIXES = ['env:', 'file:', 'keystore:'];
+
+// Unlocked keystore for this process: { path, key, data, secrets, dirty }
+let unlockedKeystore = null;
+
+/**
+ * Check whether an apiKeys[].key value references a secret instead of holding it
+ * @param {string} value - Value of apiKeys[].key
+ * @returns {boolean} True for env:, file: and keystore: references
+ */
+function isKeyReference(value) {
+  return typeof value === 'string' && REFERENCE_PREFIXES.some(prefix => value.startsWith(prefix));
+}
+
+function expandPath(filePath, baseDirectory) {
+  if (filePath.startsWith('~/')) {
+    return path.join(os.homedir(), filePath.slice(2));
+  }
+  
+  return path.resolve(baseDirectory, filePath);
+}
+
+function resolveFileReference(reference, baseDirectory) {
+  // file:<path> holds the key itself, file:<path>#<name> picks a property of a JSON secrets file
+  const hashIndex = reference.lastIndexOf('#');
+  const filePart = hashIndex > 0 ? reference.slice(0, hashIndex) : reference;
+  const secretName = hashIndex > 0 ? reference.slice(hashIndex + 1) : null;
+  const secretsFile = expandPath(filePart, baseDirectory);
+  
+  if (!fs.existsSync(secretsFile)) {
+    throw new Error(`secrets file not found: ${secretsFile}`);
+  }
+  
+  const content = fs.readFileSync(secretsFile, 'utf8');
+  
+  if (!secretName) {
+    return content.trim();
+  }
+  
+  let secrets;
+  try {
+    secrets = JSON.parse(content);
+  } catch (err) {
+    throw new Error(`secrets file is not valid JSON: ${secretsFile}`);
+  }
+  
+  if (typeof secrets[secretName] !== 'string') {
+    throw new Error(`'${secretName}' not found in ${secretsFile}`);
+  }
+  
+  return secrets[secretName].trim();
+}
+
+/**
+ * Resolve an apiKeys[].key value to the actual API key
+ * @param {string} value - Plain key or env:/file:/keystore: reference
+ * @param {string} configDirectory - Directory of the config file, for relative file paths
+ * @returns {string} The API key
+ * @throws {Error} If the reference cannot be resolved
+ */
+function resolveKeyReference(value, configDirectory) {
+  if (value.startsWith('env:')) {
+    const variable = value.slice(4);
+    if (!process.env[variable]) {
+      throw new Error(`environment variable ${variable} is not set`);
+    }
+    return process.env[variable].trim();
+  }
+  
+  if (value.startsWith('file:')) {
+    return resolveFileReference(value.slice(5), configDirectory);
+  }
+  
+  if (value.startsWith('keystore:')) {
+    const name = value.slice(9);
+    if (!unlockedKeystore) {
+      throw new Error('keystore is locked');
+    }
+    if (!(name in unlockedKeystore.secrets)) {
+      throw new Error(`'${name}' not found in keystore`);
+    }
+    return unlockedKeystore.secrets[name];
+  }
+  
+  return value;
+}
+
+/**
+ * Check that a reference resolves to something that looks like an API key
+ * @param {string} reference - env:, file: or keystore: reference
+ * @param {string} configDirectory - Directory of the config file, for relative file paths
+ * @returns {boolean|string} True, or a message for an inquirer validate function
+ */
+function validateKeyReference(reference, configDirectory) {
+  try {
+    const resolvedKey = resolveKeyReference(reference, configDirectory);
+    return /^[a-zA-Z0-9]{32}$/.test(resolvedKey) || `${reference} does not contain a 32 character API key`;
+  } catch (err) {
+    return `Cannot read ${reference}: ${err.message}`;
+  }
+}
+
+/**
+ * Prompt questions for where a new API key is stored and for the key itself. They follow a
+ * question named `name`, whose answer names the environment variable and the keystore entry
+ * @param {string} configFile - Path of the configuration file the key is added to
+ * @returns {Array<Object>} inquirer questions answering storage, envVariable, secretsFile and key
+ */
+function createKeyStorageQuestions(configFile) {
+  const configDirectory = path.dirname(configFile);
+  
+  return [
+    {
+      type: 'list',
+      name: 'storage',
+      message: 'Where should the API key be stored?',
+      choices: [
+        { name: 'In the configuration file (plain text)', value: 'plain' },
+        { name: 'Encrypted keystore (passphrase protected)', value: 'keystore' },
+        { name: 'Environment variable', value: 'env' },
+        { name: 'Secrets file', value: 'file' }
+      ]
+    },
+    {
+      type: 'input',
+      name: 'envVariable',
+      message: 'Environment variable holding the API key:',
+      when: (answers) => answers.storage === 'env',
+      default: (answers) => `TINYPNG_KEY_${answers.name.toUpperCase().replace(/-/g, '_')}`,
+      validate: (input) => validateKeyReference(`env:${input}`, configDirectory)
+    },
+    {
+      type: 'input',
+      name: 'secretsFile',
+      message: 'Secrets file (path, or path#name for a JSON file of keys):',
+      when: (answers) => answers.storage === 'file',
+      validate: (input) => validateKeyReference(`file:${input}`, configDirectory)
+    },
+    {
+      type: 'input',
+      name: 'key',
+      message: 'Enter TinyPNG API key:',
+      when: (answers) => answers.storage === 'plain' || answers.storage === 'keystore',
+      validate: (input) => {
+        if (!/^[a-zA-Z0-9]{32}$/.test(input)) {
+          return 'API key must be exactly 32 characters';
+        }
+        return true;
+      }
+    }
+  ];
+}
+
+/**
+ * Turn the answers to createKeyStorageQuestions into the value for apiKeys[].key.
+ * A key for the keystore stays plain until storeAnsweredKey moves it there
+ * @param {Object} answers - Prompt answers
+ * @returns {string} Plain key or env:/file: reference
+ */
+function getAnsweredKeyReference(answers) {
+  if (answers.storage === 'env') {
+    return `env:${answers.envVariable}`;
+  }
+  
+  if (answers.storage === 'file') {
+    return `file:${answers.secretsFile}`;
+  }
+  
+  return answers.key;
+}
+
+/**
+ * Move a validated key into the keystore when that storage was chosen (persisted by saveKeystore)
+ * @param {Object} apiKey - apiKeys[] entry holding the plain key
+ * @param {Object} answers - Prompt answers
+ * @param {string} configFile - Path of the configuration file
+ */
+async function storeAnsweredKey(apiKey, answers, configFile) {
+  if (answers.storage !== 'keystore') {
+    return;
+  }
+  
+  await unlockKeystore(configFile, { create: true });
+  apiKey.key = setKeystoreSecret(apiKey.name, answers.key);
+  console.log('  Stored encrypted in keystore');
+}
+
+function getKeystorePath(configFile) {
+  return path.join(path.dirname(configFile), KEYSTORE_FILENAME);
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32);
+}
+
+function encryptValue(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decryptValue(key, entry) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(entry.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+  
+  return Buffer.concat([
+    decipher.update(Buffer.from(entry.data, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+async function promptPassphrase(message, confirm = false) {
+  if (process.env.TINYPNG_KEYSTORE_PASSPHRASE) {
+    return process.env.TINYPNG_KEYSTORE_PASSPHRASE;
+  }
+  
+  const { passphrase } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      message,
+      mask: '*',
+      validate: (input) => input.length >= 8 || 'Passphrase must be at least 8 characters'
+    }
+  ]);
+  
+  if (confirm) {
+    const { repeated } = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'repeated',
+        message: 'Repeat passphrase:',
+        mask: '*'
+      }
+    ]);
+    
+    if (repeated !== passphrase) {
+      throw new Error('Passphrases do not match');
+    }
+  }
+  
+  return passphrase;
+}
+
+/**
+ * Unlock the keystore next to the config file, creating it if requested.
+ * The passphrase comes from TINYPNG_KEYSTORE_PASSPHRASE or an interactive prompt.
+ * @param {string} configFile - Path of the configuration file
+ * @param {Object} options - { create: allow creating a new keystore }
+ * @returns {Promise<Object>} Unlocked keystore
+ */
+async function unlockKeystore(configFile, options = {}) {
+  const keystorePath = getKeystorePath(configFile);
+  
+  if (unlockedKeystore && unlockedKeystore.path === keystorePath) {
+    return unlockedKeystore;
+  }
+  
+  if (!await fs.pathExists(keystorePath)) {
+    if (!options.create) {
+      throw new Error(`Keystore not found: ${keystorePath}`);
+    }
+    
+    console.log(`Creating encrypted keystore: ${keystorePath}`);
+    const passphrase = await promptPassphrase('Choose a keystore passphrase:', true);
+    const salt = crypto.randomBytes(16).toString('base64');
+    const key = deriveKey(passphrase, salt);
+    
+    unlockedKeystore = {
+      path: keystorePath,
+      key,
+      data: {
+        version: KEYSTORE_VERSION,
+        kdf: 'scrypt',
+        salt,
+        check: encryptValue(key, KEYSTORE_CHECK_VALUE),
+        keys: {}
+      },
+      secrets: {},
+      dirty: true
+    };
+    
+    return unlockedKeystore;
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(keystorePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Keystore is invalid: ${keystorePath}`);
+  }
+  
+  const passphrase = await promptPassphrase('Keystore passphrase:');
+  const key = deriveKey(passphrase, data.salt);
+  
+  try {
+    if (decryptValue(key, data.check) !== KEYSTORE_CHECK_VALUE) {
+      throw new Error('check value mismatch');
+    }
+  } catch (err) {
+    throw new Error('Incorrect keystore passphrase');
+  }
+  
+  const secrets = {};
+  for (const [name, entry] of Object.entries(data.keys)) {
+    secrets[name] = decryptValue(key, entry);
+  }
+  
+  unlockedKeystore = { path: keystorePath, key, data, secrets, dirty: false };
+  return unlockedKeystore;
+}
+
+/**
+ * Add or replace a secret in the unlocked keystore (persisted by saveKeystore)
+ * @param {string} name - Secret name, normally the API key name
+ * @param {string} value - The API key
+ * @returns {string} Reference to store in apiKeys[].key
+ */
+function setKeystoreSecret(name, value) {
+  if (!unlockedKeystore) {
+    throw new Error('Keystore must be unlocked before adding keys');
+  }
+  
+  unlockedKeystore.secrets[name] = value;
+  unlockedKeystore.data.keys[name] = encryptValue(unlockedKeystore.key, value);
+  unlockedKeystore.dirty = true;
+  
+  return `keystore:${name}`;
+}
+
+/**
+ * Write pending keystore changes to disk
+ */
+async function saveKeystore() {
+  if (!unlockedKeystore || !unlockedKeystore.dirty) {
+    return;
+  }
+  
+  try {
+    await fs.ensureDir(path.dirname(unlockedKeystore.path));
+    await fs.writeFile(unlockedKeystore.path, JSON.stringify(unlockedKeystore.data, null, 2), { mode: 0o600 });
+    unlockedKeystore.dirty = false;
+  } catch (err) {
+    throw new Error(`Failed to save keystore: ${err.message}`);
+  }
+}
+
+export {
+  isKeyReference,
+  resolveKeyReference,
+  validateKeyReference,
+  createKeyStorageQuestions,
+  getAnsweredKeyReference,
+  storeAnsweredKey,
+  unlockKeystore,
+  setKeystoreSecret,
+  saveKeystore,
+  getKeystorePath,
+  KEYSTORE_FILENAME
+};
\ No newline at end of file
@@ -9,6 +9,13 @@ import checkCommand from './commands/check.js';
 import newKeyCommand from './commands/new-key.js';
 import compressFileCommand from './commands/compress.js';
 import compressDirCommand from './commands/compressDir.js';
+import watchCommand from './commands/watch.js';
+import ledgerCommand from './commands/ledger.js';
+import restoreCommand from './commands/restore.js';
+import showConfigCommand from './commands/show-config.js';
+import presetsCommand from './commands/presets.js';
+import { setConfigPath, setDryRun } from './config/index.js';
+import { resolveOptions } from './config/options.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -23,16 +30,46 @@ program
 
 program
   .option('--init', 'Create configuration file')
+  .option('--config <path>', 'Use this configuration file (default: TINYPNG_CONFIG, project, then ~/.config/tinypng-compress)')
   .option('--check', 'Show API key usage status')
+  .option('--show-config', 'Show the effective options and where each value comes from')
   .option('--new-key', 'Add new API key to existing configuration')
   .option('--file <path>', 'Compress single file')
   .option('--dir <path>', 'Compress directory')
+  .option('--watch <dir>', 'Watch a directory and compress images as they are added or changed, until interrupted')
+  .option('--preset <name>', 'Apply a named preset from the configuration (explicit flags override it)')
+  .option('--presets <action>', 'Manage presets: list|add|delete (add and delete take --preset <name>)')
   .option('--api-key <name>', 'Specify API key to use (or "any" for auto-selection)')
   .option('--preserve-metadata', 'Keep EXIF data')
-  .option('--convert <format>', 'Convert to format (webp|png|jpeg|avif|auto)')
+  .option('--convert <format>', 'Convert to format (webp|png|jpeg|avif|auto), or a list such as webp,avif to keep the original too')
   .option('--recursive', 'Include subdirectories when processing directory')
+  .option('--follow-symlinks', 'Scan symlinked files and directories (default: skip them)')
+  .option('--stream', 'Compress while scanning, one directory at a time, for very large trees')
+  .option('--priority <order>', 'Order in which queued files are compressed: scan|smallest|largest (default: scan)')
+  .option('--include <globs>', 'Only compress files matching these patterns, e.g. "*.png,assets/**"')
+  .option('--exclude <globs>', 'Skip files and directories matching these patterns, e.g. "node_modules/,*.min.*"')
   .option('--max-size <pixels>', 'Maximum size for image scaling (default: none)')
-  .option('--max-side <side>', 'Dimension to prioritize for scaling: auto|width|height (default: auto)');
+  .option('--max-side <side>', 'Dimension to prioritize for scaling: auto|width|height (default: auto)')
+  .option('--formats <formats>', 'Also write these formats next to the compressed original, e.g. webp,avif')
+  .option('--background <color>', 'Background for transparent images converted to JPEG: white|black|#hex')
+  .option('--resize-method <method>', 'How --width/--height are applied: scale|fit|cover|thumb (default: scale)')
+  .option('--width <pixels>', 'Target width for --resize-method')
+  .option('--height <pixels>', 'Target height for --resize-method')
+  .option('--upscale', 'Allow --width/--height to enlarge images smaller than the target')
+  .option('--min-savings <threshold>', 'Keep the original unless the result is smaller by at least this much, e.g. 5% or 10KB')
+  .option('--sizes <widths>', 'Write one resized variant per width, e.g. 480,960,1920 (name-960w.ext)')
+  .option('--manifest <path>', 'Write a manifest of every output of a --dir run')
+  .option('--manifest-format <format>', 'Manifest format: json|html (default: json)')
+  .option('--out <dir>', 'Write results to a separate directory instead of replacing the source files')
+  .option('--output-pattern <template>', 'Name outputs with tokens {dir} {name} {ext} {width} {height} {hash8} {preset}, e.g. "{dir}/{name}.min.{ext}"')
+  .option('--on-collision <strategy>', 'When several sources would write the same output: skip|suffix|prefer-larger-source|fail (default: fail)')
+  .option('--overwrite', 'Replace existing files in the output directory')
+  .option('--force', 'Ignore the compression ledger and process already compressed files again')
+  .option('--ledger <action>', 'Manage the compression ledger of --dir: show|prune|rebuild')
+  .option('--restore <path>', 'Restore a file or directory from its backups in ./original')
+  .option('--backup-version <version>', 'Backup to restore: latest|original|<timestamp> (default: latest)')
+  .option('--dry-run', 'Show what --file, --dir or --restore would do without calling the API or changing any files')
+  .option('--json', 'Print the --dry-run plan as JSON');
 
 program.parse();
 
@@ -40,46 +77,92 @@ const options = program.opts();
 
 async function main() {
   try {
+    setConfigPath(options.config);
+    setDryRun(options.dryRun);
+    
     if (options.init) {
       await initCommand();
       return;
     }
-
+    
     if (options.check) {
       await checkCommand();
       return;
     }
-
+    
     if (options.newKey) {
       await newKeyCommand();
       return;
     }
-
+    
+    if (options.showConfig) {
+      await showConfigCommand(options);
+      return;
+    }
+    
+    if (options.presets) {
+      await presetsCommand(options.presets, options.preset, options);
+      return;
+    }
+    
+    // Flags, environment, project and global config merged into one set of options
+    const { values: resolved } = resolveOptions(options);
+    
     if (options.file) {
       const compressionOptions = {
-        preserveMetadata: options.preserveMetadata,
-        convert: options.convert,
-        maxSize: options.maxSize || 'none',
-        maxSide: options.maxSide || 'auto'
+        ...resolved,
+        dryRun: options.dryRun,
+        json: options.json
       };
       
-      await compressFileCommand(options.file, options.apiKey, compressionOptions);
+      await compressFileCommand(options.file, resolved.apiKey, compressionOptions);
       return;
     }
-
+    
+    if (options.restore) {
+      await restoreCommand(options.restore, {
+        backupVersion: options.backupVersion,
+        backupDirectory: resolved.backupDirectory,
+        dryRun: options.dryRun
+      });
+      return;
+    }
+    
+    if (options.ledger) {
+      if (!options.dir) {
+        throw new Error('--ledger requires --dir <path>');
+      }
+      
+      // The same options as a --dir run, so rebuilt entries match what that run looks up
+      await ledgerCommand(options.dir, options.ledger, resolved);
+      return;
+    }
+    
+    if (options.watch) {
+      const compressionOptions = {
+        ...resolved,
+        force: options.force,
+        dryRun: options.dryRun
+      };
+      
+      await watchCommand(options.watch, resolved.apiKey, compressionOptions);
+      return;
+    }
+    
     if (options.dir) {
       const compressionOptions = {
-        preserveMetadata: options.preserveMetadata,
-        convert: options.convert,
-        recursive: options.recursive,
-        maxSize: options.maxSize || 'none',
-        maxSide: options.maxSide || 'auto'
+        ...resolved,
+        force: options.force,
+        manifest: options.manifest,
+        manifestFormat: options.manifestFormat,
+        dryRun: options.dryRun,
+        json: options.json
       };
       
-      await compressDirCommand(options.dir, options.apiKey, compressionOptions);
+      await compressDirCommand(options.dir, resolved.apiKey, compressionOptions);
       return;
     }
-
+    
     if (Object.keys(options).length === 0) {
       program.help();
     }
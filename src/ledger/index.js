@@ -0,0 +1,354 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+
+const LEDGER_FILENAME = '.tinypng-ledger.json';
+const LEDGER_VERSION = '1.0.0';
+
+// Every save rewrites the whole ledger, so recorded files are saved in batches: at most this
+// many files or this many milliseconds go unsaved until the run flushes the rest
+const SAVE_EVERY_FILES = 20;
+const SAVE_EVERY_MS = 2000;
+
+/**
+ * Get the ledger file path for a directory
+ * @param {string} directory - Root directory of the compression run
+ * @returns {string} Absolute path to the ledger file
+ */
+function getLedgerPath(directory) {
+  return path.join(path.resolve(directory), LEDGER_FILENAME);
+}
+
+function createEmptyLedger(ledgerPath) {
+  return {
+    path: ledgerPath,
+    data: {
+      version: LEDGER_VERSION,
+      entries: {}
+    }
+  };
+}
+
+/**
+ * Load the compression ledger for a directory, creating an empty one if none exists
+ * @param {string} directory - Root directory of the compression run
+ * @returns {Object} Ledger handle ({ path, data })
+ */
+async function loadLedger(directory) {
+  const ledgerPath = getLedgerPath(directory);
+  
+  if (!await fs.pathExists(ledgerPath)) {
+    return createEmptyLedger(ledgerPath);
+  }
+  
+  try {
+    const data = JSON.parse(await fs.readFile(ledgerPath, 'utf8'));
+    
+    if (!data.entries || typeof data.entries !== 'object') {
+      throw new Error('missing entries');
+    }
+    
+    return { path: ledgerPath, data };
+    
+  } catch (err) {
+    throw new Error(`Compression ledger is invalid (${ledgerPath}): ${err.message}. Run --ledger rebuild to recreate it.`);
+  }
+}
+
+/**
+ * Persist the ledger to disk. Saves of one ledger run one after another, each writing a
+ * temporary file that replaces the ledger, so an interrupted run never leaves it truncated
+ * @param {Object} ledger - Ledger handle
+ * @returns {Promise<void>}
+ */
+function saveLedger(ledger) {
+  const previous = ledger.saving || Promise.resolve();
+  ledger.unsaved = 0;
+  ledger.savedAt = Date.now();
+  
+  // A failed save is reported to its own caller and must not stop the ones after it
+  ledger.saving = previous.catch(() => {}).then(() => writeLedger(ledger));
+  return ledger.saving;
+}
+
+async function writeLedger(ledger) {
+  const tempPath = `${ledger.path}.${process.pid}.tmp`;
+  
+  try {
+    await fs.writeFile(tempPath, JSON.stringify(ledger.data, null, 2));
+    await fs.rename(tempPath, ledger.path);
+  } catch (err) {
+    await fs.remove(tempPath).catch(() => {});
+    // Kept unsaved so the flush at the end of the run tries again
+    ledger.unsaved = Math.max(ledger.unsaved || 0, 1);
+    throw new Error(`Failed to save compression ledger: ${err.message}`);
+  }
+}
+
+/**
+ * Save entries recorded since the last save and wait for saves still being written.
+ * Called at the end of a run
+ * @param {Object} ledger - Ledger handle
+ * @returns {Promise<void>}
+ */
+async function flushLedger(ledger) {
+  if (ledger.unsaved) {
+    await saveLedger(ledger);
+  } else if (ledger.saving) {
+    await ledger.saving;
+  }
+}
+
+/**
+ * Calculate the SHA-256 hash of a file's content
+ * @param {string} filePath - Path to file
+ * @returns {Promise<string>} Hex encoded hash
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const stream = fs.createReadStream(filePath);
+    
+    stream.on('error', reject);
+    stream.on('data', chunk => hash.update(chunk));
+    stream.on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Normalize the compression options that affect the output of a file
+ * @param {Object} options - Compression options
+ * @returns {Object} Options fingerprint
+ */
+function getOptionsFingerprint(options = {}) {
+  const fingerprint = {
+    convert: options.convert ? options.convert.toLowerCase() : null,
+    maxSize: options.maxSize && options.maxSize !== 'none' ? String(options.maxSize) : null,
+    maxSide: options.maxSize && options.maxSize !== 'none' ? (options.maxSide || 'auto') : null,
+    preserveMetadata: !!options.preserveMetadata
+  };
+  
+  // Only present when set so ledgers written before --sizes existed keep matching
+  if (options.sizes) {
+    fingerprint.sizes = options.sizes.join(',');
+  }
+  
+  if (options.formats) {
+    fingerprint.formats = options.formats.join(',');
+  }
+  
+  if (options.autoFormat) {
+    fingerprint.autoFormat = true;
+  }
+  
+  if (options.outputPattern) {
+    fingerprint.outputPattern = options.outputPattern;
+  }
+  
+  // A stricter or looser threshold may decide differently about a file kept for lack of gain
+  if (options.minSavings) {
+    fingerprint.minSavings = options.minSavings.percent !== undefined ? `${options.minSavings.percent}%` : options.minSavings.bytes;
+  }
+  
+  // The background only changes the output of conversions to JPEG
+  if (options.background && ['jpg', 'jpeg'].includes(fingerprint.convert)) {
+    fingerprint.background = options.background;
+  }
+  
+  if (options.width || options.height) {
+    fingerprint.resize = {
+      method: options.resizeMethod || 'scale',
+      width: options.width || null,
+      height: options.height || null,
+      upscale: !!options.upscale
+    };
+  }
+  
+  // Results written to a separate tree are only "done" for that tree
+  if (options.outputDir) {
+    fingerprint.outputDir = path.resolve(options.outputDir);
+  }
+  
+  return fingerprint;
+}
+
+function createEntryKey(contentHash, options) {
+  const optionsHash = crypto.createHash('sha256')
+    .update(JSON.stringify(getOptionsFingerprint(options)))
+    .digest('hex')
+    .slice(0, 16);
+  
+  return `${contentHash}:${optionsHash}`;
+}
+
+/**
+ * Record a compressed file in the ledger. It is saved with the next batch, see flushLedger
+ * @param {Object} ledger - Ledger handle
+ * @param {string} outputPath - Path of the compressed output file
+ * @param {Object} result - Compression result from compressFile
+ * @param {Object} options - Compression options used
+ * @param {string} apiKeyName - Name of the API key that performed the compression
+ * @returns {Promise<Object>} Ledger entry
+ */
+async function recordCompression(ledger, outputPath, result, options = {}, apiKeyName = null) {
+  const contentHash = await hashFile(outputPath);
+  const key = createEntryKey(contentHash, options);
+  
+  const entry = {
+    path: path.relative(path.dirname(ledger.path), outputPath),
+    hash: contentHash,
+    options: getOptionsFingerprint(options),
+    originalSize: result.originalSize,
+    compressedSize: result.compressedSize,
+    ...(result.noGain ? { noGain: true } : {}),
+    apiKey: apiKeyName,
+    compressedAt: new Date().toISOString()
+  };
+  
+  ledger.data.entries[key] = entry;
+  ledger.unsaved = (ledger.unsaved || 0) + 1;
+  
+  if (ledger.unsaved >= SAVE_EVERY_FILES || Date.now() - (ledger.savedAt || 0) >= SAVE_EVERY_MS) {
+    await saveLedger(ledger);
+  }
+  
+  return entry;
+}
+
+/**
+ * Split scanned files into those still needing compression and those already in the ledger
+ * @param {Object} ledger - Ledger handle
+ * @param {Array} files - Files from scanForImages
+ * @param {Object} options - Compression options for this run
+ * @returns {Promise<Object>} { pending, skipped }
+ */
+async function filterCompressedFiles(ledger, files, options = {}) {
+  const pending = [];
+  const skipped = [];
+  
+  for (const file of files) {
+    try {
+      const contentHash = await hashFile(file.path);
+      
+      if (ledger.data.entries[createEntryKey(contentHash, options)]) {
+        skipped.push(file);
+      } else {
+        pending.push(file);
+      }
+    } catch (err) {
+      // Unreadable files are left for validation to report
+      pending.push(file);
+    }
+  }
+  
+  return { pending, skipped };
+}
+
+/**
+ * Remove ledger entries whose file no longer exists or no longer matches the recorded content
+ * @param {Object} ledger - Ledger handle
+ * @returns {Promise<Array>} Removed entries
+ */
+async function pruneLedger(ledger) {
+  const rootDir = path.dirname(ledger.path);
+  const removed = [];
+  
+  for (const [key, entry] of Object.entries(ledger.data.entries)) {
+    const filePath = path.join(rootDir, entry.path);
+    let stale = !await fs.pathExists(filePath);
+    
+    if (!stale) {
+      stale = await hashFile(filePath) !== entry.hash;
+    }
+    
+    if (stale) {
+      removed.push(entry);
+      delete ledger.data.entries[key];
+    }
+  }
+  
+  await saveLedger(ledger);
+  return removed;
+}
+
+/**
+ * Replace the ledger with entries for every given file, treating them as already compressed
+ * @param {Object} ledger - Ledger handle
+ * @param {Array} files - Files from scanForImages
+ * @param {Object} options - Compression options the files were compressed with
+ * @returns {Promise<number>} Number of entries recorded
+ */
+async function rebuildLedger(ledger, files, options = {}) {
+  ledger.data = createEmptyLedger(ledger.path).data;
+  
+  for (const file of files) {
+    const contentHash = await hashFile(file.path);
+    
+    ledger.data.entries[createEntryKey(contentHash, options)] = {
+      path: path.relative(path.dirname(ledger.path), file.path),
+      hash: contentHash,
+      options: getOptionsFingerprint(options),
+      originalSize: null,
+      compressedSize: file.size,
+      apiKey: null,
+      compressedAt: new Date().toISOString()
+    };
+  }
+  
+  await saveLedger(ledger);
+  return Object.keys(ledger.data.entries).length;
+}
+
+/**
+ * Files the ledger of a directory records as written by a format conversion: converted outputs
+ * that replaced their source, and the additional formats written next to a compressed original.
+ * Runs with --out or --output-pattern are left out, their outputs are not next to the source
+ * @param {string} directory - Root directory of a compression run
+ * @returns {Set} Absolute paths, empty when the directory has no readable ledger
+ */
+function listConvertedOutputs(directory) {
+  const outputs = new Set();
+  let data;
+  
+  try {
+    data = JSON.parse(fs.readFileSync(getLedgerPath(directory), 'utf8'));
+  } catch (err) {
+    return outputs;
+  }
+  
+  for (const entry of Object.values(data.entries || {})) {
+    const options = entry.options || {};
+    if (options.outputDir || options.outputPattern || typeof entry.path !== 'string') {
+      continue;
+    }
+    
+    const entryPath = path.resolve(directory, entry.path);
+    if (options.convert || options.autoFormat) {
+      outputs.add(entryPath);
+    }
+    
+    if (options.formats) {
+      const parsedPath = path.parse(entryPath);
+      options.formats.split(',').forEach(format => {
+        outputs.add(path.join(parsedPath.dir, `${parsedPath.name}.${format}`));
+      });
+    }
+  }
+  
+  return outputs;
+}
+
+export {
+  getLedgerPath,
+  loadLedger,
+  saveLedger,
+  flushLedger,
+  hashFile,
+  getOptionsFingerprint,
+  recordCompression,
+  filterCompressedFiles,
+  pruneLedger,
+  rebuildLedger,
+  listConvertedOutputs,
+  LEDGER_FILENAME
+};
\ No newline at end of file
@@ -4,16 +4,19 @@ import { resetAllKeysIfNeeded } from '../config/index.js';
  * Select the best available API key for a given number of compressions
  * @param {Object} config - Configuration object with API keys
  * @param {number} requiredCompressions - Number of compressions needed
+ * @param {Array} excludeKeys - Names of API keys that must not be selected
  * @returns {Object} Selected API key object or null if none available
  */
-async function selectBestApiKey(config, requiredCompressions = 1) {
+async function selectBestApiKey(config, requiredCompressions = 1, excludeKeys = []) {
   // Reset monthly usage for all keys if needed
   await resetAllKeysIfNeeded(config);
   
   // Filter keys that have enough remaining compressions
   const availableKeys = config.apiKeys.filter(key => {
     const remaining = 500 - key.compressions_used;
-    return remaining >= requiredCompressions && key.status !== 'limit_reached';
+    return remaining >= requiredCompressions && 
+           key.status !== 'limit_reached' && 
+           !excludeKeys.includes(key.name);
   });
   
   if (availableKeys.length === 0) {
@@ -30,6 +33,15 @@ async function selectBestApiKey(config, requiredCompressions = 1) {
   return availableKeys[0];
 }
 
+/**
+ * Check whether a key name asks for automatic selection
+ * @param {string} keyName - Value of --api-key / defaults.api_key_selection
+ * @returns {boolean} True for no name, 'any' or 'auto'
+ */
+function isAutoSelection(keyName) {
+  return !keyName || keyName === 'any' || keyName === 'auto';
+}
+
 /**
  * Validate API key selection and ensure it has sufficient capacity
  * @param {string} keyName - Name of the API key ('any' for auto-selection)
@@ -40,7 +52,7 @@ async function selectBestApiKey(config, requiredCompressions = 1) {
  */
 async function validateApiKeySelection(keyName, config, requiredCompressions = 1) {
   // Auto-select best available key
-  if (!keyName || keyName === 'any') {
+  if (isAutoSelection(keyName)) {
     const selectedKey = await selectBestApiKey(config, requiredCompressions);
     
     if (!selectedKey) {
@@ -103,9 +115,22 @@ function hasApiKeyCapacity(config, requiredCompressions = 1) {
   });
 }
 
+/**
+ * Get the total remaining compressions across all usable API keys
+ * @param {Object} config - Configuration object
+ * @returns {number} Sum of remaining compressions
+ */
+function getTotalRemainingCapacity(config) {
+  return config.apiKeys
+    .filter(key => key.status !== 'limit_reached' && key.status !== 'invalid')
+    .reduce((sum, key) => sum + Math.max(0, 500 - key.compressions_used), 0);
+}
+
 export {
   selectBestApiKey,
   validateApiKeySelection,
+  isAutoSelection,
   getApiKeySummary,
-  hasApiKeyCapacity
+  hasApiKeyCapacity,
+  getTotalRemainingCapacity
 };
\ No newline at end of file
@@ -87,7 +87,7 @@ function handleConfigError(err) {
     return {
       type: 'CONFIG_NOT_FOUND',
       message: `Configuration file not found`,
-      suggestion: `Run 'tinypng-compress --init' to create a configuration file.`
+      suggestion: `Run 'tinypng-compress --init' to create a configuration file, or point to an existing one with --config <path> or TINYPNG_CONFIG.`
     };
   } else if (err.message.includes('invalid') || err.message.includes('parse')) {
     return {
@@ -13,19 +13,152 @@ function formatBytes(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
-function validateFileForProcessing(filePath) {
-  const errors = [];
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+/**
+ * Parse a --min-savings threshold
+ * @param {string|number} value - A percentage such as "5%", or bytes such as 2048 or "10KB"
+ * @returns {Object|null} { percent } or { bytes }, null when unset
+ * @throws {Error} If the value is neither
+ */
+function parseMinSavings(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(%|b|kb|mb)?$/);
+  if (!match) {
+    throw new Error(`expected a percentage such as 5% or a size such as 2048 or 10KB, got '${value}'`);
+  }
+  
+  const amount = parseFloat(match[1]);
+  if (match[2] === '%') {
+    if (amount >= 100) {
+      throw new Error(`a percentage must be below 100%, got '${value}'`);
+    }
+    return { percent: amount };
+  }
+  
+  return { bytes: Math.round(amount * SIZE_UNITS[match[2] || 'b']) };
+}
+
+function formatMinSavings(minSavings) {
+  return minSavings.percent !== undefined ? `${minSavings.percent}%` : formatBytes(minSavings.bytes);
+}
+
+/**
+ * Whether a compressed result saves enough to replace the original.
+ * Without a threshold it only has to be smaller.
+ * @param {number} originalSize - Size of the source in bytes
+ * @param {number} compressedSize - Size of the result in bytes
+ * @param {Object} minSavings - Threshold from parseMinSavings
+ * @returns {boolean} True if the result should be kept
+ */
+function hasEnoughSavings(originalSize, compressedSize, minSavings = null) {
+  const savings = originalSize - compressedSize;
   
+  if (savings <= 0) {
+    return false;
+  }
+  if (!minSavings) {
+    return true;
+  }
+  
+  return minSavings.percent !== undefined
+    ? (savings / originalSize) * 100 >= minSavings.percent
+    : savings >= minSavings.bytes;
+}
+
+/**
+ * Explain why a result was not kept
+ * @param {number} originalSize - Size of the source in bytes
+ * @param {number} rejectedSize - Size of the discarded result in bytes
+ * @param {Object} minSavings - Threshold from parseMinSavings
+ * @returns {string} e.g. "result 2.3 KB is not smaller than 2.1 KB"
+ */
+function describeNoGain(originalSize, rejectedSize, minSavings = null) {
+  if (rejectedSize >= originalSize || !minSavings) {
+    return `result ${formatBytes(rejectedSize)} is not smaller than ${formatBytes(originalSize)}`;
+  }
+  return `result ${formatBytes(rejectedSize)} saves less than ${formatMinSavings(minSavings)} of ${formatBytes(originalSize)}`;
+}
+
+function validateFileForProcessing(filePath) {
   // Resolve to absolute path for consistent handling
   const resolvedPath = path.resolve(filePath);
   
   if (!fs.existsSync(resolvedPath)) {
-    errors.push(`File not found: ${resolvedPath}`);
-    return errors;
+    return [`File not found: ${resolvedPath}`];
   }
   
   const stats = fs.statSync(resolvedPath);
   
+  let readable = true;
+  try {
+    fs.accessSync(resolvedPath, fs.constants.R_OK);
+  } catch (err) {
+    readable = false;
+  }
+  
+  let header = null;
+  try {
+    const fd = fs.openSync(resolvedPath, 'r');
+    try {
+      header = Buffer.alloc(12);
+      fs.readSync(fd, header, 0, 12, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch (err) {
+    header = null;
+  }
+  
+  return collectValidationErrors(resolvedPath, stats, readable, header);
+}
+
+/**
+ * Same checks as validateFileForProcessing without blocking, for scans that validate
+ * files while the batch is already running
+ * @param {string} filePath - File to check
+ * @returns {Promise<Array>} Error messages, empty when the file can be processed
+ */
+async function validateFileForProcessingAsync(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  
+  let stats = null;
+  try {
+    stats = await fs.promises.stat(resolvedPath);
+  } catch (err) {
+    return [`File not found: ${resolvedPath}`];
+  }
+  
+  let readable = true;
+  try {
+    await fs.promises.access(resolvedPath, fs.constants.R_OK);
+  } catch (err) {
+    readable = false;
+  }
+  
+  let header = null;
+  try {
+    const handle = await fs.promises.open(resolvedPath, 'r');
+    try {
+      header = Buffer.alloc(12);
+      await handle.read(header, 0, 12, 0);
+    } finally {
+      await handle.close();
+    }
+  } catch (err) {
+    header = null;
+  }
+  
+  return collectValidationErrors(resolvedPath, stats, readable, header);
+}
+
+// Only the first 12 bytes are read; they are enough to recognize every supported format
+function collectValidationErrors(resolvedPath, stats, readable, header) {
+  const errors = [];
+  
   if (!stats.isFile()) {
     errors.push(`Path is not a file: ${resolvedPath}`);
   }
@@ -35,9 +168,7 @@ function validateFileForProcessing(filePath) {
     errors.push(`File too large: ${formatBytes(stats.size)} (max: ${formatBytes(maxSize)})`);
   }
   
-  try {
-    fs.accessSync(resolvedPath, fs.constants.R_OK);
-  } catch (err) {
+  if (!readable) {
     errors.push(`File not readable: ${resolvedPath}`);
   }
   
@@ -46,13 +177,10 @@ function validateFileForProcessing(filePath) {
     errors.push(`Unsupported format: ${ext}. Supported: ${SUPPORTED_EXTENSIONS.join(', ')}`);
   }
   
-  try {
-    const header = fs.readFileSync(resolvedPath, { start: 0, end: 12 });
-    if (!isValidImageHeader(header, resolvedPath)) {
-      errors.push(`Invalid or corrupted image file: ${resolvedPath}`);
-    }
-  } catch (err) {
+  if (!header) {
     errors.push(`Cannot read file header: ${resolvedPath}`);
+  } else if (!isValidImageHeader(header, resolvedPath)) {
+    errors.push(`Invalid or corrupted image file: ${resolvedPath}`);
   }
   
   return errors;
@@ -85,11 +213,11 @@ function isValidImageHeader(buffer, filePath) {
   return false;
 }
 
-function createBackupDirectory(filePath) {
+function createBackupDirectory(filePath, backupDirectory = './original') {
   // Get the directory where the file is located
   const resolvedFilePath = path.resolve(filePath);
   const fileDirectory = path.dirname(resolvedFilePath);
-  const backupPath = path.join(fileDirectory, 'original');
+  const backupPath = path.resolve(fileDirectory, backupDirectory);
   
   try {
     fs.ensureDirSync(backupPath);
@@ -107,9 +235,15 @@ function createBackupDirectory(filePath) {
   }
 }
 
-async function backupFile(filePath, backupDirectory) {
+async function backupFile(filePath, backupDirectory, relativePath = null) {
+  // A relative path mirrors the file's location in the source tree under the backup root
   const fileName = path.basename(filePath);
-  const backupPath = path.join(backupDirectory, fileName);
+  const targetDirectory = relativePath 
+    ? path.join(backupDirectory, path.dirname(relativePath)) 
+    : backupDirectory;
+  const backupPath = path.join(targetDirectory, fileName);
+  
+  fs.ensureDirSync(targetDirectory);
   
   if (fs.existsSync(backupPath)) {
     const originalStat = fs.statSync(filePath);
@@ -124,7 +258,7 @@ async function backupFile(filePath, backupDirectory) {
     const base = path.basename(fileName, ext);
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const versionedName = `${base}_${timestamp}${ext}`;
-    const versionedPath = path.join(backupDirectory, versionedName);
+    const versionedPath = path.join(targetDirectory, versionedName);
     
     await fs.copy(filePath, versionedPath, { preserveTimestamps: true });
     return { created: true, path: versionedPath, versioned: true };
@@ -134,45 +268,251 @@ async function backupFile(filePath, backupDirectory) {
   return { created: true, path: backupPath };
 }
 
-function scanForImages(directory, recursive = false) {
-  const imageFiles = [];
+function resolveOutputDirectory(outputDirectory, baseDirectory) {
+  // --out and TINYPNG_OUT arrive absolute; a config value is relative to the directory being compressed
+  if (!outputDirectory) {
+    return null;
+  }
+  
+  const resolved = path.resolve(baseDirectory, outputDirectory);
+  return resolved === path.resolve(baseDirectory) ? null : resolved;
+}
+
+function isPathInside(childPath, parentPath) {
+  const relative = path.relative(parentPath, childPath);
+  return relative === '' || (!!relative && !relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+const BACKUP_VERSION_PATTERN = /^(.*)_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)$/;
+
+function parseBackupName(fileName) {
+  // Versioned backups are named <base>_<timestamp><ext> by backupFile
+  const ext = path.extname(fileName);
+  const base = path.basename(fileName, ext);
+  const match = base.match(BACKUP_VERSION_PATTERN);
   
-  function scanDirectory(dir, basePath = '') {
+  if (match) {
+    return { originalName: match[1] + ext, timestamp: match[2] };
+  }
+  
+  return { originalName: fileName, timestamp: null };
+}
+
+function listBackupVersions(backupDirectory, recursive = true) {
+  const groups = new Map();
+  
+  function scanBackups(dir, basePath = '') {
     const entries = fs.readdirSync(dir, { withFileTypes: true });
     
     for (const entry of entries) {
       const fullPath = path.join(dir, entry.name);
-      const relativePath = path.join(basePath, entry.name);
       
       if (entry.isDirectory() && recursive) {
-        scanDirectory(fullPath, relativePath);
-      } else if (entry.isFile()) {
+        scanBackups(fullPath, path.join(basePath, entry.name));
+      } else if (entry.isFile() && SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        const { originalName, timestamp } = parseBackupName(entry.name);
+        const relativePath = path.join(basePath, originalName);
+        
+        if (!groups.has(relativePath)) {
+          groups.set(relativePath, { relativePath, versions: [] });
+        }
+        
+        groups.get(relativePath).versions.push({ path: fullPath, timestamp });
+      }
+    }
+  }
+  
+  if (!fs.existsSync(backupDirectory)) {
+    return [];
+  }
+  
+  scanBackups(backupDirectory);
+  
+  // Oldest first: the unversioned backup is always the first copy that was made
+  for (const group of groups.values()) {
+    group.versions.sort((a, b) => {
+      if (a.timestamp === b.timestamp) return 0;
+      if (a.timestamp === null) return -1;
+      if (b.timestamp === null) return 1;
+      return a.timestamp.localeCompare(b.timestamp);
+    });
+  }
+  
+  return Array.from(groups.values()).sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+}
+
+/**
+ * Why a followed symlink cannot be compressed in place, if it cannot. Writing through a link out of
+ * the scanned directory would change files outside it, and the result replacing a symlinked file
+ * would replace the link rather than the file it points to
+ * @param {string} realPath - Real path the link points to
+ * @param {string} realRoot - Real path of the scanned directory
+ * @param {boolean} isDirectory - Whether the link points to a directory
+ * @returns {string|null} Reason to skip the link, as recorded on the scan filter
+ */
+function checkInPlaceLink(realPath, realRoot, isDirectory) {
+  if (!isPathInside(realPath, realRoot)) {
+    return 'symlink out of the scanned directory, not written in place (use --out)';
+  }
+  if (!isDirectory) {
+    return 'symlinked file, not replaced in place (use --out)';
+  }
+  return null;
+}
+
+/**
+ * Walk a directory one directory at a time instead of listing the whole tree first.
+ * Entries are read in small chunks, so memory depends on the largest directory, not the tree
+ * @param {string} directory - Directory to scan
+ * @param {boolean} recursive - Include subdirectories
+ * @param {Object} options - Scan options
+ * @param {Object} options.filter - Filter from createScanFilter; excluded directories are not entered
+ *   and skipped symlinks are recorded on it
+ * @param {boolean} options.followSymlinks - Scan symlinked files and directories. Files keep the
+ *   path they were found under; real paths only serve to cut loops and skip duplicates
+ * @param {boolean} options.inPlace - Results will replace their sources, so followed links that would
+ *   have that write outside the directory or replace the link itself are skipped (see checkInPlaceLink)
+ * @returns {AsyncGenerator<Object>} { relativeDirectory, files } for every directory holding images,
+ *   files sorted by name and each directory before its subdirectories
+ */
+async function* walkImageDirectories(directory, recursive = false, { filter = null, followSymlinks = false, inPlace = false } = {}) {
+  const record = (label, isDirectory) => filter && filter.record(label, isDirectory);
+  
+  // Real paths of every directory and, when links are followed, every file already seen, so a link
+  // back up the tree (or a second link to the same place) is neither followed forever nor compressed twice
+  const visitedDirectories = new Set();
+  const visitedFiles = new Set();
+  
+  let realRoot = null;
+  
+  async function createImageEntry(filePath, relativePath, name) {
+    if (followSymlinks) {
+      const realPath = await fs.promises.realpath(filePath);
+      if (visitedFiles.has(realPath)) {
+        record('symlink to an already scanned file', false);
+        return null;
+      }
+      visitedFiles.add(realPath);
+    }
+    
+    return {
+      path: filePath,
+      relativePath: relativePath,
+      name,
+      size: (await fs.promises.stat(filePath)).size
+    };
+  }
+  
+  async function* walk(dir, basePath, ancestors) {
+    const realDir = await fs.promises.realpath(dir);
+    if (ancestors.includes(realDir)) {
+      record(`symlink loop: ${basePath} → ${path.relative(directory, realDir) || '.'}`, true);
+      return;
+    }
+    if (visitedDirectories.has(realDir)) {
+      record('symlink to an already scanned directory', true);
+      return;
+    }
+    visitedDirectories.add(realDir);
+    
+    const files = [];
+    const subdirectories = [];
+    
+    for await (const entry of await fs.promises.opendir(dir)) {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = path.join(basePath, entry.name);
+      let isDirectory = entry.isDirectory();
+      let isFile = entry.isFile();
+      
+      if (entry.isSymbolicLink()) {
+        let target = null;
+        try {
+          target = await fs.promises.stat(fullPath);
+        } catch (err) {
+          continue; // Broken link
+        }
+        
+        isDirectory = target.isDirectory();
+        isFile = target.isFile();
+        
+        const isImage = isFile && SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase());
+        if (!followSymlinks && (isImage || (isDirectory && recursive))) {
+          record(`symlinked ${isDirectory ? 'directory' : 'file'} (use --follow-symlinks)`, isDirectory);
+          continue;
+        }
+        
+        const refusal = inPlace && (isImage || (isDirectory && recursive))
+          ? checkInPlaceLink(await fs.promises.realpath(fullPath), realRoot, isDirectory)
+          : null;
+        if (refusal) {
+          record(refusal, isDirectory);
+          continue;
+        }
+      }
+      
+      if (isDirectory && recursive) {
+        if (!filter || !filter.isExcluded(relativePath, true)) {
+          subdirectories.push({ fullPath, relativePath });
+        }
+      } else if (isFile) {
         const ext = path.extname(entry.name).toLowerCase();
-        if (SUPPORTED_EXTENSIONS.includes(ext)) {
-          imageFiles.push({
-            path: fullPath,
-            relativePath: relativePath,
-            name: entry.name,
-            size: fs.statSync(fullPath).size
-          });
+        if (SUPPORTED_EXTENSIONS.includes(ext) && (!filter || !filter.isExcluded(relativePath))) {
+          const file = await createImageEntry(fullPath, relativePath, entry.name);
+          if (file) files.push(file);
         }
       }
     }
+    
+    if (files.length > 0) {
+      yield { relativeDirectory: basePath, files: files.sort((a, b) => a.name.localeCompare(b.name)) };
+    }
+    
+    for (const subdirectory of subdirectories) {
+      yield* walk(subdirectory.fullPath, subdirectory.relativePath, [...ancestors, realDir]);
+    }
   }
   
   try {
-    scanDirectory(directory);
-    return imageFiles.sort((a, b) => a.name.localeCompare(b.name));
+    realRoot = await fs.promises.realpath(directory);
+    yield* walk(directory, '', []);
   } catch (err) {
     throw new Error(`Failed to scan directory ${directory}: ${err.message}`);
   }
 }
 
+/**
+ * Find supported images in a directory
+ * @param {string} directory - Directory to scan
+ * @param {boolean} recursive - Include subdirectories
+ * @param {Object} options - { filter, followSymlinks } as for walkImageDirectories
+ * @returns {Promise<Array>} [{ path, relativePath, name, size }] sorted by name
+ */
+async function scanForImages(directory, recursive = false, options = {}) {
+  const imageFiles = [];
+  
+  for await (const { files } of walkImageDirectories(directory, recursive, options)) {
+    files.forEach(file => imageFiles.push(file));
+  }
+  
+  return imageFiles.sort((a, b) => a.name.localeCompare(b.name));
+}
+
 export {
   formatBytes,
+  parseMinSavings,
+  formatMinSavings,
+  hasEnoughSavings,
+  describeNoGain,
   validateFileForProcessing,
+  validateFileForProcessingAsync,
   createBackupDirectory,
   backupFile,
+  parseBackupName,
+  listBackupVersions,
+  resolveOutputDirectory,
+  isPathInside,
   scanForImages,
+  checkInPlaceLink,
+  walkImageDirectories,
   SUPPORTED_EXTENSIONS
 };
\ No newline at end of file
@@ -1,6 +1,9 @@
 import path from 'path';
+import { isTransparencyLost, hasAlphaChannel, createResizeSpec } from './imageUtils.js';
+import { renderOutputPattern } from './outputPattern.js';
 
 const SUPPORTED_FORMATS = ['png', 'jpg', 'jpeg', 'webp', 'avif'];
+const VARIANT_NAME_PATTERN = /-\d+w$/;
 const FORMAT_EXTENSIONS = {
   'png': '.png',
   'jpg': '.jpg', 
@@ -12,16 +15,17 @@ const FORMAT_EXTENSIONS = {
 /**
  * Determine the output format based on input file and convert option
  * @param {string} inputPath - Path to input file
- * @param {string} convertOption - Convert option ('auto', format name, or null/undefined)
- * @returns {string|null} Format to convert to, or null for no conversion
+ * @param {string} convertOption - Convert option ('keep', 'auto', format name, or null/undefined)
+ * @returns {string|null} Format to convert to, or null for no conversion.
+ *   'auto' also returns null: the format is only known once TinyPNG picked the smallest
  */
 function determineOutputFormat(inputPath, convertOption) {
   // No conversion specified - maintain original format
-  if (!convertOption) {
+  if (!convertOption || convertOption === 'keep') {
     return null;
   }
   
-  // Auto mode - maintain original format
+  // Auto mode - decided per file by TinyPNG, see getAutoFormatCandidates
   if (convertOption === 'auto') {
     return null;
   }
@@ -81,20 +85,200 @@ function isConversionNeeded(inputPath, convertOption) {
  * Generate output file path based on conversion settings
  * @param {string} inputPath - Path to input file
  * @param {string} convertOption - Convert option
+ * @param {Object} outputOptions - Optional separate output tree
+ * @param {string} outputOptions.outputDir - Root directory to write results to
+ * @param {string} outputOptions.relativePath - Input path relative to the source root
+ * @param {string} outputOptions.suffix - Appended to the file name, e.g. '-960w' for a variant
+ * @param {string} outputOptions.collisionSuffix - Added to the name before the suffix when another source claims the same output, e.g. '-2'
+ * @param {string} outputOptions.pattern - --output-pattern template; replaces the naming rules above
+ * @param {number} outputOptions.width - Output width for {width}, e.g. of a variant
+ * @param {number} outputOptions.height - Output height for {height}
+ * @param {Object} outputOptions.resize - Resize spec used to predict {width}/{height}
+ * @param {string} outputOptions.preset - Preset name for {preset}
  * @returns {string} Output file path
  */
-function generateOutputPath(inputPath, convertOption) {
+function generateOutputPath(inputPath, convertOption, outputOptions = {}) {
   const outputFormat = determineOutputFormat(inputPath, convertOption);
+  const parsedPath = path.parse(inputPath);
+  const name = parsedPath.name + (outputOptions.collisionSuffix || '');
+  const suffix = outputOptions.suffix || '';
+  
+  if (outputOptions.pattern) {
+    // The pattern is resolved against the output tree, or against the source root for in-place runs
+    const relativeDir = path.dirname(outputOptions.relativePath || parsedPath.base);
+    const root = outputOptions.outputDir || path.resolve(parsedPath.dir, path.relative(relativeDir, '.'));
+    
+    return renderOutputPattern(outputOptions.pattern, inputPath, {
+      root,
+      relativeDir: relativeDir.split(path.sep).join('/'),
+      name,
+      ext: (outputFormat ? FORMAT_EXTENSIONS[outputFormat] : parsedPath.ext).slice(1),
+      width: outputOptions.width,
+      height: outputOptions.height,
+      resize: outputOptions.resize,
+      preset: outputOptions.preset
+    });
+  }
+  
+  const outputName = name + suffix + (outputFormat ? FORMAT_EXTENSIONS[outputFormat] : parsedPath.ext);
+  
+  // Separate output tree - mirror the input's location under the output root
+  if (outputOptions.outputDir) {
+    const relativeDir = path.dirname(outputOptions.relativePath || parsedPath.base);
+    return path.join(outputOptions.outputDir, relativeDir, outputName);
+  }
   
   // No conversion - return original path
-  if (!outputFormat) {
+  if (!outputFormat && name === parsedPath.name && !suffix) {
     return inputPath;
   }
   
-  const parsedPath = path.parse(inputPath);
-  const newExtension = FORMAT_EXTENSIONS[outputFormat];
+  return path.join(parsedPath.dir, outputName);
+}
+
+/**
+ * Build the output path of a responsive variant (name-960w.ext)
+ * @param {string} inputPath - Path to input file
+ * @param {string} convertOption - Convert option
+ * @param {number} width - Variant width in pixels
+ * @param {Object} outputOptions - Optional separate output tree, as for generateOutputPath
+ * @returns {string} Variant file path
+ */
+function generateVariantPath(inputPath, convertOption, width, outputOptions = {}) {
+  return generateOutputPath(inputPath, convertOption, { ...outputOptions, suffix: `-${width}w`, width });
+}
+
+/**
+ * Check whether a file name looks like a responsive variant written by --sizes
+ * @param {string} fileName - File name
+ * @returns {boolean} True for names like photo-960w.webp
+ */
+function isVariantFileName(fileName) {
+  return VARIANT_NAME_PATTERN.test(path.parse(fileName).name);
+}
+
+/**
+ * Parse a --formats list (or a comma-separated --convert) into output formats
+ * @param {string|Array} formats - e.g. "webp,avif" or ['webp', 'avif']
+ * @returns {Array|null} Unique formats with jpeg normalized to jpg, null when unset
+ * @throws {Error} If a format is not supported
+ */
+function parseFormats(formats) {
+  if (formats === null || formats === undefined || formats === '') {
+    return null;
+  }
+  
+  const values = Array.isArray(formats) ? formats : String(formats).split(',');
+  const parsed = values.map(value => {
+    const format = String(value).trim().toLowerCase();
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw new Error(`Unsupported format: ${value}. Supported formats: ${SUPPORTED_FORMATS.join(', ')}`);
+    }
+    return format === 'jpeg' ? 'jpg' : format;
+  });
+  
+  return [...new Set(parsed)];
+}
+
+/**
+ * Formats written for a source in addition to its compressed copy with --formats.
+ * The source's own format is the compressed copy, so it is not repeated, and JPEG
+ * is left out for transparent sources unless a background is set.
+ * @param {string} inputPath - Path to input file
+ * @param {Array} formats - Formats from parseFormats
+ * @param {string|null} background - Background color for JPEG output
+ * @returns {Object} { formats, skipped } - formats to write and formats left out for transparency
+ */
+function getAdditionalFormats(inputPath, formats, background = null) {
+  const originalFormat = getOriginalFormat(inputPath) === 'jpeg' ? 'jpg' : getOriginalFormat(inputPath);
+  const additional = formats.filter(format => format !== originalFormat);
+  const skipped = additional.filter(format => isTransparencyLost(inputPath, format, background));
   
-  return path.join(parsedPath.dir, parsedPath.name + newExtension);
+  return {
+    formats: additional.filter(format => !skipped.includes(format)),
+    skipped
+  };
+}
+
+/**
+ * Check whether the convert option asks TinyPNG to pick the smallest format
+ * @param {string} convertOption - Convert option
+ * @returns {boolean} True for 'auto'
+ */
+function isAutoFormat(convertOption) {
+  return convertOption === 'auto';
+}
+
+/**
+ * Formats TinyPNG may choose between for a source in auto mode: the original format,
+ * WebP and AVIF. All of them keep transparency except JPEG, which is never offered
+ * for images with an alpha channel.
+ * @param {string} inputPath - Path to input file
+ * @returns {Array} Candidate formats, original first
+ */
+function getAutoFormatCandidates(inputPath) {
+  const originalFormat = getOriginalFormat(inputPath) === 'jpeg' ? 'jpg' : getOriginalFormat(inputPath);
+  const candidates = [...new Set([originalFormat, 'webp', 'avif'])];
+  
+  if (hasAlphaChannel(inputPath)) {
+    return candidates.filter(format => format !== 'jpg');
+  }
+  
+  return candidates;
+}
+
+// Which file of a name group is the source when several formats exist side by side
+const SOURCE_FORMAT_PRIORITY = ['png', 'jpg', 'webp', 'avif'];
+
+/**
+ * Find files written by an earlier --formats run next to their source.
+ * Files sharing a directory and name are grouped; the one in the most likely source
+ * format (PNG, then JPEG, WebP, AVIF) is the source and the others in a requested
+ * format are its outputs.
+ * @param {Array} files - Files from scanForImages
+ * @param {Array} formats - Formats from parseFormats
+ * @returns {Set} Files that are outputs rather than sources
+ */
+function findFormatOutputs(files, formats) {
+  const groups = new Map();
+  files.forEach(file => {
+    const parsedPath = path.parse(file.path);
+    const key = path.join(parsedPath.dir, parsedPath.name);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(file);
+  });
+  
+  const formatOf = file => (getOriginalFormat(file.path) === 'jpeg' ? 'jpg' : getOriginalFormat(file.path));
+  const outputs = new Set();
+  
+  for (const group of groups.values()) {
+    if (group.length < 2) continue;
+    
+    const [source] = [...group].sort((a, b) => SOURCE_FORMAT_PRIORITY.indexOf(formatOf(a)) - SOURCE_FORMAT_PRIORITY.indexOf(formatOf(b)));
+    group
+      .filter(file => file !== source && formats.includes(formatOf(file)))
+      .forEach(file => outputs.add(file));
+  }
+  
+  return outputs;
+}
+
+/**
+ * Output path settings shared by every output of a file
+ * @param {Object} options - Compression options (outputDir, outputPattern, preset and resize options)
+ * @param {string} relativePath - Input path relative to the source root
+ * @param {string} collisionSuffix - Added to the name when another source claims the same output (e.g. "-2")
+ * @returns {Object} outputOptions for generateOutputPath
+ */
+function createOutputOptions(options, relativePath, collisionSuffix = options.collisionSuffix) {
+  return {
+    outputDir: options.outputDir,
+    relativePath,
+    collisionSuffix: collisionSuffix || '',
+    pattern: options.outputPattern || null,
+    preset: options.preset || null,
+    resize: options.outputPattern ? createResizeSpec(options) : null
+  };
 }
 
 /**
@@ -108,13 +292,13 @@ function validateFormat(format) {
     return true; // No format is valid (no conversion)
   }
   
-  if (format === 'auto') {
-    return true; // Auto is valid
+  if (format === 'auto' || format === 'keep') {
+    return true; // Smallest format / original format
   }
   
   const normalizedFormat = format.toLowerCase();
   if (!SUPPORTED_FORMATS.includes(normalizedFormat)) {
-    throw new Error(`Unsupported format: ${format}. Supported formats: ${SUPPORTED_FORMATS.join(', ')}, auto`);
+    throw new Error(`Unsupported format: ${format}. Supported formats: ${SUPPORTED_FORMATS.join(', ')}, auto, keep`);
   }
   
   return true;
@@ -124,16 +308,26 @@ function validateFormat(format) {
  * Get user-friendly description of convert option
  * @param {string} convertOption - Convert option
  * @param {string} inputPath - Path to input file (for auto mode)
+ * @param {Array} formats - Additional formats from --formats
  * @returns {string} Description of what will happen
  */
-function getConvertDescription(convertOption, inputPath) {
+function getConvertDescription(convertOption, inputPath, formats = null) {
+  if (formats) {
+    return `Compress and also write ${formats.map(format => format.toUpperCase()).join(', ')} (compressed original kept)`;
+  }
+  
   if (!convertOption) {
     return 'Compress without format conversion';
   }
   
-  if (convertOption === 'auto') {
+  if (convertOption === 'keep') {
+    // A streamed scan has no file to name the format by yet
     const originalFormat = getOriginalFormat(inputPath);
-    return `Compress maintaining original format (${originalFormat.toUpperCase()})`;
+    return originalFormat ? `Compress maintaining original format (${originalFormat.toUpperCase()})` : 'Compress maintaining original formats';
+  }
+  
+  if (convertOption === 'auto') {
+    return 'Compress and keep the smallest of the original format, WebP and AVIF';
   }
   
   return `Compress and convert to ${convertOption.toUpperCase()}`;
@@ -145,6 +339,14 @@ export {
   getOriginalFormat,
   isConversionNeeded,
   generateOutputPath,
+  generateVariantPath,
+  createOutputOptions,
+  isVariantFileName,
+  parseFormats,
+  getAdditionalFormats,
+  findFormatOutputs,
+  isAutoFormat,
+  getAutoFormatCandidates,
   validateFormat,
   getConvertDescription,
   SUPPORTED_FORMATS
@@ -20,11 +20,60 @@ export function getImageDimensions(filePath) {
   }
 }
 
-export function calculateResizeDimensions(originalWidth, originalHeight, maxSize, maxSide) {
-  if (maxSize === 'none' || !maxSize) {
+export const RESIZE_METHODS = ['scale', 'fit', 'cover', 'thumb'];
+
+function parseDimension(value, flag) {
+  if (value === null || value === undefined || value === '') {
     return null;
   }
   
+  const number = parseInt(value, 10);
+  if (!Number.isInteger(number) || number <= 0 || String(number) !== String(value).trim()) {
+    throw new Error(`Invalid ${flag} '${value}': must be a size in pixels`);
+  }
+  return number;
+}
+
+/**
+ * Normalize the resize options of a run.
+ * --width/--height take precedence over --max-size; without them, --max-size scales the longest
+ * (or --max-side) dimension down as before.
+ * @param {Object} options - Options with resizeMethod, width, height, upscale, maxSize and maxSide
+ * @returns {Object|null} { method, width, height, upscale } or { method: 'scale', maxSize, maxSide }, null for no resize
+ * @throws {Error} If the method is unknown or its dimensions are missing
+ */
+export function createResizeSpec(options = {}) {
+  const method = options.resizeMethod || 'scale';
+  if (!RESIZE_METHODS.includes(method)) {
+    throw new Error(`Invalid resize method '${method}'. Supported methods: ${RESIZE_METHODS.join(', ')}`);
+  }
+  
+  const width = parseDimension(options.width, '--width');
+  const height = parseDimension(options.height, '--height');
+  const upscale = options.upscale === true;
+  
+  if (width === null && height === null) {
+    if (method !== 'scale') {
+      throw new Error(`--resize-method ${method} requires both --width and --height`);
+    }
+    if (!shouldResize(options.maxSize)) {
+      return null;
+    }
+    return { method, maxSize: options.maxSize, maxSide: options.maxSide || 'auto' };
+  }
+  
+  if (method === 'scale' && width !== null && height !== null) {
+    throw new Error('--resize-method scale takes either --width or --height; use fit, cover or thumb to set both');
+  }
+  
+  if (method !== 'scale' && (width === null || height === null)) {
+    throw new Error(`--resize-method ${method} requires both --width and --height`);
+  }
+  
+  return { method, width, height, upscale };
+}
+
+function calculateMaxSizeDimensions(originalWidth, originalHeight, maxSize, maxSide) {
   const maxSizeNumber = parseInt(maxSize, 10);
   if (isNaN(maxSizeNumber) || maxSizeNumber <= 0) {
     return null;
@@ -72,29 +121,274 @@ export function calculateResizeDimensions(originalWidth, originalHeight, maxSize
       width: newPrimaryDimension,
       height: newSecondaryDimension,
       scaleFactor,
-      primaryDimension: 'width'
+      primaryDimension: 'width',
+      method: 'scale'
     };
   } else {
     return {
       width: newSecondaryDimension,
       height: newPrimaryDimension,
       scaleFactor,
-      primaryDimension: 'height'
+      primaryDimension: 'height',
+      method: 'scale'
     };
   }
 }
 
+function calculateScaleDimensions(originalWidth, originalHeight, { width, height, upscale }) {
+  const primaryDimension = width !== null ? 'width' : 'height';
+  const scaleFactor = primaryDimension === 'width' ? width / originalWidth : height / originalHeight;
+  
+  if (scaleFactor === 1 || (scaleFactor > 1 && !upscale)) {
+    return null;
+  }
+  
+  return {
+    width: primaryDimension === 'width' ? width : Math.round(originalWidth * scaleFactor),
+    height: primaryDimension === 'height' ? height : Math.round(originalHeight * scaleFactor),
+    scaleFactor,
+    primaryDimension,
+    method: 'scale'
+  };
+}
+
+function calculateFitDimensions(originalWidth, originalHeight, { width, height, upscale }) {
+  // Scaled proportionally until both sides fit inside the box
+  const widthFactor = width / originalWidth;
+  const heightFactor = height / originalHeight;
+  let scaleFactor = Math.min(widthFactor, heightFactor);
+  
+  if (!upscale) {
+    scaleFactor = Math.min(scaleFactor, 1);
+  }
+  
+  if (scaleFactor === 1) {
+    return null;
+  }
+  
+  return {
+    width: Math.round(originalWidth * scaleFactor),
+    height: Math.round(originalHeight * scaleFactor),
+    scaleFactor,
+    primaryDimension: widthFactor <= heightFactor ? 'width' : 'height',
+    method: 'fit'
+  };
+}
+
+function calculateCropDimensions(originalWidth, originalHeight, { method, width, height, upscale }) {
+  // cover and thumb always produce exactly the box; without upscaling, a box larger than
+  // the image is shrunk (keeping its aspect ratio) until it fits inside the original
+  const boxFactor = upscale ? 1 : Math.min(1, originalWidth / width, originalHeight / height);
+  const boxWidth = Math.round(width * boxFactor);
+  const boxHeight = Math.round(height * boxFactor);
+  
+  if (boxWidth === originalWidth && boxHeight === originalHeight) {
+    return null;
+  }
+  
+  return {
+    width: boxWidth,
+    height: boxHeight,
+    scaleFactor: Math.max(boxWidth / originalWidth, boxHeight / originalHeight),
+    primaryDimension: null,
+    method
+  };
+}
+
+/**
+ * Predict the output dimensions of a resize
+ * @param {number} originalWidth - Source width
+ * @param {number} originalHeight - Source height
+ * @param {Object} resize - Spec from createResizeSpec
+ * @returns {Object|null} { width, height, scaleFactor, primaryDimension, method }, null when the image is left as is
+ */
+export function calculateResizeDimensions(originalWidth, originalHeight, resize) {
+  if (!resize) {
+    return null;
+  }
+  
+  if (resize.maxSize !== undefined) {
+    return calculateMaxSizeDimensions(originalWidth, originalHeight, resize.maxSize, resize.maxSide);
+  }
+  
+  switch (resize.method) {
+    case 'fit':
+      return calculateFitDimensions(originalWidth, originalHeight, resize);
+    case 'cover':
+    case 'thumb':
+      return calculateCropDimensions(originalWidth, originalHeight, resize);
+    case 'scale':
+    default:
+      return calculateScaleDimensions(originalWidth, originalHeight, resize);
+  }
+}
+
 export function createTinyPngResizeOptions(resizeDimensions) {
   if (!resizeDimensions) {
     return null;
   }
   
+  if (resizeDimensions.method === 'scale') {
+    return {
+      method: 'scale',
+      [resizeDimensions.primaryDimension]: resizeDimensions[resizeDimensions.primaryDimension]
+    };
+  }
+  
+  // The predicted dimensions are passed as the box, so TinyPNG never enlarges beyond them
   return {
-    method: 'scale',
-    [resizeDimensions.primaryDimension]: resizeDimensions[resizeDimensions.primaryDimension]
+    method: resizeDimensions.method,
+    width: resizeDimensions.width,
+    height: resizeDimensions.height
   };
 }
 
+/**
+ * Describe a resize spec for reports, e.g. "fit 800×600" or "max-size 1920 (auto)"
+ * @param {Object|null} resize - Spec from createResizeSpec
+ * @returns {string|null} Description, null for no resize
+ */
+export function describeResizeSpec(resize) {
+  if (!resize) {
+    return null;
+  }
+  
+  if (resize.maxSize !== undefined) {
+    return `max-size ${resize.maxSize} (${resize.maxSide})`;
+  }
+  
+  const box = resize.method === 'scale'
+    ? (resize.width !== null ? `width ${resize.width}` : `height ${resize.height}`)
+    : `${resize.width}×${resize.height}`;
+  
+  return `${resize.method} ${box}${resize.upscale ? ' (upscale)' : ''}`;
+}
+
 export function shouldResize(maxSize) {
   return maxSize && maxSize !== 'none';
+}
+
+export function parseSizes(sizes) {
+  if (sizes === null || sizes === undefined || sizes === '') {
+    return null;
+  }
+  
+  const values = Array.isArray(sizes) ? sizes : String(sizes).split(',');
+  const widths = values.map(value => {
+    const width = parseInt(String(value).trim(), 10);
+    if (!Number.isInteger(width) || width <= 0 || String(width) !== String(value).trim()) {
+      throw new Error(`Invalid size '${value}': sizes must be comma-separated widths in pixels, e.g. 480,960,1920`);
+    }
+    return width;
+  });
+  
+  return [...new Set(widths)].sort((a, b) => a - b);
+}
+
+export function calculateVariantWidths(originalWidth, sizes) {
+  // Variants are never upscaled: widths beyond the original are skipped
+  return sizes.filter(width => width <= originalWidth);
+}
+
+const NAMED_BACKGROUNDS = ['white', 'black'];
+
+/**
+ * Normalize a --background value to what TinyPNG accepts
+ * @param {string} value - "white", "black", "#rgb" or "#rrggbb"
+ * @returns {string|null} Normalized color, null when unset
+ * @throws {Error} If the value is not a supported color
+ */
+export function parseBackground(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  
+  const color = String(value).trim().toLowerCase();
+  if (NAMED_BACKGROUNDS.includes(color)) {
+    return color;
+  }
+  
+  const hex = color.match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (!hex) {
+    throw new Error(`Invalid background '${value}': use white, black or a hex color such as #ffffff`);
+  }
+  
+  const digits = hex[1].length === 3 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+  return `#${digits}`;
+}
+
+function pngHasAlpha(buffer) {
+  // Color types 4 (gray + alpha) and 6 (RGBA) always carry alpha
+  const colorType = buffer[25];
+  if (colorType === 4 || colorType === 6) {
+    return true;
+  }
+  
+  // Palette and plain images are transparent when they have a tRNS chunk before the image data
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    if (type === 'tRNS') return true;
+    if (type === 'IDAT' || type === 'IEND') return false;
+    offset += length + 12;
+  }
+  return false;
+}
+
+function webpHasAlpha(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8X') {
+    return (buffer[20] & 0x10) !== 0;
+  }
+  if (chunk === 'VP8L') {
+    // Bit 28 after the 0x2f signature is the alpha_is_used hint
+    return buffer.length >= 25 && (buffer.readUInt32LE(21) & 0x10000000) !== 0;
+  }
+  return false; // Simple lossy WebP has no alpha
+}
+
+/**
+ * Check whether a PNG or WebP file has an alpha channel or transparent color.
+ * Other formats are reported as opaque.
+ * @param {string} filePath - Image path
+ * @returns {boolean} True when the image can contain transparent pixels
+ */
+export function hasAlphaChannel(filePath) {
+  let buffer;
+  try {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      // Large enough for the PNG chunks that precede the image data in practice
+      buffer = Buffer.alloc(Math.min(fs.fstatSync(fd).size, 64 * 1024));
+      fs.readSync(fd, buffer, 0, buffer.length, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch (error) {
+    return false;
+  }
+  
+  if (buffer.length >= 26 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return pngHasAlpha(buffer);
+  }
+  if (buffer.length >= 21 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return webpHasAlpha(buffer);
+  }
+  return false;
+}
+
+/**
+ * Whether converting a file would drop its transparency: JPEG has no alpha channel,
+ * so transparent pixels need a background color to be flattened onto
+ * @param {string} filePath - Source image
+ * @param {string|null} outputFormat - Format the file is converted to
+ * @param {string|null} background - Background color from --background
+ * @returns {boolean} True when the file is transparent, converted to JPEG and no background is set
+ */
+export function isTransparencyLost(filePath, outputFormat, background) {
+  if (background || !['jpg', 'jpeg'].includes(outputFormat)) {
+    return false;
+  }
+  return hasAlphaChannel(filePath);
 }
\ No newline at end of file
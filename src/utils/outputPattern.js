@@ -0,0 +1,115 @@
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { getImageDimensions, calculateResizeDimensions } from './imageUtils.js';
+
+const PATTERN_TOKENS = ['dir', 'name', 'ext', 'width', 'height', 'hash8', 'preset'];
+const TOKEN_PATTERN = /\{([^{}]*)\}/g;
+
+function getPatternTokens(pattern) {
+  return [...pattern.matchAll(TOKEN_PATTERN)].map(match => match[1]);
+}
+
+/**
+ * Check an --output-pattern before any file is processed
+ * @param {string} pattern - Template such as "{dir}/{name}.min.{ext}"
+ * @param {Object} options - Run options (sizes, formats, convert and preset decide which tokens are required)
+ * @throws {Error} If the pattern is absolute, uses unknown tokens or cannot tell outputs apart
+ */
+function validateOutputPattern(pattern, options = {}) {
+  if (typeof pattern !== 'string' || pattern.trim() === '') {
+    throw new Error('--output-pattern must not be empty');
+  }
+  
+  if (path.isAbsolute(pattern) || /^[a-zA-Z]:/.test(pattern)) {
+    throw new Error(`--output-pattern must be relative to the output root, got '${pattern}'`);
+  }
+  
+  const tokens = getPatternTokens(pattern);
+  const unknown = tokens.filter(token => !PATTERN_TOKENS.includes(token));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown token ${unknown.map(token => `{${token}}`).join(', ')} in --output-pattern. Available tokens: ${PATTERN_TOKENS.map(token => `{${token}}`).join(', ')}`);
+  }
+  
+  if (options.sizes && !tokens.includes('width')) {
+    throw new Error('--output-pattern must contain {width} with --sizes, otherwise every variant gets the same name');
+  }
+  
+  if ((options.formats || options.convert === 'auto') && !tokens.includes('ext')) {
+    throw new Error('--output-pattern must contain {ext} when several formats can be written');
+  }
+  
+  if (tokens.includes('preset') && !options.preset) {
+    throw new Error('--output-pattern uses {preset} but no --preset was given');
+  }
+}
+
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function resolveDimensions(inputPath, context) {
+  if (context.width && context.height) {
+    return { width: context.width, height: context.height };
+  }
+  
+  const dimensionResult = getImageDimensions(inputPath);
+  if (!dimensionResult.success) {
+    throw new Error(`Cannot read image dimensions of ${inputPath} for --output-pattern: ${dimensionResult.error}`);
+  }
+  
+  // A variant width scales the height with it; otherwise the resize decides both
+  if (context.width) {
+    return { width: context.width, height: Math.round(dimensionResult.height * (context.width / dimensionResult.width)) };
+  }
+  
+  const resized = context.resize ? calculateResizeDimensions(dimensionResult.width, dimensionResult.height, context.resize) : null;
+  return resized || { width: dimensionResult.width, height: dimensionResult.height };
+}
+
+/**
+ * Build an output path from an --output-pattern
+ * @param {string} pattern - Template such as "{dir}/{name}-{width}x{height}.{ext}"
+ * @param {string} inputPath - Source file
+ * @param {Object} context - Values for the tokens
+ * @param {string} context.root - Directory the pattern is resolved against
+ * @param {string} context.relativeDir - Source directory relative to the root ({dir})
+ * @param {string} context.name - Output name without extension ({name}), the source name by default
+ * @param {string} context.ext - Output extension without the dot ({ext})
+ * @param {number} context.width - Output width, read from the image when missing
+ * @param {number} context.height - Output height, read from the image when missing
+ * @param {Object} context.resize - Resize spec used to predict the dimensions
+ * @param {string} context.preset - Preset name ({preset})
+ * @returns {string} Absolute output path
+ * @throws {Error} If the result would be written outside the root
+ */
+function renderOutputPattern(pattern, inputPath, context) {
+  const tokens = getPatternTokens(pattern);
+  const dimensions = tokens.includes('width') || tokens.includes('height') ? resolveDimensions(inputPath, context) : {};
+  
+  const values = {
+    dir: context.relativeDir || '.',
+    name: context.name || path.parse(inputPath).name,
+    ext: context.ext,
+    width: dimensions.width,
+    height: dimensions.height,
+    hash8: tokens.includes('hash8') ? hashFile(inputPath).slice(0, 8) : null,
+    preset: context.preset
+  };
+  
+  const rendered = pattern.replace(TOKEN_PATTERN, (match, token) => String(values[token]));
+  const outputPath = path.resolve(context.root, rendered);
+  const relative = path.relative(context.root, outputPath);
+  
+  if (relative === '' || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error(`--output-pattern '${pattern}' resolves to ${outputPath}, outside of ${context.root}`);
+  }
+  
+  return outputPath;
+}
+
+export {
+  validateOutputPattern,
+  renderOutputPattern,
+  PATTERN_TOKENS
+};
\ No newline at end of file
@@ -0,0 +1,259 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+const IGNORE_FILE_NAME = '.tinypngignore';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Translate a glob into a regular expression matched against a whole slash-separated path.
+ * Supports * and ? within a segment, ** across segments, [abc] / [!abc] and {png,jpg}.
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Anchored expression
+ */
+function globToRegExp(glob) {
+  let source = '';
+  
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" matches zero or more directories, any other "**" everything from here on
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 1) > i + 1) {
+      const end = glob.indexOf(']', i + 1);
+      const characters = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      source += characters.startsWith('!') ? `[^${characters.slice(1)}]` : `[${characters}]`;
+      i = end;
+    } else if (char === '{' && glob.indexOf('}', i + 1) > i) {
+      const end = glob.indexOf('}', i + 1);
+      source += `(?:${glob.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i]);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Parse a gitignore-style pattern.
+ * A leading ! re-includes, a trailing / matches directories only, and a pattern with a
+ * slash in it is anchored to baseDirectory while one without matches a name at any depth.
+ * @param {string} pattern - Pattern such as "node_modules/", "*.svg" or "/icons/**"
+ * @param {string} label - How the rule is reported
+ * @param {string} baseDirectory - Slash-separated directory the pattern is relative to ('' for the scan root)
+ * @returns {Object} Rule for matchesRule
+ */
+function createRule(pattern, label, baseDirectory = '') {
+  let glob = pattern.trim();
+  const negate = glob.startsWith('!');
+  if (negate) glob = glob.slice(1);
+  
+  const directoryOnly = glob.endsWith('/');
+  if (directoryOnly) glob = glob.replace(/\/+$/, '');
+  
+  const anchored = glob.includes('/');
+  glob = glob.replace(/^\//, '');
+  
+  return {
+    label,
+    negate,
+    directoryOnly,
+    anchored,
+    baseDirectory,
+    regex: globToRegExp(glob)
+  };
+}
+
+/**
+ * Whether a rule matches a path
+ * @param {Object} rule - Rule from createRule
+ * @param {string} relativePath - Slash-separated path relative to the scan root
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean} True on a match
+ */
+function matchesRule(rule, relativePath, isDirectory) {
+  if (rule.directoryOnly && !isDirectory) {
+    return false;
+  }
+  
+  let target = relativePath;
+  if (rule.baseDirectory) {
+    if (!target.startsWith(rule.baseDirectory + '/')) {
+      return false;
+    }
+    target = target.slice(rule.baseDirectory.length + 1);
+  }
+  
+  return rule.regex.test(rule.anchored ? target : path.posix.basename(target));
+}
+
+/**
+ * Parse --include/--exclude values or a configured list into patterns.
+ * Commas separate patterns except inside braces, so "*.{png,jpg},vendor/" is two patterns.
+ * @param {string|Array} value - Comma-separated patterns or an array
+ * @returns {Array|null} Patterns, null when unset
+ * @throws {Error} If the value is neither
+ */
+function parsePatternList(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  
+  if (!Array.isArray(value) && typeof value !== 'string') {
+    throw new Error(`expected a list of glob patterns, got '${value}'`);
+  }
+  
+  const patterns = (Array.isArray(value) ? value.map(String) : value.split(/,(?![^{]*\})/))
+    .map(pattern => pattern.trim())
+    .filter(pattern => pattern !== '');
+  
+  return patterns.length > 0 ? patterns : null;
+}
+
+function readIgnoreFile(ignorePath, relativeDirectory) {
+  const label = relativeDirectory ? `${relativeDirectory}/${IGNORE_FILE_NAME}` : IGNORE_FILE_NAME;
+  
+  return fs.readFileSync(ignorePath, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line !== '' && !line.startsWith('#'))
+    .map(line => createRule(line, `${label}: ${line}`, relativeDirectory));
+}
+
+// Backups are written next to compressed files at any depth, or to one absolute directory
+function createBackupRule(rootDirectory, backupDirectory) {
+  const label = `backup directory: ${backupDirectory}`;
+  
+  if (path.isAbsolute(backupDirectory)) {
+    const relative = path.relative(rootDirectory, backupDirectory);
+    if (relative === '' || relative.startsWith('..') || path.isAbsolute(relative)) {
+      return null;
+    }
+    return createRule(`/${relative.split(path.sep).join('/')}/`, label);
+  }
+  
+  const relative = path.posix.normalize(backupDirectory.split(path.sep).join('/')).replace(/\/+$/, '');
+  if (relative === '.' || relative.startsWith('..')) {
+    return null;
+  }
+  return createRule(`**/${relative}/`, label);
+}
+
+/**
+ * Decide which scanned entries are skipped, and count what each rule skipped.
+ * Backup directories and --exclude patterns always win. Then .tinypngignore files from the
+ * scan root down to the entry's directory apply, the last matching line winning as in
+ * .gitignore. Finally, when --include patterns are set, files matching none of them are skipped.
+ * @param {string} rootDirectory - Directory being scanned
+ * @param {Object} options - { include, exclude } pattern lists and the configured backupDirectory
+ * @returns {Object} isExcluded(relativePath, isDirectory) skips a directory with everything inside it;
+ *   record(label, isDirectory) counts an entry the scanner skipped for another reason;
+ *   getExclusions() lists [{ rule, files, directories }] in the order the rules first matched
+ */
+function createScanFilter(rootDirectory, { include = null, exclude = null, backupDirectory = null } = {}) {
+  const backupRule = backupDirectory ? createBackupRule(rootDirectory, backupDirectory) : null;
+  const excludeRules = [
+    ...(backupRule ? [backupRule] : []),
+    ...(exclude || []).map(pattern => createRule(pattern, `exclude: ${pattern}`))
+  ];
+  const includeRules = (include || []).map(pattern => createRule(pattern, `include: ${pattern}`));
+  const notIncluded = { label: `include: no match for ${(include || []).join(', ')}` };
+  const ignoreRules = new Map();
+  const exclusions = new Map();
+  
+  function getIgnoreRules(relativeDirectory) {
+    if (!ignoreRules.has(relativeDirectory)) {
+      const ignorePath = path.join(rootDirectory, ...relativeDirectory.split('/'), IGNORE_FILE_NAME);
+      ignoreRules.set(relativeDirectory, fs.existsSync(ignorePath) ? readIgnoreFile(ignorePath, relativeDirectory) : []);
+    }
+    return ignoreRules.get(relativeDirectory);
+  }
+  
+  function findExcludingRule(relativePath, isDirectory) {
+    const excludeRule = excludeRules.find(rule => matchesRule(rule, relativePath, isDirectory));
+    if (excludeRule) {
+      return excludeRule;
+    }
+    
+    const directories = relativePath.split('/').slice(0, -1);
+    let ignoreMatch = null;
+    for (let depth = 0; depth <= directories.length; depth++) {
+      for (const rule of getIgnoreRules(directories.slice(0, depth).join('/'))) {
+        if (matchesRule(rule, relativePath, isDirectory)) {
+          ignoreMatch = rule;
+        }
+      }
+    }
+    if (ignoreMatch && !ignoreMatch.negate) {
+      return ignoreMatch;
+    }
+    
+    if (!isDirectory && includeRules.length > 0 && !includeRules.some(rule => matchesRule(rule, relativePath, false))) {
+      return notIncluded;
+    }
+    
+    return null;
+  }
+  
+  function record(label, isDirectory = false) {
+    if (!exclusions.has(label)) {
+      exclusions.set(label, { rule: label, files: 0, directories: 0 });
+    }
+    exclusions.get(label)[isDirectory ? 'directories' : 'files']++;
+  }
+  
+  return {
+    isExcluded(relativePath, isDirectory = false) {
+      const rule = findExcludingRule(relativePath.split(path.sep).join('/'), isDirectory);
+      if (!rule) {
+        return false;
+      }
+      
+      record(rule.label, isDirectory);
+      return true;
+    },
+    
+    record,
+    
+    getExclusions() {
+      return [...exclusions.values()];
+    }
+  };
+}
+
+/**
+ * One line per rule for scan summaries, e.g. "exclude: node_modules/ - 2 directories"
+ * @param {Object} exclusion - Entry from getExclusions
+ * @returns {string} Description
+ */
+function describeExclusion(exclusion) {
+  const counts = [];
+  if (exclusion.files > 0) counts.push(`${exclusion.files} files`);
+  if (exclusion.directories > 0) counts.push(`${exclusion.directories} directories`);
+  return `${exclusion.rule} - ${counts.join(', ')}`;
+}
+
+export {
+  createScanFilter,
+  describeExclusion,
+  parsePatternList,
+  globToRegExp,
+  IGNORE_FILE_NAME
+};
\ No newline at end of file
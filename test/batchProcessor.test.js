@@ -0,0 +1,139 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BatchProcessor } from '../src/compression/batchProcessor.js';
+import { installFakeTinify, writePng } from './fakeTinify.js';
+
+let tempDirectory;
+let fakeTinify = null;
+
+beforeEach(() => {
+  tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'tinypng-batch-'));
+});
+
+afterEach(() => {
+  if (fakeTinify) {
+    fakeTinify.restore();
+    fakeTinify = null;
+  }
+  fs.rmSync(tempDirectory, { recursive: true, force: true });
+});
+
+function createFiles(count) {
+  return Array.from({ length: count }, (_, index) => {
+    const name = `image${index}.png`;
+    const filePath = path.join(tempDirectory, name);
+    writePng(filePath);
+    return { path: filePath, relativePath: name, name, size: fs.statSync(filePath).size };
+  });
+}
+
+function createKeyConfig(usedByFirst, usedBySecond) {
+  const today = new Date().toISOString().split('T')[0];
+  return {
+    apiKeys: [
+      { name: 'first', key: 'key-first', compressions_used: usedByFirst, last_reset: today, status: 'active' },
+      { name: 'second', key: 'key-second', compressions_used: usedBySecond, last_reset: today, status: 'active' }
+    ]
+  };
+}
+
+function createProcessor(keyConfig) {
+  return new BatchProcessor({ maxConcurrent: 1, adaptiveRateLimit: false, requestDelay: 1, keyConfig });
+}
+
+test('a key reaching its monthly limit hands the rest of the batch to the next key', async () => {
+  const keyConfig = createKeyConfig(498, 10);
+  fakeTinify = installFakeTinify({ usage: { 'key-first': 498, 'key-second': 10 } });
+  
+  const results = await createProcessor(keyConfig).processBatch(createFiles(4), keyConfig.apiKeys[0], {});
+  
+  assert.equal(results.successful.length, 4);
+  assert.equal(results.failed.length, 0);
+  assert.deepEqual(results.keySwitches.map(({ from, to, reason }) => ({ from, to, reason })), [
+    { from: 'first', to: 'second', reason: 'monthly limit reached' }
+  ]);
+  assert.equal(fakeTinify.uploads('key-first'), 2);
+  assert.equal(fakeTinify.uploads('key-second'), 2);
+  assert.deepEqual(results.keyUsage.map(({ name, compressions, finalCount }) => ({ name, compressions, finalCount })), [
+    { name: 'first', compressions: 2, finalCount: 500 },
+    { name: 'second', compressions: 2, finalCount: 12 }
+  ]);
+  assert.equal(keyConfig.apiKeys[0].status, 'limit_reached');
+});
+
+test('a key TinyPNG reports as exhausted is retired and its file retried with the next key', async () => {
+  // The configuration still believes the first key has quota left
+  const keyConfig = createKeyConfig(100, 10);
+  fakeTinify = installFakeTinify({ usage: { 'key-first': 500, 'key-second': 10 } });
+  
+  const results = await createProcessor(keyConfig).processBatch(createFiles(3), keyConfig.apiKeys[0], {});
+  
+  assert.equal(results.successful.length, 3);
+  assert.equal(results.keySwitches.length, 1);
+  assert.equal(results.keySwitches[0].to, 'second');
+  assert.match(results.keySwitches[0].reason, /monthly limit/);
+  assert.equal(fakeTinify.uploads('key-second'), 3);
+  assert.equal(keyConfig.apiKeys[0].compressions_used, 500);
+  assert.equal(keyConfig.apiKeys[0].status, 'limit_reached');
+});
+
+test('without other keys to spill over to, the files left fail', async () => {
+  const keyConfig = createKeyConfig(499, 10);
+  fakeTinify = installFakeTinify({ usage: { 'key-first': 499 } });
+  
+  const results = await createProcessor(null).processBatch(createFiles(3), keyConfig.apiKeys[0], {});
+  
+  assert.equal(results.successful.length, 1);
+  assert.equal(results.failed.length, 2);
+  assert.match(results.failed[0].error, /API key reached monthly limit/);
+  assert.equal(fakeTinify.uploads('key-second'), 0);
+});
+
+test('a configured request delay or retry count of 0 is kept', async () => {
+  const keyConfig = createKeyConfig(0, 0);
+  fakeTinify = installFakeTinify();
+  const processor = new BatchProcessor({ maxConcurrent: 1, adaptiveRateLimit: false, requestDelay: 0, retryAttempts: 0 });
+  
+  assert.equal(processor.requestDelay, 0);
+  assert.equal(processor.retryAttempts, 0);
+  assert.equal(new BatchProcessor().requestDelay, 100);
+  
+  // Without retries each file is still sent once
+  const results = await processor.processBatch(createFiles(2), keyConfig.apiKeys[0], {});
+  assert.equal(results.successful.length, 2);
+  assert.equal(fakeTinify.uploads('key-first'), 2);
+});
+test('Ctrl+Z pauses handing out files and Ctrl+Z or SIGCONT resumes', { skip: process.platform === 'win32' }, async () => {
+  const keyConfig = createKeyConfig(0, 0);
+  fakeTinify = installFakeTinify();
+  const processor = createProcessor(null);
+  const changes = [];
+  const listeners = process.listenerCount('SIGTSTP');
+  const release = processor.handlePauseSignals(paused => changes.push(paused));
+  
+  try {
+    process.emit('SIGTSTP');
+    process.emit('SIGTSTP');
+    process.emit('SIGCONT');
+    assert.deepEqual(changes, [true, false]);
+    
+    process.emit('SIGTSTP');
+    const running = processor.processBatch(createFiles(3), keyConfig.apiKeys[0], {});
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.equal(fakeTinify.uploads('key-first'), 0);
+    
+    process.emit('SIGCONT');
+    const results = await running;
+    
+    assert.equal(results.successful.length, 3);
+    assert.ok(results.concurrentMetrics.pausedTime >= 150);
+    assert.deepEqual(changes, [true, false, true, false]);
+  } finally {
+    release();
+  }
+  
+  assert.equal(process.listenerCount('SIGTSTP'), listeners);
+});
\ No newline at end of file
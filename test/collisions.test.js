@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { findCollisions, resolveCollisions, describeCollision } from '../src/compression/collisions.js';
+
+const root = path.resolve('/photos');
+
+// Only path, name, relativePath and size are read, so the sources do not need to exist
+function source(relativePath, size = 1000) {
+  return { path: path.join(root, relativePath), name: path.basename(relativePath), relativePath, size };
+}
+
+test('sources converted to the same format claim the same output', () => {
+  const files = [source('banner.png'), source('banner.jpg'), source('logo.png')];
+  const collisions = findCollisions(files, { convert: 'webp' });
+  
+  assert.equal(collisions.length, 1);
+  assert.equal(collisions[0].outputPath, path.join(root, 'banner.webp'));
+  assert.deepEqual(collisions[0].files.map(file => file.name), ['banner.png', 'banner.jpg']);
+  assert.deepEqual(findCollisions(files, {}), []);
+});
+
+test('flattening an output tree makes same-named files collide', () => {
+  const files = [source('a/logo.png'), source('b/logo.png')];
+  const outputDir = path.resolve('/out');
+  
+  assert.deepEqual(findCollisions(files, { outputDir }), []);
+  assert.equal(findCollisions(files, { outputDir, preserveStructure: false })[0].outputPath, path.join(outputDir, 'logo.png'));
+});
+
+test('the fail strategy stops the run, or skips every claimant in a dry run', () => {
+  const files = () => [source('banner.png'), source('banner.jpg'), source('logo.png')];
+  
+  assert.throws(() => resolveCollisions(files(), { convert: 'webp' }, 'fail'), /banner\.webp ← banner\.png, banner\.jpg/);
+  
+  const result = resolveCollisions(files(), { convert: 'webp' }, 'fail', true);
+  assert.deepEqual(result.files.map(file => file.name), ['logo.png']);
+  assert.deepEqual(result.collisions[0].skipped, ['banner.jpg', 'banner.png']);
+  assert.equal(describeCollision(result.collisions[0]), 'banner.webp ← banner.jpg, banner.png: the run would stop (choose --on-collision)');
+});
+
+test('the skip strategy leaves every claimant untouched', () => {
+  const result = resolveCollisions([source('banner.png'), source('banner.jpg'), source('logo.png')], { convert: 'webp' }, 'skip');
+  
+  assert.deepEqual(result.files.map(file => file.name), ['logo.png']);
+  assert.deepEqual(result.skipped.map(file => file.name), ['banner.png', 'banner.jpg']);
+  assert.equal(describeCollision(result.collisions[0]), 'banner.webp ← banner.jpg, banner.png: skipped all');
+});
+
+test('the suffix strategy renames every claimant after the first', () => {
+  const files = [source('banner.png'), source('banner.jpg'), source('banner.gif'), source('banner-2.png')];
+  const result = resolveCollisions(files, { convert: 'webp' }, 'suffix');
+  
+  assert.equal(result.files.length, 4);
+  assert.equal(result.collisions[0].kept, 'banner.gif');
+  // banner-2.webp already belongs to banner-2.png, so the counter moves on
+  assert.deepEqual(result.collisions[0].renamed, [
+    { source: 'banner.jpg', outputPath: path.join(root, 'banner-3.webp') },
+    { source: 'banner.png', outputPath: path.join(root, 'banner-4.webp') }
+  ]);
+  assert.equal(files[0].collisionSuffix, '-4');
+  assert.equal(files[2].collisionSuffix, undefined);
+  assert.equal(describeCollision(result.collisions[0]), 'banner.webp ← banner.gif, banner.jpg, banner.png: banner.jpg → banner-3.webp, banner.png → banner-4.webp');
+});
+
+test('the source that already is the output keeps its name', () => {
+  const result = resolveCollisions([source('banner.png'), source('banner.webp')], { convert: 'webp' }, 'suffix');
+  
+  assert.equal(result.collisions[0].kept, 'banner.webp');
+  assert.deepEqual(result.collisions[0].renamed.map(rename => rename.source), ['banner.png']);
+});
+
+test('the prefer-larger-source strategy compresses only the largest claimant', () => {
+  const result = resolveCollisions([source('banner.png', 500), source('banner.jpg', 2000)], { convert: 'webp' }, 'prefer-larger-source');
+  
+  assert.deepEqual(result.files.map(file => file.name), ['banner.jpg']);
+  assert.equal(describeCollision(result.collisions[0]), 'banner.webp ← banner.jpg, banner.png: kept banner.jpg (largest), skipped banner.png');
+});
+
+test('unknown strategies are refused', () => {
+  assert.throws(() => resolveCollisions([], {}, 'newest'), /Unknown collision strategy: newest/);
+});
\ No newline at end of file
@@ -0,0 +1,49 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import compressFileCommand from '../src/commands/compress.js';
+import { setConfigPath } from '../src/config/index.js';
+import { CURRENT_CONFIG_VERSION } from '../src/config/migrations.js';
+import { writePng } from './fakeTinify.js';
+
+let tempDirectory;
+
+beforeEach(() => {
+  tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'tinypng-file-'));
+  mock.method(console, 'log', () => {});
+  
+  const configFile = path.join(tempDirectory, 'tinypng.config.json');
+  fs.writeFileSync(configFile, JSON.stringify({
+    version: CURRENT_CONFIG_VERSION,
+    apiKeys: [{
+      name: 'main',
+      key: 'a'.repeat(32),
+      email: 'dev@example.com',
+      compressions_used: 0,
+      last_reset: new Date().toISOString().split('T')[0],
+      status: 'active'
+    }]
+  }));
+  setConfigPath(configFile);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  setConfigPath(null);
+  fs.rmSync(tempDirectory, { recursive: true, force: true });
+});
+
+test('--convert auto is charged for the upload and the conversion', async () => {
+  const filePath = path.join(tempDirectory, 'logo.png');
+  writePng(filePath);
+  
+  const plan = await compressFileCommand(filePath, 'auto', { convert: 'auto', dryRun: true, json: true });
+  
+  assert.equal(plan.options.convert, 'auto');
+  assert.equal(plan.summary.compressionsCharged, 2);
+  
+  const keep = await compressFileCommand(filePath, 'auto', { convert: 'keep', dryRun: true, json: true });
+  assert.equal(keep.summary.compressionsCharged, 1);
+});
\ No newline at end of file
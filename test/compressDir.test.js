@@ -0,0 +1,117 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import compressDirCommand from '../src/commands/compressDir.js';
+import { setConfigPath } from '../src/config/index.js';
+import { CURRENT_CONFIG_VERSION } from '../src/config/migrations.js';
+import { loadLedger, recordCompression } from '../src/ledger/index.js';
+import { installFakeTinify, writePng } from './fakeTinify.js';
+
+const API_KEY = 'a'.repeat(32);
+
+let tempDirectory;
+let fakeTinify;
+
+beforeEach(() => {
+  tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'tinypng-dir-'));
+  fakeTinify = installFakeTinify({ usage: { [API_KEY]: 0 } });
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  
+  const configFile = path.join(tempDirectory, 'tinypng.config.json');
+  fs.writeFileSync(configFile, JSON.stringify({
+    version: CURRENT_CONFIG_VERSION,
+    apiKeys: [{
+      name: 'main',
+      key: API_KEY,
+      email: 'dev@example.com',
+      compressions_used: 0,
+      last_reset: new Date().toISOString().split('T')[0],
+      status: 'active'
+    }]
+  }));
+  setConfigPath(configFile);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fakeTinify.restore();
+  setConfigPath(null);
+  fs.rmSync(tempDirectory, { recursive: true, force: true });
+});
+
+// Sources for every way a file can be selected or skipped: compressed, already in the ledger,
+// colliding with another source once converted, and failing validation
+async function createTree(root) {
+  writePng(path.join(root, 'logo.png'));
+  writePng(path.join(root, 'icons', 'arrow.png'));
+  writePng(path.join(root, 'icons', 'small', 'dot.png'), 10, 10, 300);
+  writePng(path.join(root, 'photos', 'banner.png'));
+  fs.writeFileSync(path.join(root, 'photos', 'banner.jpg'), Buffer.from([0xff, 0xd8, 0xff, 0xe0, ...Buffer.alloc(200)]));
+  fs.writeFileSync(path.join(root, 'photos', 'broken.png'), 'not an image');
+  writePng(path.join(root, 'photos', 'done.png'), 50, 50, 100);
+  
+  const ledger = await loadLedger(root);
+  await recordCompression(ledger, path.join(root, 'photos', 'done.png'), { originalSize: 500, compressedSize: 133 }, { convert: 'webp' });
+}
+
+function listTree(root, directory = root) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(directory, entry.name);
+    return entry.isDirectory() ? listTree(root, fullPath) : [`${path.relative(root, fullPath)} ${fs.statSync(fullPath).size}`];
+  }).sort();
+}
+
+test('--stream compresses and skips the same files as a full scan', async () => {
+  const options = { recursive: true, convert: 'webp', onCollision: 'skip', maxConcurrent: 2 };
+  const scanned = path.join(tempDirectory, 'scanned');
+  const streamed = path.join(tempDirectory, 'streamed');
+  await createTree(scanned);
+  await createTree(streamed);
+  
+  const scanResults = await compressDirCommand(scanned, 'main', options);
+  const streamResults = await compressDirCommand(streamed, 'main', { ...options, stream: true });
+  
+  const compressed = (results, root) => results.successful.map(result => path.relative(root, result.outputPath)).sort();
+  assert.deepEqual(compressed(scanResults, scanned), ['icons/arrow.webp', 'icons/small/dot.webp', 'logo.webp'].map(path.normalize));
+  assert.deepEqual(compressed(streamResults, streamed), compressed(scanResults, scanned));
+  assert.deepEqual(listTree(streamed).filter(entry => !entry.startsWith('.tinypng-ledger')), listTree(scanned).filter(entry => !entry.startsWith('.tinypng-ledger')));
+  assert.equal(fakeTinify.uploads(API_KEY), 6);
+});
+test('--stream reports the first few skipped files and counts the rest', async () => {
+  for (let index = 0; index < 25; index++) {
+    fs.writeFileSync(path.join(tempDirectory, `broken${String(index).padStart(2, '0')}.png`), 'not an image');
+  }
+  writePng(path.join(tempDirectory, 'logo.png'));
+  
+  await compressDirCommand(tempDirectory, 'main', { stream: true });
+  
+  const lines = console.log.mock.calls.map(call => String(call.arguments[0]));
+  const heading = lines.findIndex(line => line.includes('25 files failed validation'));
+  assert.ok(heading >= 0);
+  assert.equal(lines.slice(heading + 1).filter(line => /^ {3}broken\d+\.png: /.test(line)).length, 20);
+  assert.ok(lines.includes('   ... and 5 more'));
+  assert.equal(fakeTinify.uploads(API_KEY), 1);
+});
+test('in-place runs leave files behind followed symlinks untouched', { skip: process.platform === 'win32' }, async () => {
+  const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'tinypng-outside-'));
+  const beach = path.join(outside, 'photos', 'beach.png');
+  writePng(beach);
+  writePng(path.join(tempDirectory, 'logo.png'));
+  fs.symlinkSync(path.join(outside, 'photos'), path.join(tempDirectory, 'photos'));
+  fs.symlinkSync(beach, path.join(tempDirectory, 'beach.png'));
+  const original = fs.readFileSync(beach);
+  
+  try {
+    const results = await compressDirCommand(tempDirectory, 'main', { recursive: true, followSymlinks: true });
+    
+    assert.deepEqual(results.successful.map(result => path.basename(result.file)), ['logo.png']);
+    assert.deepEqual(fs.readFileSync(beach), original);
+    assert.ok(fs.lstatSync(path.join(tempDirectory, 'beach.png')).isSymbolicLink());
+    assert.deepEqual(listTree(outside), [`${path.join('photos', 'beach.png')} ${original.length}`]);
+  } finally {
+    fs.rmSync(outside, { recursive: true, force: true });
+  }
+});
\ No newline at end of file
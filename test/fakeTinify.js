@@ -0,0 +1,84 @@
+import fs from 'fs';
+import path from 'path';
+import tinify from 'tinify';
+
+/**
+ * Write the PNG signature and header chunk, which is all validation and image-size read
+ * @param {string} filePath - File to write
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} padding - Bytes added after the header, so results can be smaller
+ */
+function writePng(filePath, width = 100, height = 100, padding = 200) {
+  const header = Buffer.alloc(33 + padding);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(header, 0);
+  header.writeUInt32BE(13, 8);
+  header.write('IHDR', 12, 'ascii');
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  header.writeUInt8(8, 24);
+  header.writeUInt8(6, 25);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, header);
+}
+
+/**
+ * Replace the TinyPNG client with one that never leaves the process. Uploads are counted per
+ * key and an upload over the limit fails like TinyPNG does; results are the upload cut to ratio
+ * @param {Object} options - { usage: compressions used per key value, limit, ratio }
+ * @returns {Object} { uploads(key), restore() }
+ */
+function installFakeTinify({ usage = {}, limit = 500, ratio = 0.5 } = {}) {
+  const OriginalClient = tinify.Client;
+  const counts = new Map(Object.entries(usage));
+  const uploads = new Map();
+  const stored = new Map();
+  
+  class FakeClient {
+    constructor(key) {
+      this.key = key;
+    }
+    
+    async request(method, url, body) {
+      await new Promise(resolve => setImmediate(resolve));
+      
+      if (url === '/shrink') {
+        const count = counts.get(this.key) || 0;
+        if (count >= limit) {
+          throw new tinify.AccountError('Your monthly limit has been exceeded', 429);
+        }
+        
+        counts.set(this.key, count + 1);
+        uploads.set(this.key, (uploads.get(this.key) || 0) + 1);
+        tinify.compressionCount = count + 1;
+        
+        const location = `fake:${stored.size}`;
+        stored.set(location, Buffer.from(body));
+        return { headers: { location } };
+      }
+      
+      const data = stored.get(url);
+      const types = body && body.convert ? [].concat(body.convert.type) : ['image/png'];
+      return {
+        headers: { 'content-type': types[0] },
+        body: data.subarray(0, Math.ceil(data.length * ratio))
+      };
+    }
+  }
+  
+  tinify.Client = FakeClient;
+  tinify.key = undefined;
+  
+  return {
+    uploads: key => uploads.get(key) || 0,
+    restore() {
+      tinify.Client = OriginalClient;
+      tinify.key = undefined;
+    }
+  };
+}
+
+export {
+  writePng,
+  installFakeTinify
+};
\ No newline at end of file
@@ -0,0 +1,155 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseMinSavings, hasEnoughSavings, describeNoGain, scanForImages, walkImageDirectories } from '../src/utils/fileOps.js';
+import { createScanFilter } from '../src/utils/scanFilter.js';
+
+let tempDirectory;
+
+beforeEach(() => {
+  tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'tinypng-fileops-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDirectory, { recursive: true, force: true });
+});
+
+function write(relativePath, content = 'image') {
+  const filePath = path.join(tempDirectory, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+test('--min-savings takes a percentage or a size', () => {
+  assert.deepEqual(parseMinSavings('5%'), { percent: 5 });
+  assert.deepEqual(parseMinSavings(' 2.5 % '), { percent: 2.5 });
+  assert.deepEqual(parseMinSavings(2048), { bytes: 2048 });
+  assert.deepEqual(parseMinSavings('2048b'), { bytes: 2048 });
+  assert.deepEqual(parseMinSavings('10KB'), { bytes: 10240 });
+  assert.deepEqual(parseMinSavings('1.5mb'), { bytes: 1572864 });
+  assert.equal(parseMinSavings(''), null);
+  assert.equal(parseMinSavings(undefined), null);
+  assert.throws(() => parseMinSavings('100%'), /must be below 100%/);
+  assert.throws(() => parseMinSavings('-5%'), /expected a percentage/);
+  assert.throws(() => parseMinSavings('a lot'), /expected a percentage/);
+});
+
+test('a result is kept only when it is smaller by at least the threshold', () => {
+  assert.equal(hasEnoughSavings(1000, 999), true);
+  assert.equal(hasEnoughSavings(1000, 1000), false);
+  assert.equal(hasEnoughSavings(1000, 1200), false);
+  
+  const percent = parseMinSavings('5%');
+  assert.equal(hasEnoughSavings(1000, 951, percent), false);
+  assert.equal(hasEnoughSavings(1000, 950, percent), true);
+  
+  const bytes = parseMinSavings('100');
+  assert.equal(hasEnoughSavings(1000, 901, bytes), false);
+  assert.equal(hasEnoughSavings(1000, 900, bytes), true);
+  assert.equal(hasEnoughSavings(50, 40, bytes), false);
+});
+
+test('the reason a result was not kept names the threshold it missed', () => {
+  assert.equal(describeNoGain(1024, 2048), 'result 2 KB is not smaller than 1 KB');
+  assert.equal(describeNoGain(10240, 10000, parseMinSavings('5%')), 'result 9.77 KB saves less than 5% of 10 KB');
+  assert.equal(describeNoGain(10240, 10000, parseMinSavings('1KB')), 'result 9.77 KB saves less than 1 KB of 10 KB');
+});
+
+// Directory entries come in no particular order, so neither do the rules that skipped them
+function sortedExclusions(filter) {
+  return filter.getExclusions().map(({ rule, files, directories }) => `${rule}: ${files} files, ${directories} directories`).sort();
+}
+
+test('symlinked files and directories are skipped unless they are followed', { skip: process.platform === 'win32' }, async () => {
+  write('logo.png');
+  write('shared/icon.png');
+  fs.symlinkSync(path.join(tempDirectory, 'logo.png'), path.join(tempDirectory, 'link.png'));
+  fs.symlinkSync(path.join(tempDirectory, 'shared'), path.join(tempDirectory, 'linked'));
+  const filter = createScanFilter(tempDirectory);
+  
+  const files = await scanForImages(tempDirectory, true, { filter });
+  
+  assert.deepEqual(files.map(file => file.relativePath).sort(), ['logo.png', path.join('shared', 'icon.png')]);
+  assert.deepEqual(sortedExclusions(filter), [
+    'symlinked directory (use --follow-symlinks): 0 files, 1 directories',
+    'symlinked file (use --follow-symlinks): 1 files, 0 directories'
+  ]);
+});
+
+test('followed symlinks are scanned once and loops are cut', { skip: process.platform === 'win32' }, async () => {
+  write('photos/beach.png');
+  const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'tinypng-outside-'));
+  fs.writeFileSync(path.join(outside, 'shared.png'), 'shared');
+  fs.symlinkSync(path.join(outside, 'shared.png'), path.join(tempDirectory, 'shared.png'));
+  fs.symlinkSync(path.join(tempDirectory, 'photos', 'beach.png'), path.join(tempDirectory, 'beach-link.png'));
+  fs.symlinkSync(tempDirectory, path.join(tempDirectory, 'photos', 'back-to-root'));
+  const filter = createScanFilter(tempDirectory);
+  
+  try {
+    const files = await scanForImages(tempDirectory, true, { filter, followSymlinks: true });
+    
+    // beach.png is found either through its link or where it is, never both
+    assert.equal(files.length, 2);
+    assert.equal(files.filter(file => file.name.startsWith('beach')).length, 1);
+    // Followed links keep their path inside the scanned directory
+    assert.equal(files.find(file => file.name === 'shared.png').path, path.join(tempDirectory, 'shared.png'));
+    assert.deepEqual(sortedExclusions(filter), [
+      'symlink loop: photos/back-to-root → .: 0 files, 1 directories',
+      'symlink to an already scanned file: 1 files, 0 directories'
+    ]);
+  } finally {
+    fs.rmSync(outside, { recursive: true, force: true });
+  }
+});
+
+test('in-place runs skip followed links that would write outside the directory or replace the link', { skip: process.platform === 'win32' }, async () => {
+  write('shared/icon.png');
+  write('logo.png');
+  const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'tinypng-outside-'));
+  fs.mkdirSync(path.join(outside, 'photos'));
+  fs.writeFileSync(path.join(outside, 'photos', 'beach.png'), 'beach');
+  fs.symlinkSync(path.join(outside, 'photos'), path.join(tempDirectory, 'photos'));
+  fs.symlinkSync(path.join(tempDirectory, 'logo.png'), path.join(tempDirectory, 'logo-link.png'));
+  fs.symlinkSync(path.join(tempDirectory, 'shared'), path.join(tempDirectory, 'linked'));
+  const filter = createScanFilter(tempDirectory);
+  
+  try {
+    const files = await scanForImages(tempDirectory, true, { filter, followSymlinks: true, inPlace: true });
+    
+    // shared/ is scanned once, through whichever of its two paths comes first
+    assert.deepEqual(files.map(file => file.name).sort(), ['icon.png', 'logo.png']);
+    assert.ok(files.every(file => file.path.startsWith(tempDirectory + path.sep)));
+    assert.deepEqual(sortedExclusions(filter), [
+      'symlink out of the scanned directory, not written in place (use --out): 0 files, 1 directories',
+      'symlink to an already scanned directory: 0 files, 1 directories',
+      'symlinked file, not replaced in place (use --out): 1 files, 0 directories'
+    ]);
+  } finally {
+    fs.rmSync(outside, { recursive: true, force: true });
+  }
+});
+
+test('a streaming walk yields each directory before its subdirectories with the same files as a scan', async () => {
+  ['b.png', 'a.jpg', 'notes.txt', 'icons/arrow.png', 'icons/small/dot.png', 'empty/readme.md', 'photos/beach.webp'].forEach(file => write(file));
+  
+  const directories = [];
+  for await (const directory of walkImageDirectories(tempDirectory, true)) {
+    directories.push({ directory: directory.relativeDirectory, files: directory.files.map(file => file.name) });
+  }
+  
+  assert.deepEqual(directories[0], { directory: '', files: ['a.jpg', 'b.png'] });
+  assert.deepEqual(directories.slice(1).sort((a, b) => a.directory.localeCompare(b.directory)), [
+    { directory: 'icons', files: ['arrow.png'] },
+    { directory: path.join('icons', 'small'), files: ['dot.png'] },
+    { directory: 'photos', files: ['beach.webp'] }
+  ]);
+  const icons = directories.findIndex(entry => entry.directory === 'icons');
+  assert.ok(icons < directories.findIndex(entry => entry.directory === path.join('icons', 'small')));
+  
+  const walked = directories.flatMap(entry => entry.files).sort();
+  assert.deepEqual((await scanForImages(tempDirectory, true)).map(file => file.name).sort(), walked);
+  assert.deepEqual((await scanForImages(tempDirectory, false)).map(file => file.name), ['a.jpg', 'b.png']);
+});
\ No newline at end of file
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createResizeSpec,
+  calculateResizeDimensions,
+  createTinyPngResizeOptions,
+  calculateVariantWidths,
+  parseSizes,
+  parseBackground
+} from '../src/utils/imageUtils.js';
+
+function dimensionsOf(result) {
+  return result && { width: result.width, height: result.height };
+}
+
+test('--max-size scales the longest side unless a side is given', () => {
+  const landscape = createResizeSpec({ maxSize: '1000' });
+  
+  assert.deepEqual(dimensionsOf(calculateResizeDimensions(2000, 1000, landscape)), { width: 1000, height: 500 });
+  assert.deepEqual(dimensionsOf(calculateResizeDimensions(1000, 3000, landscape)), { width: 333, height: 1000 });
+  assert.equal(calculateResizeDimensions(800, 600, landscape), null);
+  
+  const byHeight = createResizeSpec({ maxSize: '500', maxSide: 'height' });
+  assert.deepEqual(dimensionsOf(calculateResizeDimensions(2000, 1000, byHeight)), { width: 1000, height: 500 });
+  assert.equal(createResizeSpec({ maxSize: 'none' }), null);
+});
+
+test('scale keeps the aspect ratio and only enlarges with --upscale', () => {
+  const spec = createResizeSpec({ width: '500' });
+  const result = calculateResizeDimensions(1000, 600, spec);
+  
+  assert.deepEqual(dimensionsOf(result), { width: 500, height: 300 });
+  assert.deepEqual(createTinyPngResizeOptions(result), { method: 'scale', width: 500 });
+  assert.equal(calculateResizeDimensions(400, 300, spec), null);
+  assert.deepEqual(dimensionsOf(calculateResizeDimensions(400, 300, createResizeSpec({ width: '500', upscale: true }))), { width: 500, height: 375 });
+});
+
+test('fit shrinks until both sides fit inside the box', () => {
+  const spec = createResizeSpec({ resizeMethod: 'fit', width: '400', height: '400' });
+  
+  assert.deepEqual(dimensionsOf(calculateResizeDimensions(1000, 500, spec)), { width: 400, height: 200 });
+  assert.equal(calculateResizeDimensions(300, 200, spec), null);
+});
+
+test('cover and thumb produce the box, shrunk to fit the image without --upscale', () => {
+  const cover = createResizeSpec({ resizeMethod: 'cover', width: '300', height: '300' });
+  const result = calculateResizeDimensions(1000, 500, cover);
+  
+  assert.deepEqual(dimensionsOf(result), { width: 300, height: 300 });
+  assert.deepEqual(createTinyPngResizeOptions(result), { method: 'cover', width: 300, height: 300 });
+  
+  const thumb = createResizeSpec({ resizeMethod: 'thumb', width: '800', height: '400' });
+  assert.deepEqual(dimensionsOf(calculateResizeDimensions(600, 600, thumb)), { width: 600, height: 300 });
+});
+
+test('invalid resize combinations are rejected', () => {
+  assert.throws(() => createResizeSpec({ resizeMethod: 'stretch' }), /Invalid resize method/);
+  assert.throws(() => createResizeSpec({ resizeMethod: 'fit', width: '100' }), /requires both --width and --height/);
+  assert.throws(() => createResizeSpec({ width: '100', height: '100' }), /takes either --width or --height/);
+  assert.throws(() => createResizeSpec({ width: '10px' }), /Invalid --width/);
+});
+
+test('sizes are parsed, sorted and never wider than the original', () => {
+  assert.deepEqual(parseSizes('1920, 480,960,480'), [480, 960, 1920]);
+  assert.throws(() => parseSizes('480,big'), /Invalid size 'big'/);
+  assert.deepEqual(calculateVariantWidths(1000, [480, 960, 1920]), [480, 960]);
+});
+
+test('backgrounds are normalized to TinyPNG colors', () => {
+  assert.equal(parseBackground('White'), 'white');
+  assert.equal(parseBackground('#FA0'), '#ffaa00');
+  assert.equal(parseBackground('123456'), '#123456');
+  assert.throws(() => parseBackground('red'), /Invalid background/);
+});
\ No newline at end of file
@@ -0,0 +1,141 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadLedger, flushLedger, getOptionsFingerprint, recordCompression, filterCompressedFiles, pruneLedger, rebuildLedger, LEDGER_FILENAME } from '../src/ledger/index.js';
+import { selectFilesToCompress } from '../src/compression/selection.js';
+
+let tempDirectory;
+
+beforeEach(() => {
+  tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'tinypng-ledger-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDirectory, { recursive: true, force: true });
+});
+
+function createFile(name, content) {
+  const filePath = path.join(tempDirectory, name);
+  fs.writeFileSync(filePath, content);
+  return { path: filePath, relativePath: name, name, size: content.length };
+}
+
+function createResult(file) {
+  return { originalSize: file.size * 2, compressedSize: file.size };
+}
+
+test('the fingerprint only holds options that change the output', () => {
+  assert.deepEqual(getOptionsFingerprint({}), { convert: null, maxSize: null, maxSide: null, preserveMetadata: false });
+  assert.deepEqual(getOptionsFingerprint({ convert: 'WEBP', maxSize: 1920, preserveMetadata: true, recursive: true }), {
+    convert: 'webp',
+    maxSize: '1920',
+    maxSide: 'auto',
+    preserveMetadata: true
+  });
+  assert.deepEqual(getOptionsFingerprint({ maxSize: 'none', maxSide: 'width' }), getOptionsFingerprint({}));
+});
+
+test('files compressed with the same options are skipped on the next run', async () => {
+  const ledger = await loadLedger(tempDirectory);
+  const done = createFile('done.png', 'compressed');
+  const fresh = createFile('fresh.png', 'untouched');
+  
+  await recordCompression(ledger, done.path, createResult(done), { convert: 'webp' }, 'main');
+  
+  const { pending, skipped } = await filterCompressedFiles(ledger, [done, fresh], { convert: 'webp' });
+  assert.deepEqual(skipped, [done]);
+  assert.deepEqual(pending, [fresh]);
+  
+  const entry = Object.values(ledger.data.entries)[0];
+  assert.equal(entry.path, 'done.png');
+  assert.equal(entry.apiKey, 'main');
+  
+  // Written next to the run so the next run finds it
+  const reloaded = await loadLedger(tempDirectory);
+  assert.deepEqual(reloaded.data.entries, ledger.data.entries);
+});
+
+test('other options or changed content make a file pending again', async () => {
+  const ledger = await loadLedger(tempDirectory);
+  const file = createFile('photo.png', 'compressed');
+  await recordCompression(ledger, file.path, createResult(file), {});
+  
+  assert.deepEqual((await filterCompressedFiles(ledger, [file], { convert: 'webp' })).pending, [file]);
+  assert.deepEqual((await filterCompressedFiles(ledger, [file], { maxSize: 800 })).pending, [file]);
+  
+  // A copy under another name has the same content, so it counts as done
+  const copy = createFile('copy.png', 'compressed');
+  assert.deepEqual((await filterCompressedFiles(ledger, [copy], {})).skipped, [copy]);
+  
+  fs.writeFileSync(file.path, 'edited since');
+  assert.deepEqual((await filterCompressedFiles(ledger, [file], {})).pending, [file]);
+});
+
+test('--force hands files the ledger knows back for compression', async () => {
+  const ledger = await loadLedger(tempDirectory);
+  const done = createFile('done.png', 'compressed');
+  const fresh = createFile('fresh.png', 'untouched');
+  await recordCompression(ledger, done.path, createResult(done), {});
+  const context = { ledger, onCollision: 'fail', dryRun: false };
+  
+  const selection = await selectFilesToCompress([done, fresh], {}, context);
+  assert.deepEqual(selection.files, [fresh]);
+  assert.deepEqual(selection.skipped.ledger, [done]);
+  
+  const forced = await selectFilesToCompress([done, fresh], {}, { ...context, force: true });
+  assert.deepEqual(forced.files, [done, fresh]);
+  assert.deepEqual(forced.skipped.ledger, []);
+});
+
+test('pruning drops entries whose file is gone or changed', async () => {
+  const ledger = await loadLedger(tempDirectory);
+  const kept = createFile('kept.png', 'kept');
+  const removed = createFile('removed.png', 'removed');
+  const edited = createFile('edited.png', 'edited');
+  
+  for (const file of [kept, removed, edited]) {
+    await recordCompression(ledger, file.path, createResult(file), {});
+  }
+  fs.unlinkSync(removed.path);
+  fs.writeFileSync(edited.path, 'edited again');
+  
+  const pruned = await pruneLedger(ledger);
+  
+  assert.deepEqual(pruned.map(entry => entry.path).sort(), ['edited.png', 'removed.png']);
+  assert.deepEqual(Object.values(ledger.data.entries).map(entry => entry.path), ['kept.png']);
+});
+
+test('rebuilding records every given file as compressed', async () => {
+  const ledger = await loadLedger(tempDirectory);
+  const stale = createFile('stale.png', 'stale');
+  await recordCompression(ledger, stale.path, createResult(stale), {});
+  const files = [createFile('a.png', 'a'), createFile('b.png', 'b')];
+  
+  assert.equal(await rebuildLedger(ledger, files, { convert: 'webp' }), 2);
+  assert.deepEqual((await filterCompressedFiles(ledger, [...files, stale], { convert: 'webp' })).pending, [stale]);
+});
+
+test('recorded files are saved in batches and flushed at the end of a run', async () => {
+  const ledger = await loadLedger(tempDirectory);
+  const files = ['a.png', 'b.png', 'c.png'].map(name => createFile(name, name));
+  
+  for (const file of files) {
+    await recordCompression(ledger, file.path, createResult(file), {});
+  }
+  
+  // The first file is saved at once, the ones right after it wait for the next batch
+  assert.equal(Object.keys((await loadLedger(tempDirectory)).data.entries).length, 1);
+  
+  await flushLedger(ledger);
+  
+  assert.deepEqual((await loadLedger(tempDirectory)).data.entries, ledger.data.entries);
+  assert.deepEqual(fs.readdirSync(tempDirectory).filter(name => name.startsWith(LEDGER_FILENAME)), [LEDGER_FILENAME]);
+});
+
+test('an unreadable ledger is reported instead of being overwritten', async () => {
+  fs.writeFileSync(path.join(tempDirectory, LEDGER_FILENAME), '{ "version": "1.0.0" }');
+  
+  await assert.rejects(loadLedger(tempDirectory), /Compression ledger is invalid .*missing entries.*--ledger rebuild/);
+});
\ No newline at end of file
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { migrateConfig, needsMigration, compareVersions, CURRENT_CONFIG_VERSION } from '../src/config/migrations.js';
+
+test('an unversioned config is upgraded from 1.0.0 without writing default sections', () => {
+  const config = {
+    apiKeys: [
+      { name: 'a', compressions_used: 10 },
+      { name: 'b', compressions_used: 500 }
+    ]
+  };
+  
+  const result = migrateConfig(config);
+  
+  assert.equal(result.fromVersion, '1.0.0');
+  assert.equal(result.toVersion, CURRENT_CONFIG_VERSION);
+  assert.equal(config.version, CURRENT_CONFIG_VERSION);
+  assert.deepEqual(config.apiKeys.map(apiKey => apiKey.status), ['active', 'limit_reached']);
+  // Missing sections stay missing so a project file does not shadow the global one
+  assert.deepEqual(Object.keys(config).sort(), ['apiKeys', 'version']);
+});
+
+test('existing settings are kept and nothing else is added', () => {
+  const config = { version: '1.0.0', apiKeys: [], advanced: { max_concurrent: 8 }, compression: { convert_format: 'auto' } };
+  
+  migrateConfig(config);
+  
+  assert.deepEqual(config.advanced, { max_concurrent: 8 });
+  // The 1.0.0 meaning of "auto" is carried over as "keep" by the 1.1.0 step
+  assert.deepEqual(config.compression, { convert_format: 'keep' });
+});
+
+test('1.1.0 "auto" becomes "keep" in sections and presets', () => {
+  const config = {
+    version: '1.1.0',
+    apiKeys: [],
+    compression: { convert_format: 'auto' },
+    defaults: { convert_format: 'webp' },
+    presets: { web: { convert: 'auto' }, avif: { convert: 'avif' } }
+  };
+  
+  const { changes } = migrateConfig(config);
+  
+  assert.equal(config.compression.convert_format, 'keep');
+  assert.equal(config.defaults.convert_format, 'webp');
+  assert.equal(config.presets.web.convert, 'keep');
+  assert.equal(config.presets.avif.convert, 'avif');
+  assert.ok(changes.some(change => change.includes('presets.web.convert')));
+});
+
+test('a current config needs no migration and is left as it is', () => {
+  const config = { version: CURRENT_CONFIG_VERSION, apiKeys: [], compression: { convert_format: 'auto' } };
+  
+  assert.equal(needsMigration(config), false);
+  assert.deepEqual(migrateConfig(config).changes, []);
+  assert.equal(config.compression.convert_format, 'auto');
+});
+
+test('newer and malformed versions are rejected', () => {
+  assert.throws(() => migrateConfig({ version: '9.0.0' }), /newer than this tool supports/);
+  assert.throws(() => migrateConfig({ version: 'one' }), /Invalid configuration version/);
+  assert.throws(() => migrateConfig({ version: '1.0.5' }), /No migration available/);
+});
+
+test('versions compare numerically', () => {
+  assert.ok(compareVersions('1.10.0', '1.2.0') > 0);
+  assert.ok(compareVersions('1.2.0', '1.2.1') < 0);
+  assert.equal(compareVersions('1.2', '1.2.0'), 0);
+});
\ No newline at end of file
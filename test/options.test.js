@@ -0,0 +1,153 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { resolveOptions } from '../src/config/options.js';
+import { setConfigPath } from '../src/config/index.js';
+
+let tempDirectory;
+let savedEnv;
+
+function writeConfig(file, config) {
+  fs.outputJsonSync(file, config);
+  return file;
+}
+
+beforeEach(() => {
+  tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'tinypng-options-'));
+  savedEnv = { ...process.env };
+  Object.keys(process.env)
+    .filter(name => name.startsWith('TINYPNG_'))
+    .forEach(name => delete process.env[name]);
+  process.env.XDG_CONFIG_HOME = path.join(tempDirectory, 'xdg');
+});
+
+afterEach(() => {
+  setConfigPath(null);
+  process.env = savedEnv;
+  fs.removeSync(tempDirectory);
+});
+
+test('a 1.1.0 config with convert_format "auto" resolves to keep', () => {
+  setConfigPath(writeConfig(path.join(tempDirectory, 'tinypng.config.json'), {
+    version: '1.1.0',
+    apiKeys: [],
+    compression: { convert_format: 'auto' },
+    defaults: { convert_format: 'auto' }
+  }));
+  
+  const { values, sources } = resolveOptions({});
+  
+  assert.equal(values.convert, 'keep');
+  assert.equal(sources.convert.source, '--config file');
+});
+
+test('the global config is migrated too', () => {
+  setConfigPath(writeConfig(path.join(tempDirectory, 'project', 'tinypng.config.json'), { version: '1.2.0', apiKeys: [] }));
+  writeConfig(path.join(tempDirectory, 'xdg', 'tinypng-compress', 'tinypng.config.json'), {
+    version: '1.1.0',
+    apiKeys: [],
+    presets: { web: { convert: 'auto' } },
+    defaults: { convert_format: 'auto' }
+  });
+  
+  const { values, sources } = resolveOptions({ preset: 'web' });
+  
+  assert.equal(values.convert, 'keep');
+  assert.equal(sources.convert.source, 'preset');
+});
+
+test('migrating a layer leaves the file untouched', () => {
+  const configFile = writeConfig(path.join(tempDirectory, 'tinypng.config.json'), {
+    version: '1.1.0',
+    apiKeys: [],
+    compression: { convert_format: 'auto' }
+  });
+  setConfigPath(configFile);
+  
+  resolveOptions({});
+  
+  assert.equal(fs.readJsonSync(configFile).compression.convert_format, 'auto');
+});
+
+test('"auto" in a current config selects the smallest format', () => {
+  setConfigPath(writeConfig(path.join(tempDirectory, 'tinypng.config.json'), {
+    version: '1.2.0',
+    apiKeys: [],
+    compression: { convert_format: 'auto' }
+  }));
+  
+  assert.equal(resolveOptions({}).values.convert, 'auto');
+});
+
+test('flags win over presets, presets over env, env over the project and global configs', () => {
+  const projectConfig = path.join(tempDirectory, 'project', 'tinypng.config.json');
+  setConfigPath(writeConfig(projectConfig, {
+    version: '1.2.0',
+    apiKeys: [],
+    compression: { convert_format: 'png', min_savings: '5%' },
+    advanced: { max_concurrent: 5 },
+    presets: { web: { convert: 'webp', sizes: '480,960' } }
+  }));
+  writeConfig(path.join(tempDirectory, 'xdg', 'tinypng-compress', 'tinypng.config.json'), {
+    version: '1.2.0',
+    apiKeys: [],
+    advanced: { max_concurrent: 2, request_delay: 250 }
+  });
+  process.env.TINYPNG_CONVERT = 'jpg';
+  process.env.TINYPNG_SIZES = '320';
+  process.env.TINYPNG_MAX_CONCURRENT = '4';
+  
+  const { values, sources } = resolveOptions({ preset: 'web', convert: 'avif' });
+  
+  assert.equal(values.convert, 'avif');
+  assert.equal(sources.convert.source, 'flag');
+  assert.deepEqual(values.sizes, [480, 960]);
+  assert.equal(sources.sizes.source, 'preset');
+  assert.equal(values.maxConcurrent, 4);
+  assert.equal(sources.maxConcurrent.source, 'env');
+  assert.deepEqual(values.minSavings, { percent: 5 });
+  assert.equal(sources.minSavings.source, '--config file');
+  assert.equal(values.requestDelay, 250);
+  assert.equal(sources.requestDelay.source, 'global config');
+  assert.equal(values.retryAttempts, 3);
+  assert.equal(sources.retryAttempts.source, 'default');
+  assert.equal(values.preset, 'web');
+});
+
+test('path flags are made absolute, config paths stay relative to the compressed directory', () => {
+  setConfigPath(writeConfig(path.join(tempDirectory, 'tinypng.config.json'), {
+    version: '1.2.0',
+    apiKeys: [],
+    output: { output_directory: './dist' }
+  }));
+  
+  assert.equal(resolveOptions({}).values.out, './dist');
+  assert.equal(resolveOptions({ out: 'build' }).values.out, path.resolve('build'));
+});
+
+test('a list of formats in --convert becomes --formats', () => {
+  const { values } = resolveOptions({ convert: 'webp,avif' });
+  
+  assert.equal(values.convert, 'keep');
+  assert.deepEqual(values.formats, ['webp', 'avif']);
+  assert.throws(() => resolveOptions({ convert: 'webp,avif', formats: 'avif' }), /either --convert with a list/);
+});
+
+test('invalid values name where they came from', () => {
+  assert.throws(() => resolveOptions({ priority: 'random' }), /Invalid value for --priority/);
+  
+  process.env.TINYPNG_MAX_CONCURRENT = 'many';
+  assert.throws(() => resolveOptions({}), /Invalid value for TINYPNG_MAX_CONCURRENT/);
+});
+
+test('an unknown preset lists the defined ones', () => {
+  setConfigPath(writeConfig(path.join(tempDirectory, 'tinypng.config.json'), {
+    version: '1.2.0',
+    apiKeys: [],
+    presets: { web: {}, print: {} }
+  }));
+  
+  assert.throws(() => resolveOptions({ preset: 'mobile' }), /Available presets: web, print/);
+});
\ No newline at end of file
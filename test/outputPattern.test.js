@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { validateOutputPattern, renderOutputPattern } from '../src/utils/outputPattern.js';
+import { createResizeSpec } from '../src/utils/imageUtils.js';
+
+let tempDirectory;
+let imagePath;
+
+// The PNG signature and header chunk are all image-size needs to read the dimensions
+function writePngHeader(filePath, width, height) {
+  const header = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(header, 0);
+  header.writeUInt32BE(13, 8);
+  header.write('IHDR', 12, 'ascii');
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  header.writeUInt8(8, 24);
+  header.writeUInt8(6, 25);
+  fs.writeFileSync(filePath, header);
+}
+
+before(() => {
+  tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'tinypng-pattern-'));
+  fs.mkdirSync(path.join(tempDirectory, 'icons'));
+  imagePath = path.join(tempDirectory, 'icons', 'logo.png');
+  writePngHeader(imagePath, 800, 400);
+});
+
+after(() => {
+  fs.rmSync(tempDirectory, { recursive: true, force: true });
+});
+
+test('patterns are rejected when they cannot name every output apart', () => {
+  assert.throws(() => validateOutputPattern(''), /must not be empty/);
+  assert.throws(() => validateOutputPattern('/tmp/{name}.{ext}'), /must be relative/);
+  assert.throws(() => validateOutputPattern('{name}.{format}'), /Unknown token \{format\}/);
+  assert.throws(() => validateOutputPattern('{name}.{ext}', { sizes: [480] }), /must contain \{width\}/);
+  assert.throws(() => validateOutputPattern('{name}.png', { formats: ['webp'] }), /must contain \{ext\}/);
+  assert.throws(() => validateOutputPattern('{name}.png', { convert: 'auto' }), /must contain \{ext\}/);
+  assert.throws(() => validateOutputPattern('{preset}/{name}.{ext}'), /no --preset was given/);
+  assert.doesNotThrow(() => validateOutputPattern('{dir}/{name}-{width}w.{ext}', { sizes: [480], preset: 'web' }));
+});
+
+test('tokens are filled from the source and the run', () => {
+  const outputPath = renderOutputPattern('{dir}/{preset}/{name}.min.{ext}', imagePath, {
+    root: '/out',
+    relativeDir: 'icons',
+    ext: 'webp',
+    preset: 'web'
+  });
+  
+  assert.equal(outputPath, path.resolve('/out/icons/web/logo.min.webp'));
+});
+
+test('dimensions come from the variant width, the resize or the image itself', () => {
+  const context = { root: '/out', relativeDir: 'icons', ext: 'png' };
+  
+  assert.equal(renderOutputPattern('{name}-{width}x{height}.{ext}', imagePath, context), path.resolve('/out/logo-800x400.png'));
+  assert.equal(renderOutputPattern('{name}-{width}x{height}.{ext}', imagePath, { ...context, width: 200 }), path.resolve('/out/logo-200x100.png'));
+  assert.equal(
+    renderOutputPattern('{name}-{width}x{height}.{ext}', imagePath, { ...context, resize: createResizeSpec({ maxSize: '400' }) }),
+    path.resolve('/out/logo-400x200.png')
+  );
+});
+
+test('{hash8} is the start of the content hash', () => {
+  const hash = crypto.createHash('sha256').update(fs.readFileSync(imagePath)).digest('hex');
+  
+  assert.equal(renderOutputPattern('{hash8}.{ext}', imagePath, { root: '/out', ext: 'png' }), path.resolve(`/out/${hash.slice(0, 8)}.png`));
+});
+
+test('outputs outside the root are refused', () => {
+  assert.throws(
+    () => renderOutputPattern('../{name}.{ext}', imagePath, { root: '/out', ext: 'png' }),
+    /outside of \/out/
+  );
+});
\ No newline at end of file
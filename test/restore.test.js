@@ -0,0 +1,111 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import restoreCommand from '../src/commands/restore.js';
+import { parseBackupName, listBackupVersions } from '../src/utils/fileOps.js';
+
+const EARLIER = '2024-05-01T10-00-00-000Z';
+const LATER = '2024-06-01T10-00-00-000Z';
+
+let tempDirectory;
+
+beforeEach(() => {
+  tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'tinypng-restore-'));
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(tempDirectory, { recursive: true, force: true });
+});
+
+function write(relativePath, content) {
+  const filePath = path.join(tempDirectory, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+function createBackups() {
+  write('logo.png', 'compressed');
+  write('original/logo.png', 'first');
+  write(`original/logo_${LATER}.png`, 'third');
+  write(`original/logo_${EARLIER}.png`, 'second');
+}
+
+test('versioned backup names give back the original name and their timestamp', () => {
+  assert.deepEqual(parseBackupName(`logo_${EARLIER}.png`), { originalName: 'logo.png', timestamp: EARLIER });
+  assert.deepEqual(parseBackupName(`my_logo_${EARLIER}.jpg`), { originalName: 'my_logo.jpg', timestamp: EARLIER });
+  assert.deepEqual(parseBackupName('my_logo.png'), { originalName: 'my_logo.png', timestamp: null });
+  assert.deepEqual(parseBackupName('logo_2024-05-01.png'), { originalName: 'logo_2024-05-01.png', timestamp: null });
+});
+
+test('backups are grouped per file, the first copy before the timestamped ones', () => {
+  createBackups();
+  write('original/icons/arrow.png', 'arrow');
+  
+  const groups = listBackupVersions(path.join(tempDirectory, 'original'));
+  
+  assert.deepEqual(groups.map(group => group.relativePath), [path.join('icons', 'arrow.png'), 'logo.png']);
+  assert.deepEqual(groups[1].versions.map(version => version.timestamp), [null, EARLIER, LATER]);
+});
+
+test('--backup-version picks the latest, the original or the newest matching timestamp', async () => {
+  createBackups();
+  const selected = async backupVersion => {
+    const [entry] = await restoreCommand(tempDirectory, { dryRun: true, backupVersion });
+    return entry.selected && fs.readFileSync(entry.selected.path, 'utf8');
+  };
+  
+  assert.equal(await selected(undefined), 'third');
+  assert.equal(await selected('latest'), 'third');
+  assert.equal(await selected('original'), 'first');
+  assert.equal(await selected('2024-05'), 'second');
+  assert.equal(await selected('2024'), 'third');
+  assert.equal(await selected('2023'), null);
+  
+  // A dry run only plans
+  assert.equal(fs.readFileSync(path.join(tempDirectory, 'logo.png'), 'utf8'), 'compressed');
+});
+
+test('restoring copies the selected backup over the file', async () => {
+  createBackups();
+  write('original/icons/arrow.png', 'arrow');
+  write('icons/arrow.png', 'compressed arrow');
+  
+  const results = await restoreCommand(tempDirectory, { backupVersion: 'original' });
+  
+  assert.equal(results.restored, 2);
+  assert.equal(fs.readFileSync(path.join(tempDirectory, 'logo.png'), 'utf8'), 'first');
+  assert.equal(fs.readFileSync(path.join(tempDirectory, 'icons', 'arrow.png'), 'utf8'), 'arrow');
+});
+
+test('restoring a single file finds its backup in a parent directory', async () => {
+  write('icons/arrow.png', 'compressed arrow');
+  write('original/icons/arrow.png', 'arrow');
+  
+  const [entry] = await restoreCommand(path.join(tempDirectory, 'icons', 'arrow.png'), { dryRun: true });
+  
+  assert.equal(entry.target, path.join(tempDirectory, 'icons', 'arrow.png'));
+  assert.equal(fs.readFileSync(entry.selected.path, 'utf8'), 'arrow');
+});
+
+test('the output of a conversion that replaced its source is removed', async () => {
+  write('photo.webp', 'converted');
+  write('original/photo.png', 'photo');
+  
+  const results = await restoreCommand(tempDirectory, {});
+  
+  assert.equal(results.removed, 1);
+  assert.equal(fs.existsSync(path.join(tempDirectory, 'photo.webp')), false);
+  assert.equal(fs.readFileSync(path.join(tempDirectory, 'photo.png'), 'utf8'), 'photo');
+});
+
+test('a file without a backup is reported', async () => {
+  write('logo.png', 'compressed');
+  
+  await assert.rejects(restoreCommand(path.join(tempDirectory, 'logo.png'), {}), /No backup found for/);
+  await assert.rejects(restoreCommand(tempDirectory, {}), /No backups found in/);
+});
\ No newline at end of file
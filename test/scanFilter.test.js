@@ -0,0 +1,115 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createScanFilter, describeExclusion, parsePatternList, globToRegExp, IGNORE_FILE_NAME } from '../src/utils/scanFilter.js';
+
+let tempDirectory;
+
+beforeEach(() => {
+  tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'tinypng-filter-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDirectory, { recursive: true, force: true });
+});
+
+test('globs match within a segment, across segments, classes and alternatives', () => {
+  assert.ok(globToRegExp('*.png').test('logo.png'));
+  assert.ok(!globToRegExp('*.png').test('icons/logo.png'));
+  assert.ok(globToRegExp('**/*.png').test('logo.png'));
+  assert.ok(globToRegExp('**/*.png').test('a/b/logo.png'));
+  assert.ok(globToRegExp('icons/**').test('icons/a/b.png'));
+  assert.ok(globToRegExp('logo-?.png').test('logo-2.png'));
+  assert.ok(!globToRegExp('logo-?.png').test('logo-10.png'));
+  assert.ok(globToRegExp('logo-[0-9].png').test('logo-5.png'));
+  assert.ok(!globToRegExp('logo-[!0-9].png').test('logo-5.png'));
+  assert.ok(globToRegExp('*.{png,jpg}').test('photo.jpg'));
+  assert.ok(!globToRegExp('*.{png,jpg}').test('photo.webp'));
+  assert.ok(!globToRegExp('logo.png').test('logoXpng'));
+});
+
+test('pattern lists split on commas outside braces', () => {
+  assert.deepEqual(parsePatternList('*.{png,jpg}, vendor/ ,'), ['*.{png,jpg}', 'vendor/']);
+  assert.deepEqual(parsePatternList(['*.svg', ' ']), ['*.svg']);
+  assert.equal(parsePatternList(''), null);
+  assert.equal(parsePatternList(undefined), null);
+  assert.equal(parsePatternList(' , '), null);
+  assert.throws(() => parsePatternList(5), /expected a list of glob patterns/);
+});
+
+test('excludes match names at any depth unless anchored by a slash', () => {
+  const filter = createScanFilter(tempDirectory, { exclude: ['node_modules/', '*.svg', '/drafts/*.png'] });
+  
+  assert.equal(filter.isExcluded('node_modules', true), true);
+  assert.equal(filter.isExcluded('web/node_modules', true), true);
+  assert.equal(filter.isExcluded('node_modules', false), false);
+  assert.equal(filter.isExcluded('icons/logo.svg'), true);
+  assert.equal(filter.isExcluded('drafts/logo.png'), true);
+  assert.equal(filter.isExcluded('web/drafts/logo.png'), false);
+  assert.deepEqual(filter.getExclusions().map(describeExclusion), [
+    'exclude: node_modules/ - 2 directories',
+    'exclude: *.svg - 1 files',
+    'exclude: /drafts/*.png - 1 files'
+  ]);
+});
+
+test('includes skip files matching none of them but never directories', () => {
+  const filter = createScanFilter(tempDirectory, { include: ['*.png', 'photos/**/*.jpg'] });
+  
+  assert.equal(filter.isExcluded('logo.png'), false);
+  assert.equal(filter.isExcluded('photos/2024/beach.jpg'), false);
+  assert.equal(filter.isExcluded('beach.jpg'), true);
+  assert.equal(filter.isExcluded('photos', true), false);
+  assert.deepEqual(filter.getExclusions(), [{ rule: 'include: no match for *.png, photos/**/*.jpg', files: 1, directories: 0 }]);
+});
+
+test('backup directories are skipped wherever they are written', () => {
+  const relative = createScanFilter(tempDirectory, { backupDirectory: '.backup' });
+  assert.equal(relative.isExcluded('.backup', true), true);
+  assert.equal(relative.isExcluded('icons/.backup', true), true);
+  
+  const absolute = createScanFilter(tempDirectory, { backupDirectory: path.join(tempDirectory, 'archive', 'originals') });
+  assert.equal(absolute.isExcluded('archive/originals', true), true);
+  assert.equal(absolute.isExcluded('originals', true), false);
+  
+  const outside = createScanFilter(tempDirectory, { backupDirectory: os.tmpdir() });
+  assert.equal(outside.isExcluded('tmp', true), false);
+});
+
+test('.tinypngignore files apply to their directory, the last matching line winning', () => {
+  fs.writeFileSync(path.join(tempDirectory, IGNORE_FILE_NAME), '# generated\n*.gif\nbuild/\n');
+  fs.mkdirSync(path.join(tempDirectory, 'icons'));
+  fs.writeFileSync(path.join(tempDirectory, 'icons', IGNORE_FILE_NAME), '!spinner.gif\n/raw/*.png\n');
+  const filter = createScanFilter(tempDirectory, {});
+  
+  assert.equal(filter.isExcluded('loading.gif'), true);
+  assert.equal(filter.isExcluded('icons/loading.gif'), true);
+  assert.equal(filter.isExcluded('icons/spinner.gif'), false);
+  assert.equal(filter.isExcluded('spinner.gif'), true);
+  assert.equal(filter.isExcluded('icons/raw/logo.png'), true);
+  assert.equal(filter.isExcluded('raw/logo.png'), false);
+  assert.equal(filter.isExcluded('web/build', true), true);
+  assert.deepEqual(filter.getExclusions().map(exclusion => exclusion.rule), [
+    '.tinypngignore: *.gif',
+    'icons/.tinypngignore: /raw/*.png',
+    '.tinypngignore: build/'
+  ]);
+});
+
+test('--exclude wins over a re-include in .tinypngignore', () => {
+  fs.writeFileSync(path.join(tempDirectory, IGNORE_FILE_NAME), '!logo.png\n');
+  const filter = createScanFilter(tempDirectory, { exclude: ['logo.png'] });
+  
+  assert.equal(filter.isExcluded('logo.png'), true);
+});
+
+test('entries skipped for other reasons are counted with the rules', () => {
+  const filter = createScanFilter(tempDirectory, {});
+  filter.record('symlink loop', true);
+  filter.record('unreadable');
+  filter.record('unreadable');
+  
+  assert.deepEqual(filter.getExclusions().map(describeExclusion), ['symlink loop - 1 directories', 'unreadable - 2 files']);
+});
\ No newline at end of file
@@ -0,0 +1,107 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { isKeyReference, resolveKeyReference, validateKeyReference, createKeyStorageQuestions, getAnsweredKeyReference, unlockKeystore, setKeystoreSecret, saveKeystore, getKeystorePath } from '../src/config/secrets.js';
+
+const PASSPHRASE = 'correct horse battery';
+
+let tempDirectory;
+let savedEnv;
+
+beforeEach(() => {
+  tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'tinypng-secrets-'));
+  savedEnv = { ...process.env };
+});
+
+afterEach(() => {
+  process.env = savedEnv;
+  fs.rmSync(tempDirectory, { recursive: true, force: true });
+});
+
+test('only env:, file: and keystore: values are references', () => {
+  assert.equal(isKeyReference('env:TINYPNG_KEY'), true);
+  assert.equal(isKeyReference('file:~/.tinypng/key'), true);
+  assert.equal(isKeyReference('keystore:main'), true);
+  assert.equal(isKeyReference('abcdefghijklmnopqrstuvwxyz012345'), false);
+  assert.equal(isKeyReference(undefined), false);
+  assert.equal(resolveKeyReference('abcdefghijklmnopqrstuvwxyz012345', tempDirectory), 'abcdefghijklmnopqrstuvwxyz012345');
+});
+
+test('env: references read the variable', () => {
+  process.env.TINYPNG_TEST_KEY = '  key-from-env\n';
+  
+  assert.equal(resolveKeyReference('env:TINYPNG_TEST_KEY', tempDirectory), 'key-from-env');
+  assert.throws(() => resolveKeyReference('env:TINYPNG_TEST_MISSING', tempDirectory), /environment variable TINYPNG_TEST_MISSING is not set/);
+});
+
+test('file: references read a key file or one entry of a JSON secrets file, relative to the config', () => {
+  fs.writeFileSync(path.join(tempDirectory, 'key.txt'), 'key-from-file\n');
+  fs.writeFileSync(path.join(tempDirectory, 'secrets.json'), JSON.stringify({ main: 'key-from-json', count: 3 }));
+  fs.writeFileSync(path.join(tempDirectory, 'broken.json'), '{ main');
+  
+  assert.equal(resolveKeyReference('file:key.txt', tempDirectory), 'key-from-file');
+  assert.equal(resolveKeyReference(`file:${path.join(tempDirectory, 'key.txt')}`, os.tmpdir()), 'key-from-file');
+  assert.equal(resolveKeyReference('file:secrets.json#main', tempDirectory), 'key-from-json');
+  assert.throws(() => resolveKeyReference('file:secrets.json#count', tempDirectory), /'count' not found in/);
+  assert.throws(() => resolveKeyReference('file:broken.json#main', tempDirectory), /secrets file is not valid JSON/);
+  assert.throws(() => resolveKeyReference('file:missing.txt', tempDirectory), /secrets file not found/);
+});
+
+test('keystore: references resolve from the encrypted keystore once it is unlocked', async () => {
+  process.env.TINYPNG_KEYSTORE_PASSPHRASE = PASSPHRASE;
+  const configFile = path.join(tempDirectory, 'tinypng.config.json');
+  
+  await unlockKeystore(configFile, { create: true });
+  assert.equal(setKeystoreSecret('main', 'key-from-keystore'), 'keystore:main');
+  await saveKeystore();
+  
+  assert.equal(resolveKeyReference('keystore:main', tempDirectory), 'key-from-keystore');
+  assert.throws(() => resolveKeyReference('keystore:other', tempDirectory), /'other' not found in keystore/);
+  
+  const stored = fs.readFileSync(getKeystorePath(configFile), 'utf8');
+  assert.equal(stored.includes('key-from-keystore'), false);
+  if (process.platform !== 'win32') {
+    assert.equal(fs.statSync(getKeystorePath(configFile)).mode & 0o777, 0o600);
+  }
+});
+
+test('a keystore only opens with its passphrase', async () => {
+  process.env.TINYPNG_KEYSTORE_PASSPHRASE = PASSPHRASE;
+  await unlockKeystore(path.join(tempDirectory, 'tinypng.config.json'), { create: true });
+  setKeystoreSecret('main', 'key-from-keystore');
+  await saveKeystore();
+  
+  // A second config directory holding a copy, so the keystore is read from disk again
+  const copyDirectory = path.join(tempDirectory, 'copy');
+  fs.mkdirSync(copyDirectory);
+  fs.copyFileSync(path.join(tempDirectory, 'tinypng.keystore.json'), path.join(copyDirectory, 'tinypng.keystore.json'));
+  const copyConfig = path.join(copyDirectory, 'tinypng.config.json');
+  
+  process.env.TINYPNG_KEYSTORE_PASSPHRASE = 'not the passphrase';
+  await assert.rejects(unlockKeystore(copyConfig), /Incorrect keystore passphrase/);
+  
+  process.env.TINYPNG_KEYSTORE_PASSPHRASE = PASSPHRASE;
+  const keystore = await unlockKeystore(copyConfig);
+  assert.deepEqual(keystore.secrets, { main: 'key-from-keystore' });
+  
+  await assert.rejects(unlockKeystore(path.join(tempDirectory, 'elsewhere', 'tinypng.config.json')), /Keystore not found/);
+});
+
+test('the storage questions of --init and --new-key check references relative to the config', () => {
+  fs.writeFileSync(path.join(tempDirectory, 'key.txt'), 'abcdefghijklmnopqrstuvwxyz012345\n');
+  fs.writeFileSync(path.join(tempDirectory, 'short.txt'), 'too-short');
+  const questions = createKeyStorageQuestions(path.join(tempDirectory, 'tinypng.config.json'));
+  const secretsFile = questions.find(question => question.name === 'secretsFile');
+  const envVariable = questions.find(question => question.name === 'envVariable');
+  
+  assert.equal(secretsFile.validate('key.txt'), true);
+  assert.equal(secretsFile.validate('short.txt'), 'file:short.txt does not contain a 32 character API key');
+  assert.match(validateKeyReference('file:missing.txt', tempDirectory), /^Cannot read file:missing\.txt: secrets file not found/);
+  assert.equal(envVariable.default({ name: 'client-2' }), 'TINYPNG_KEY_CLIENT_2');
+  
+  assert.equal(getAnsweredKeyReference({ storage: 'env', envVariable: 'TINYPNG_KEY' }), 'env:TINYPNG_KEY');
+  assert.equal(getAnsweredKeyReference({ storage: 'file', secretsFile: 'key.txt' }), 'file:key.txt');
+  assert.equal(getAnsweredKeyReference({ storage: 'keystore', key: 'abcdefghijklmnopqrstuvwxyz012345' }), 'abcdefghijklmnopqrstuvwxyz012345');
+});
\ No newline at end of file
@@ -0,0 +1,84 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import watchCommand from '../src/commands/watch.js';
+import { setConfigPath } from '../src/config/index.js';
+import { CURRENT_CONFIG_VERSION } from '../src/config/migrations.js';
+import { installFakeTinify, writePng } from './fakeTinify.js';
+
+const API_KEY = 'a'.repeat(32);
+
+let tempDirectory;
+let watchedDirectory;
+let fakeTinify;
+
+beforeEach(() => {
+  tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'tinypng-watch-'));
+  watchedDirectory = path.join(tempDirectory, 'images');
+  fs.mkdirSync(watchedDirectory);
+  fakeTinify = installFakeTinify({ usage: { [API_KEY]: 0 } });
+  mock.method(console, 'log', () => {});
+  
+  const configFile = path.join(tempDirectory, 'tinypng.config.json');
+  fs.writeFileSync(configFile, JSON.stringify({
+    version: CURRENT_CONFIG_VERSION,
+    apiKeys: [{
+      name: 'main',
+      key: API_KEY,
+      email: 'dev@example.com',
+      compressions_used: 0,
+      last_reset: new Date().toISOString().split('T')[0],
+      status: 'active'
+    }]
+  }));
+  setConfigPath(configFile);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fakeTinify.restore();
+  setConfigPath(null);
+  fs.rmSync(tempDirectory, { recursive: true, force: true });
+});
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitFor(condition, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('timed out');
+    }
+    await delay(50);
+  }
+}
+
+test('a file still being written is compressed once, after it stopped growing', async () => {
+  writePng(path.join(watchedDirectory, 'existing.png'));
+  const session = watchCommand(watchedDirectory, 'main', { createBackup: false });
+  await delay(200);
+  
+  // Written in pieces, the way a slow copy or an export arrives
+  const filePath = path.join(watchedDirectory, 'export.png');
+  writePng(path.join(tempDirectory, 'export.png'), 100, 100, 3000);
+  const content = fs.readFileSync(path.join(tempDirectory, 'export.png'));
+  for (let offset = 0; offset < content.length; offset += 1000) {
+    fs.appendFileSync(filePath, content.subarray(offset, offset + 1000));
+    await delay(400);
+  }
+  
+  await waitFor(() => fakeTinify.uploads(API_KEY) > 0);
+  // Long enough for the compressed result to settle, which must not be picked up again
+  await delay(2500);
+  process.emit('SIGINT');
+  const results = await session;
+  
+  assert.equal(fakeTinify.uploads(API_KEY), 1);
+  assert.deepEqual(results.successful.map(result => path.basename(result.file)), ['export.png']);
+  assert.equal(results.successful[0].originalSize, content.length);
+  assert.equal(fs.statSync(filePath).size, Math.ceil(content.length / 2));
+});
\ No newline at end of file
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WorkQueue, PRIORITY_ORDERS } from '../src/compression/workQueue.js';
+
+function drain(queue) {
+  const values = [];
+  while (queue.size > 0) {
+    values.push(queue.shift());
+  }
+  return values;
+}
+
+test('the highest priority comes out first', () => {
+  const queue = new WorkQueue();
+  [3, 9, 1, 7, 5, 8, 2].forEach(priority => queue.push(`p${priority}`, priority));
+  
+  assert.equal(queue.size, 7);
+  assert.deepEqual(drain(queue), ['p9', 'p8', 'p7', 'p5', 'p3', 'p2', 'p1']);
+  assert.equal(queue.shift(), undefined);
+});
+
+test('equal priorities keep the order they were pushed in', () => {
+  const queue = new WorkQueue();
+  const values = Array.from({ length: 20 }, (_, index) => `file${index}`);
+  values.forEach(value => queue.push(value));
+  
+  assert.deepEqual(drain(queue), values);
+});
+
+test('items pushed while draining are ordered with the rest', () => {
+  const queue = new WorkQueue();
+  queue.push('a', 1);
+  queue.push('b', 1);
+  assert.equal(queue.shift(), 'a');
+  queue.push('retry', 5);
+  queue.push('c', 1);
+  
+  assert.deepEqual(drain(queue), ['retry', 'b', 'c']);
+});
+
+test('--priority orders files by size or keeps the scan order', () => {
+  const files = [{ name: 'mid', size: 500 }, { name: 'big', size: 900 }, { name: 'small', size: 100 }, { name: 'unknown' }];
+  const order = priority => {
+    const queue = new WorkQueue();
+    files.forEach(file => queue.push(file.name, PRIORITY_ORDERS[priority] ? PRIORITY_ORDERS[priority](file) : 0));
+    return drain(queue);
+  };
+  
+  assert.deepEqual(order('scan'), ['mid', 'big', 'small', 'unknown']);
+  assert.deepEqual(order('smallest'), ['unknown', 'small', 'mid', 'big']);
+  assert.deepEqual(order('largest'), ['big', 'mid', 'small', 'unknown']);
+});
\ No newline at end of file